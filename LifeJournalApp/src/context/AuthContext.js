@@ -1,6 +1,10 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import { Linking } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { authAPI } from '../services/api';
+import { authAPI, sessionsAPI, settingsAPI, setSessionExpiredHandler } from '../services/api';
+import { signInWithGoogle } from '../services/googleSignIn';
+import { lock as lockE2e } from '../services/e2e';
+import { deviceTimeZone } from '../utils/dates';
 
 const AuthContext = createContext(null);
 
@@ -11,8 +15,27 @@ export const AuthProvider = ({ children }) => {
 
   useEffect(() => {
     checkAuth();
+    // A revoked session, or a refresh token that was rejected, ends the session locally
+    setSessionExpiredHandler(clearSession);
+
+    // Magic links from sign-in emails open the app at lifejournal://auth/email?token=...
+    Linking.getInitialURL().then((url) => url && handleLoginLink(url));
+    const subscription = Linking.addEventListener('url', ({ url }) => handleLoginLink(url));
+
+    return () => {
+      setSessionExpiredHandler(null);
+      subscription.remove();
+    };
   }, []);
 
+  // The server takes days and times of day in the user's timezone; keep it
+  // in step with the device (it changes when the user travels)
+  const reportTimeZone = () => {
+    settingsAPI.update({ timezone: deviceTimeZone() }).catch((error) => {
+      console.log('Timezone update failed:', error.message);
+    });
+  };
+
   const checkAuth = async () => {
     try {
       const token = await AsyncStorage.getItem('authToken');
@@ -21,6 +44,7 @@ export const AuthProvider = ({ children }) => {
       if (token && userData) {
         setIsAuthenticated(true);
         setUser(JSON.parse(userData));
+        reportTimeZone();
       }
     } catch (error) {
       console.error('Auth check error:', error);
@@ -29,31 +53,99 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const startSession = async (response) => {
+    await AsyncStorage.setItem('authToken', response.token);
+    if (response.refreshToken) {
+      await AsyncStorage.setItem('refreshToken', response.refreshToken);
+    }
+    await AsyncStorage.setItem('userData', JSON.stringify(response.user));
+
+    setUser(response.user);
+    setIsAuthenticated(true);
+    reportTimeZone();
+  };
+
   const loginWithDemo = async () => {
     try {
       const response = await authAPI.loginMock();
 
       if (response.success) {
-        await AsyncStorage.setItem('authToken', response.token);
-        await AsyncStorage.setItem('refreshToken', response.refreshToken);
-        await AsyncStorage.setItem('userData', JSON.stringify(response.user));
-
-        setUser(response.user);
-        setIsAuthenticated(true);
+        await startSession(response);
         return { success: true };
       }
       return { success: false, error: 'Login failed' };
     } catch (error) {
       console.error('Demo login error:', error);
+      // The server only offers mock sign-in when started with DEV_MODE=true
+      if (error.response?.status === 404) {
+        return { success: false, error: 'Demo mode is not available on this server' };
+      }
       return { success: false, error: error.message };
     }
   };
 
-  const logout = async () => {
+  const loginWithGoogle = async () => {
+    try {
+      const response = await signInWithGoogle();
+
+      if (response.success) {
+        await startSession(response);
+        return { success: true };
+      }
+      return {
+        success: false,
+        cancelled: response.cancelled || false,
+        error: response.error || 'Login failed',
+      };
+    } catch (error) {
+      console.error('Google login error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  };
+
+  const requestEmailCode = async (email) => {
+    try {
+      return await authAPI.startEmailLogin(email);
+    } catch (error) {
+      console.error('Email login error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  };
+
+  // Credentials are { email, code } typed in, or { token } from a magic link
+  const loginWithEmail = async (credentials) => {
+    try {
+      const response = await authAPI.verifyEmailLogin(credentials);
+
+      if (response.success) {
+        await startSession(response);
+        return { success: true };
+      }
+      return { success: false, error: response.error || 'Login failed' };
+    } catch (error) {
+      console.error('Email login error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  };
+
+  const handleLoginLink = async (url) => {
+    if (!url.startsWith('lifejournal://auth/email')) return;
+
+    const match = url.match(/[?&]token=([^&]+)/);
+    if (!match) return;
+
+    const result = await loginWithEmail({ token: decodeURIComponent(match[1]) });
+    if (!result.success) {
+      console.log('Sign-in link failed:', result.error);
+    }
+  };
+
+  const clearSession = async () => {
     try {
       await AsyncStorage.removeItem('authToken');
       await AsyncStorage.removeItem('refreshToken');
       await AsyncStorage.removeItem('userData');
+      lockE2e();
 
       setUser(null);
       setIsAuthenticated(false);
@@ -62,6 +154,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Revoke the session on the server too, so a copied token stops working
+  const logout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      console.log('Server logout failed, clearing local session anyway');
+    }
+    await clearSession();
+  };
+
+  // Sign out every device, including this one
+  const logoutEverywhere = async () => {
+    await sessionsAPI.revokeAll();
+    await clearSession();
+  };
+
   const getToken = async () => {
     return await AsyncStorage.getItem('authToken');
   };
@@ -73,7 +181,11 @@ export const AuthProvider = ({ children }) => {
         user,
         loading,
         loginWithDemo,
+        loginWithGoogle,
+        requestEmailCode,
+        loginWithEmail,
         logout,
+        logoutEverywhere,
         getToken,
       }}
     >
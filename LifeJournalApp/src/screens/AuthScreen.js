@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import {
   View,
   Text,
+  TextInput,
   TouchableOpacity,
   StyleSheet,
   ActivityIndicator,
@@ -10,8 +11,60 @@ import {
 import { useAuth } from '../context/AuthContext';
 
 const AuthScreen = () => {
-  const { loginWithDemo } = useAuth();
+  const { loginWithDemo, loginWithGoogle, requestEmailCode, loginWithEmail } = useAuth();
   const [loading, setLoading] = useState(false);
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+
+  const handleSendCode = async () => {
+    setLoading(true);
+    try {
+      const result = await requestEmailCode(email);
+      if (result.success) {
+        setCodeSent(true);
+      } else {
+        Alert.alert('Could Not Send Code', result.error || 'Please try again');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyCode = async () => {
+    setLoading(true);
+    try {
+      const result = await loginWithEmail({ email, code });
+      if (!result.success) {
+        Alert.alert('Login Failed', result.error || 'Please try again');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChangeEmail = () => {
+    setCodeSent(false);
+    setCode('');
+  };
+
+  const handleGoogleLogin = async () => {
+    setLoading(true);
+    try {
+      const result = await loginWithGoogle();
+      if (!result.success && !result.cancelled) {
+        Alert.alert('Login Failed', result.error || 'Please try again');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleDemoLogin = async () => {
     setLoading(true);
@@ -38,13 +91,60 @@ const AuthScreen = () => {
       <View style={styles.buttonContainer}>
         <TouchableOpacity
           style={styles.googleButton}
-          onPress={() => Alert.alert('Coming Soon', 'Google Sign-In will be available soon')}
+          onPress={handleGoogleLogin}
           disabled={loading}
         >
           <Text style={styles.googleIcon}>G</Text>
           <Text style={styles.googleButtonText}>Continue with Google</Text>
         </TouchableOpacity>
 
+        {codeSent ? (
+          <View style={styles.emailForm}>
+            <Text style={styles.emailHint}>
+              Enter the 6-digit code sent to {email}, or open the link in the email.
+            </Text>
+            <TextInput
+              style={styles.input}
+              value={code}
+              onChangeText={setCode}
+              placeholder="123456"
+              keyboardType="number-pad"
+              maxLength={6}
+              editable={!loading}
+            />
+            <TouchableOpacity
+              style={styles.emailButton}
+              onPress={handleVerifyCode}
+              disabled={loading || code.length !== 6}
+            >
+              <Text style={styles.emailButtonText}>Sign In</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleChangeEmail} disabled={loading}>
+              <Text style={styles.linkText}>Use a different email</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={styles.emailForm}>
+            <TextInput
+              style={styles.input}
+              value={email}
+              onChangeText={setEmail}
+              placeholder="you@example.com"
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+              editable={!loading}
+            />
+            <TouchableOpacity
+              style={styles.emailButton}
+              onPress={handleSendCode}
+              disabled={loading || !email.trim()}
+            >
+              <Text style={styles.emailButtonText}>Email Me a Sign-In Code</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         <TouchableOpacity
           style={styles.demoButton}
           onPress={handleDemoLogin}
@@ -115,6 +215,42 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#333',
   },
+  emailForm: {
+    gap: 8,
+  },
+  emailHint: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    fontSize: 16,
+  },
+  emailButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+  },
+  emailButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  linkText: {
+    textAlign: 'center',
+    color: '#007AFF',
+    fontSize: 14,
+    padding: 8,
+  },
   demoButton: {
     flexDirection: 'row',
     alignItems: 'center',
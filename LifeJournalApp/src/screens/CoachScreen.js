@@ -8,26 +8,24 @@ import {
   Dimensions,
   RefreshControl,
   TouchableOpacity,
+  Alert,
+  ActivityIndicator,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { VOID } from '../theme/colors';
 import Orb from '../components/Orb';
-import { insightsAPI, coachAPI } from '../services/api';
+import { insightsAPI, coachAPI, calendarAPI } from '../services/api';
+import { getTimeOfDay, getWeek } from '../utils/dates';
 
 const { width, height } = Dimensions.get('window');
 
-const getTimeOfDay = () => {
-  const hour = new Date().getHours();
-  if (hour >= 5 && hour < 12) return 'morning';
-  if (hour >= 12 && hour < 17) return 'afternoon';
-  return 'evening';
-};
-
 const CoachScreen = ({ navigation }) => {
   const [insights, setInsights] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
   const [greeting, setGreeting] = useState("Hey there, friend.\nGood to see you.");
   const [loadingCoach, setLoadingCoach] = useState(true);
+  const [reflection, setReflection] = useState(null);
+  const [reflecting, setReflecting] = useState(false);
 
   // Floating orb animations
   const float1 = useRef(new Animated.Value(0)).current;
@@ -111,6 +109,57 @@ const CoachScreen = ({ navigation }) => {
     }
   };
 
+  // The server can't read end-to-end encrypted entries, so this week's are
+  // decrypted here and shared with the coach for one reflection, with the
+  // user's say-so. The server doesn't keep them.
+  const requestReflection = async (entries) => {
+    setReflecting(true);
+    try {
+      const result = await coachAPI.getReflection(entries);
+      if (result.success) {
+        setReflection(result.reflection);
+      } else {
+        Alert.alert('No Reflection', result.error || 'Please try again');
+      }
+    } catch (error) {
+      Alert.alert('No Reflection', error.response?.data?.error || error.message);
+    } finally {
+      setReflecting(false);
+    }
+  };
+
+  const handleReflect = async () => {
+    try {
+      const { start, end } = getWeek();
+      const { events } = await calendarAPI.getEvents(start, end);
+      const entries = events
+        .filter((event) => event.title)
+        .map((event) => ({ date: event.date, time: event.time, type: event.type, title: event.title }));
+
+      if (entries.length === 0) {
+        const locked = events.some((event) => event.clientEncrypted);
+        Alert.alert(
+          'Nothing to Reflect On',
+          locked
+            ? 'Unlock end-to-end encryption in Settings to read this week\'s entries.'
+            : 'Add some entries this week first.'
+        );
+        return;
+      }
+
+      Alert.alert(
+        'Share With Your Coach?',
+        `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'} from this week will be sent to the coach for this one reflection. They aren't stored.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Share', onPress: () => requestReflection(entries) },
+        ]
+      );
+    } catch (error) {
+      Alert.alert('Error', 'Could not load this week\'s entries');
+    }
+  };
+
   const onRefresh = async () => {
     setRefreshing(true);
     await Promise.all([loadInsights(), loadCoachMessages()]);
@@ -220,8 +269,30 @@ const CoachScreen = ({ navigation }) => {
             </Orb>
             <Text style={styles.chatButtonText}>Chat with Coach</Text>
           </TouchableOpacity>
+
+          {/* Reflection Button */}
+          <TouchableOpacity
+            style={styles.reflectButton}
+            onPress={handleReflect}
+            disabled={reflecting}
+            activeOpacity={0.8}
+          >
+            {reflecting ? (
+              <ActivityIndicator color={VOID.text.secondary} />
+            ) : (
+              <Text style={styles.reflectButtonText}>Reflect on my week</Text>
+            )}
+          </TouchableOpacity>
         </Animated.View>
 
+        {/* Reflection Card */}
+        {reflection && (
+          <View style={[styles.insightCard, styles.reflectionCard]}>
+            <Text style={styles.insightLabel}>YOUR REFLECTION</Text>
+            <Text style={styles.insightText}>{reflection}</Text>
+          </View>
+        )}
+
         {/* Stats Orbs */}
         {insights?.stats && (
           <Animated.View style={[styles.statsSection, { opacity: fadeIn }]}>
@@ -320,6 +391,21 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  reflectButton: {
+    marginTop: 16,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    minHeight: 40,
+    justifyContent: 'center',
+  },
+  reflectButtonText: {
+    color: VOID.text.secondary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  reflectionCard: {
+    marginBottom: 40,
+  },
   statsSection: {
     paddingHorizontal: 24,
     marginBottom: 40,
@@ -9,13 +9,82 @@ import {
   ActivityIndicator,
   Animated,
   Switch,
+  TextInput,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { VOID } from '../theme/colors';
 import Orb from '../components/Orb';
-import { healthAPI, timelineAPI, settingsAPI, contextAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import {
+  healthAPI,
+  timelineAPI,
+  settingsAPI,
+  contextAPI,
+  integrationsAPI,
+  credentialsAPI,
+  sessionsAPI,
+  streamSyncJob,
+  e2eAPI,
+  calendarAPI,
+} from '../services/api';
+import * as e2e from '../services/e2e';
+
+const CONNECTION_ORB_COLORS = [VOID.orb.cool, VOID.orb.warm, VOID.orb.accent, VOID.orb.success];
+
+const formatTimeAgo = (isoString) => {
+  const minutes = Math.floor((Date.now() - new Date(isoString).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+// "Last synced 3h ago, Amazon failed: token expired"
+const describeSyncRun = (run, integrations) => {
+  if (!run) return 'Pull latest data from all sources';
+  if (run.status === 'running') return 'Sync in progress...';
+
+  const synced = `Last synced ${formatTimeAgo(run.finishedAt || run.startedAt)}`;
+  const failures = Object.entries(run.sources || {})
+    .filter(([, source]) => !source.success)
+    .map(([name, source]) => {
+      const displayName = integrations.find(i => i.name === name)?.displayName || name;
+      return `${displayName} failed: ${source.error}`;
+    });
+
+  return failures.length > 0 ? `${synced}, ${failures.join(', ')}` : synced;
+};
+
+// "Connected" / "Connected, expires in 3d" / "Expired, reconnect to sync"
+const describeConnection = (integration) => {
+  if (integration.status === 'expired') return 'Expired, reconnect to sync';
+  if (integration.status !== 'connected') return 'Not connected';
+  if (!integration.expiresAt) return 'Connected';
+
+  const days = Math.floor((new Date(integration.expiresAt).getTime() - Date.now()) / 86400000);
+  return days < 1 ? 'Connected, expires today' : `Connected, expires in ${days}d`;
+};
+
+const SYNC_STAGE_LABELS = {
+  started: 'Fetching...',
+  normalizing: 'Normalizing...',
+  normalized: 'Waiting to store',
+  storing: 'Storing...',
+  stored: 'Done',
+  failed: 'Failed',
+};
+
+// "Normalizing..." / "Done, 12 events" / "Failed: token expired"
+const describeSourceProgress = (progress) => {
+  const label = SYNC_STAGE_LABELS[progress.stage] || progress.stage;
+  if (progress.stage === 'failed') return `${label}: ${progress.error}`;
+  if (progress.stage === 'stored') return `${label}, ${progress.count} events`;
+  return label;
+};
 
 const SettingsScreen = () => {
+  const { logout, logoutEverywhere } = useAuth();
   const [serverStatus, setServerStatus] = useState(null);
   const [syncing, setSyncing] = useState(false);
   const [settings, setSettings] = useState({
@@ -23,6 +92,15 @@ const SettingsScreen = () => {
     googleCalendarConnected: false,
   });
   const [contextItems, setContextItems] = useState([]);
+  const [integrations, setIntegrations] = useState([]);
+  const [lastSyncRun, setLastSyncRun] = useState(null);
+  const [syncProgress, setSyncProgress] = useState({});
+  const [sessions, setSessions] = useState([]);
+  const [e2eStatus, setE2eStatus] = useState({ enabled: false });
+  const [e2eUnlocked, setE2eUnlocked] = useState(e2e.isUnlocked());
+  const [passphrase, setPassphrase] = useState('');
+  const [e2eBusy, setE2eBusy] = useState(false);
+  const syncStream = useRef(null);
   const [loadingSettings, setLoadingSettings] = useState(false);
   const fadeIn = useRef(new Animated.Value(0)).current;
 
@@ -30,11 +108,17 @@ const SettingsScreen = () => {
     checkServerStatus();
     loadSettings();
     loadContext();
+    loadIntegrations();
+    loadLastSyncRun();
+    loadSessions();
+    loadE2eStatus();
     Animated.timing(fadeIn, {
       toValue: 1,
       duration: 600,
       useNativeDriver: true,
     }).start();
+
+    return () => syncStream.current?.close();
   }, []);
 
   const loadSettings = async () => {
@@ -63,6 +147,186 @@ const SettingsScreen = () => {
     }
   };
 
+  const loadIntegrations = async () => {
+    try {
+      const response = await integrationsAPI.list();
+      if (response.success) {
+        setIntegrations(response.integrations);
+      }
+    } catch (error) {
+      console.log('Integrations not available');
+    }
+  };
+
+  const loadLastSyncRun = async () => {
+    try {
+      const response = await timelineAPI.getSyncRuns(1);
+      if (response.success) {
+        setLastSyncRun(response.runs[0] || null);
+      }
+    } catch (error) {
+      console.log('Sync history not available');
+    }
+  };
+
+  const loadSessions = async () => {
+    try {
+      const response = await sessionsAPI.list();
+      if (response.success) {
+        setSessions(response.sessions);
+      }
+    } catch (error) {
+      console.log('Sessions not available');
+    }
+  };
+
+  const loadE2eStatus = async () => {
+    try {
+      const response = await e2eAPI.getStatus();
+      if (response.success) {
+        setE2eStatus(response);
+      }
+    } catch (error) {
+      console.log('Encryption status not available');
+    }
+  };
+
+  // Entries written before encryption was turned on are still readable by the
+  // server until this finishes; unlocking again picks up any it missed
+  const encryptExistingEntries = async () => {
+    try {
+      const { failed } = await calendarAPI.encryptExistingEvents();
+      if (failed > 0) {
+        Alert.alert(
+          'Some Entries Not Encrypted',
+          `${failed} older calendar ${failed === 1 ? 'entry' : 'entries'} couldn't be encrypted. Unlock again to retry.`
+        );
+      }
+    } catch (error) {
+      Alert.alert('Older Entries Not Encrypted', 'Your older calendar entries couldn\'t be encrypted. Unlock again to retry.');
+    }
+  };
+
+  // There's no reset: a forgotten passphrase means the encrypted entries are gone
+  const handleEnableE2e = () => {
+    if (passphrase.length < 8) {
+      Alert.alert('Passphrase Too Short', 'Use at least 8 characters.');
+      return;
+    }
+
+    Alert.alert(
+      'Turn On Encryption?',
+      "Your calendar entry titles, including the ones already saved, will be encrypted on this device with this passphrase. Nobody, including us, can recover them if you forget it. Chats, timeline data and what the coach remembers aren't covered.",
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Turn On',
+          onPress: async () => {
+            setE2eBusy(true);
+            try {
+              const params = await e2e.createParams(passphrase);
+              const response = await e2eAPI.enable(params);
+              setE2eStatus(response);
+              setE2eUnlocked(true);
+              setPassphrase('');
+              await encryptExistingEntries();
+            } catch (error) {
+              e2e.lock();
+              Alert.alert('Error', error.response?.data?.error || 'Failed to turn on encryption');
+            } finally {
+              setE2eBusy(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleUnlockE2e = async () => {
+    setE2eBusy(true);
+    try {
+      if (await e2e.unlock(passphrase, e2eStatus)) {
+        setE2eUnlocked(true);
+        setPassphrase('');
+        await encryptExistingEntries();
+      } else {
+        Alert.alert('Wrong Passphrase', "That passphrase doesn't open your entries.");
+      }
+    } finally {
+      setE2eBusy(false);
+    }
+  };
+
+  const handleLockE2e = () => {
+    e2e.lock();
+    setE2eUnlocked(false);
+  };
+
+  const handleDisconnect = (integration) => {
+    Alert.alert(
+      `Disconnect ${integration.displayName}?`,
+      'The stored token will be deleted. Data already synced stays in your journal.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Disconnect',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await credentialsAPI.revoke(integration.name);
+              await loadIntegrations();
+            } catch (error) {
+              Alert.alert('Error', 'Failed to disconnect');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleRevokeSession = (session) => {
+    Alert.alert(
+      'Sign Out Device?',
+      `${session.device} will be signed out and need to sign in again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await sessionsAPI.revoke(session.id);
+              setSessions(prev => prev.filter(s => s.id !== session.id));
+            } catch (error) {
+              Alert.alert('Error', 'Failed to sign out device');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleLogoutEverywhere = () => {
+    Alert.alert(
+      'Sign Out Everywhere?',
+      'Every device, including this one, will be signed out of your journal.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out All',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await logoutEverywhere();
+            } catch (error) {
+              Alert.alert('Error', 'Failed to sign out other devices');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const toggleNotifications = async (value) => {
     setSettings(prev => ({ ...prev, proactiveNotifications: value }));
     try {
@@ -146,17 +410,24 @@ const SettingsScreen = () => {
     }
   };
 
+  // The sync runs on the server as a job; follow its progress per source
   const handleSync = async () => {
     setSyncing(true);
+    setSyncProgress({});
     try {
-      const response = await timelineAPI.testSync();
-      Alert.alert(
-        'Sync Complete',
-        `Added ${response.eventsAdded} events from ${Object.keys(response.sources || {}).length} sources`
-      );
+      const { jobId } = await timelineAPI.sync();
+      syncStream.current = streamSyncJob(jobId, (event) => {
+        if (event.type === 'progress') {
+          setSyncProgress(prev => ({ ...prev, [event.source]: event }));
+        }
+      });
+      await syncStream.current.done;
     } catch (error) {
       Alert.alert('Sync Failed', error.message);
     } finally {
+      syncStream.current = null;
+      await loadLastSyncRun();
+      setSyncProgress({});
       setSyncing(false);
     }
   };
@@ -232,46 +503,94 @@ const SettingsScreen = () => {
             </View>
           </View>
 
-          {/* Connected Services */}
+          {/* End-to-end Encryption */}
           <View style={styles.section}>
-            <Text style={styles.sectionTitle}>CONNECTIONS</Text>
+            <Text style={styles.sectionTitle}>PRIVACY</Text>
             <View style={styles.card}>
-              <TouchableOpacity style={styles.serviceRow} activeOpacity={0.7}>
+              <View style={styles.settingRow}>
                 <Orb size={44} color={VOID.orb.cool} intensity={0.5}>
-                  <Text style={{ fontSize: 20 }}>🗺️</Text>
-                </Orb>
-                <View style={styles.serviceInfo}>
-                  <Text style={styles.serviceName}>Google Maps</Text>
-                  <Text style={styles.serviceStatus}>Connected</Text>
-                </View>
-                <View style={styles.connectedDot} />
-              </TouchableOpacity>
-
-              <View style={styles.divider} />
-
-              <TouchableOpacity style={styles.serviceRow} activeOpacity={0.7}>
-                <Orb size={44} color={VOID.orb.warm} intensity={0.5}>
-                  <Text style={{ fontSize: 20 }}>🛍️</Text>
+                  <Text style={{ fontSize: 20 }}>🔐</Text>
                 </Orb>
                 <View style={styles.serviceInfo}>
-                  <Text style={styles.serviceName}>Amazon</Text>
-                  <Text style={styles.serviceStatusPending}>Not connected</Text>
+                  <Text style={styles.serviceName}>End-to-end Encryption</Text>
+                  <Text style={e2eStatus.enabled ? styles.serviceStatus : styles.serviceStatusPending}>
+                    {!e2eStatus.enabled ? 'Off' : e2eUnlocked ? 'On, unlocked on this device' : 'On, locked'}
+                  </Text>
                 </View>
-                <Text style={styles.connectText}>Connect</Text>
-              </TouchableOpacity>
+                {e2eStatus.enabled && e2eUnlocked && (
+                  <TouchableOpacity onPress={handleLockE2e} activeOpacity={0.7}>
+                    <Text style={styles.viewText}>Lock</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
 
-              <View style={styles.divider} />
+              {!(e2eStatus.enabled && e2eUnlocked) && (
+                <>
+                  <View style={styles.divider} />
+                  <View style={styles.settingRow}>
+                    <TextInput
+                      style={styles.passphraseInput}
+                      value={passphrase}
+                      onChangeText={setPassphrase}
+                      placeholder="Passphrase"
+                      placeholderTextColor={VOID.text.muted}
+                      secureTextEntry
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                      editable={!e2eBusy}
+                    />
+                    {e2eBusy ? (
+                      <ActivityIndicator color={VOID.orb.primary} size="small" />
+                    ) : (
+                      <TouchableOpacity
+                        onPress={e2eStatus.enabled ? handleUnlockE2e : handleEnableE2e}
+                        disabled={!passphrase}
+                        activeOpacity={0.7}
+                      >
+                        <Text style={styles.connectText}>{e2eStatus.enabled ? 'Unlock' : 'Turn On'}</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                </>
+              )}
+            </View>
+          </View>
 
-              <TouchableOpacity style={styles.serviceRow} activeOpacity={0.7}>
-                <Orb size={44} color={VOID.orb.accent} intensity={0.5}>
-                  <Text style={{ fontSize: 20 }}>📷</Text>
-                </Orb>
-                <View style={styles.serviceInfo}>
-                  <Text style={styles.serviceName}>Photos</Text>
-                  <Text style={styles.serviceStatus}>Connected</Text>
+          {/* Connected Services */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>CONNECTIONS</Text>
+            <View style={styles.card}>
+              {integrations.map((integration, index) => (
+                <View key={integration.name}>
+                  {index > 0 && <View style={styles.divider} />}
+                  <TouchableOpacity
+                    style={styles.serviceRow}
+                    onPress={() => integration.status !== 'missing' && handleDisconnect(integration)}
+                    activeOpacity={0.7}
+                  >
+                    <Orb size={44} color={CONNECTION_ORB_COLORS[index % CONNECTION_ORB_COLORS.length]} intensity={0.5}>
+                      <Text style={{ fontSize: 20 }}>{integration.icon || '🔗'}</Text>
+                    </Orb>
+                    <View style={styles.serviceInfo}>
+                      <Text style={styles.serviceName}>{integration.displayName}</Text>
+                      <Text
+                        style={
+                          integration.status === 'expired'
+                            ? styles.serviceStatusExpired
+                            : integration.connected ? styles.serviceStatus : styles.serviceStatusPending
+                        }
+                      >
+                        {describeConnection(integration)}
+                      </Text>
+                    </View>
+                    {integration.connected ? (
+                      <View style={styles.connectedDot} />
+                    ) : (
+                      <Text style={styles.connectText}>{integration.status === 'expired' ? 'Reconnect' : 'Connect'}</Text>
+                    )}
+                  </TouchableOpacity>
                 </View>
-                <View style={styles.connectedDot} />
-              </TouchableOpacity>
+              ))}
             </View>
           </View>
 
@@ -293,7 +612,12 @@ const SettingsScreen = () => {
               </Orb>
               <View style={styles.syncInfo}>
                 <Text style={styles.syncTitle}>Sync Now</Text>
-                <Text style={styles.syncSubtitle}>Pull latest data from all sources</Text>
+                <Text style={styles.syncSubtitle}>{syncing ? 'Sync in progress...' : describeSyncRun(lastSyncRun, integrations)}</Text>
+                {Object.values(syncProgress).map(progress => (
+                  <Text key={progress.source} style={styles.syncProgress}>
+                    {integrations.find(i => i.name === progress.source)?.displayName || progress.source}: {describeSourceProgress(progress)}
+                  </Text>
+                ))}
               </View>
             </TouchableOpacity>
           </View>
@@ -355,6 +679,43 @@ const SettingsScreen = () => {
             </View>
           </View>
 
+          {/* Account */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>ACCOUNT</Text>
+            <View style={styles.card}>
+              {sessions.map((session, index) => (
+                <View key={session.id}>
+                  {index > 0 && <View style={styles.divider} />}
+                  <View style={styles.statusRow}>
+                    <View>
+                      <Text style={styles.statusLabel}>{session.device}</Text>
+                      <Text style={styles.sessionSeen}>
+                        {session.current ? 'This device' : `Active ${formatTimeAgo(session.lastSeenAt)}`}
+                      </Text>
+                    </View>
+                    {!session.current && (
+                      <TouchableOpacity onPress={() => handleRevokeSession(session)}>
+                        <Text style={styles.connectText}>Sign out</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                </View>
+              ))}
+
+              {sessions.length > 0 && <View style={styles.divider} />}
+
+              <TouchableOpacity style={styles.statusRow} onPress={logout} activeOpacity={0.7}>
+                <Text style={styles.statusLabel}>Sign Out</Text>
+              </TouchableOpacity>
+
+              <View style={styles.divider} />
+
+              <TouchableOpacity style={styles.statusRow} onPress={handleLogoutEverywhere} activeOpacity={0.7}>
+                <Text style={styles.signOutEverywhere}>Sign Out Everywhere</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+
           {/* About */}
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>ABOUT</Text>
@@ -425,6 +786,11 @@ const styles = StyleSheet.create({
     color: VOID.text.muted,
     marginTop: 2,
   },
+  serviceStatusExpired: {
+    fontSize: 13,
+    color: VOID.orb.accent,
+    marginTop: 2,
+  },
   connectedDot: {
     width: 10,
     height: 10,
@@ -447,6 +813,12 @@ const styles = StyleSheet.create({
     padding: 18,
     gap: 14,
   },
+  passphraseInput: {
+    flex: 1,
+    fontSize: 15,
+    color: VOID.text.primary,
+    paddingVertical: 4,
+  },
   divider: {
     height: 1,
     backgroundColor: VOID.border.subtle,
@@ -475,6 +847,20 @@ const styles = StyleSheet.create({
     color: VOID.text.muted,
     marginTop: 2,
   },
+  sessionSeen: {
+    fontSize: 12,
+    color: VOID.text.muted,
+    marginTop: 2,
+  },
+  signOutEverywhere: {
+    fontSize: 15,
+    color: VOID.orb.accent,
+  },
+  syncProgress: {
+    fontSize: 12,
+    color: VOID.text.secondary,
+    marginTop: 4,
+  },
   statusRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
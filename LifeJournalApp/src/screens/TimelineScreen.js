@@ -14,6 +14,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { VOID } from '../theme/colors';
 import Orb from '../components/Orb';
 import { insightsAPI, coachAPI } from '../services/api';
+import { toDateKey } from '../utils/dates';
 
 const { width, height } = Dimensions.get('window');
 const CELL_SIZE = (width - 48) / 7;
@@ -73,7 +74,7 @@ const TimelineScreen = () => {
     for (let i = 0; i < 31; i++) {
       const date = new Date(today);
       date.setDate(date.getDate() - i);
-      const dateKey = date.toISOString().split('T')[0];
+      const dateKey = toDateKey(date);
 
       events[dateKey] = {
         busyLevel: Math.random(),
@@ -129,7 +130,7 @@ const TimelineScreen = () => {
 
     // Fetch AI-generated day summary
     try {
-      const dateKey = day.toISOString().split('T')[0];
+      const dateKey = toDateKey(day);
       const dayData = events[dateKey];
       const result = await coachAPI.getDaySummary({
         date: dateKey,
@@ -174,7 +175,7 @@ const TimelineScreen = () => {
 
   const getDayData = (day) => {
     if (!day) return null;
-    const dateKey = day.toISOString().split('T')[0];
+    const dateKey = toDateKey(day);
     return events[dateKey];
   };
 
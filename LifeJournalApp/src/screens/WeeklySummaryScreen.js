@@ -13,6 +13,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { VOID } from '../theme/colors';
 import Orb from '../components/Orb';
 import { insightsAPI, coachAPI } from '../services/api';
+import { getWeek, fromDateKey } from '../utils/dates';
 
 const { width } = Dimensions.get('window');
 
@@ -81,23 +82,14 @@ const WeeklySummaryScreen = () => {
     loadInsights();
   };
 
-  const getWeekNumber = () => {
-    const now = new Date();
-    const start = new Date(now.getFullYear(), 0, 1);
-    const diff = now - start;
-    const oneWeek = 604800000;
-    return Math.ceil(diff / oneWeek);
-  };
+  // The week the server summarized, or this week on the device's calendar
+  const week = insights?.week
+    ? { week: insights.weekNumber, start: insights.dateRange.start, end: insights.dateRange.end }
+    : getWeek();
 
   const getDateRange = () => {
-    const now = new Date();
-    const startOfWeek = new Date(now);
-    startOfWeek.setDate(now.getDate() - now.getDay());
-    const endOfWeek = new Date(startOfWeek);
-    endOfWeek.setDate(startOfWeek.getDate() + 6);
-
-    const format = (d) => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    return `${format(startOfWeek)} - ${format(endOfWeek)}`;
+    const format = (dateKey) => fromDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return `${format(week.start)} - ${format(week.end)}`;
   };
 
   if (loading) {
@@ -134,7 +126,7 @@ const WeeklySummaryScreen = () => {
       >
         {/* Week Header */}
         <Animated.View style={[styles.weekHeader, { opacity: fadeIn }]}>
-          <Text style={styles.weekNumber}>Week {getWeekNumber()}</Text>
+          <Text style={styles.weekNumber}>Week {week.week}</Text>
           <Text style={styles.dateRange}>{getDateRange()}</Text>
         </Animated.View>
 
@@ -1,5 +1,8 @@
 import axios from 'axios';
+import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { isUnlocked, encryptText, decryptText } from './e2e';
+import { deviceTimeZone } from '../utils/dates';
 
 // Always use production URL for real device testing
 const BASE_URL = 'https://backend-eta-flax-34.vercel.app';
@@ -16,6 +19,8 @@ const api = axios.create({
   timeout: 30000,
   headers: {
     'Content-Type': 'application/json',
+    // Labels this device in the signed-in sessions list
+    'X-Device-Name': `${Platform.OS} ${Platform.Version}`,
   },
 });
 
@@ -28,15 +33,107 @@ api.interceptors.request.use(async (config) => {
   return config;
 });
 
+// Called when the session can't be refreshed and the user must sign in again
+let sessionExpiredHandler = null;
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+// Each refresh token works once, so concurrent 401s share a single refresh
+let refreshInFlight = null;
+
+// /auth/refresh answers these when the session is over for good; anything
+// else (no network, a timeout, a server error) may work on the next try
+const SESSION_ENDED_CODES = ['INVALID_REFRESH_TOKEN', 'REFRESH_TOKEN_EXPIRED', 'REFRESH_TOKEN_REUSED', 'REFRESH_TOKEN_REVOKED'];
+
+const isSessionEnded = (error) => error.sessionEnded
+  || (error.response?.status === 401 && SESSION_ENDED_CODES.includes(error.response.data?.code));
+
+const refreshAuthToken = async () => {
+  const refreshToken = await AsyncStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    const error = new Error('No refresh token');
+    error.sessionEnded = true;
+    throw error;
+  }
+
+  // Plain axios, so a failed refresh doesn't loop back through these interceptors
+  const response = await axios.post(`${BASE_URL}/auth/refresh`, { refreshToken }, { timeout: 30000 });
+  await AsyncStorage.setItem('authToken', response.data.token);
+  await AsyncStorage.setItem('refreshToken', response.data.refreshToken);
+  return response.data.token;
+};
+
+// A fresh access token, shared by every caller that found theirs expired.
+// If the session has ended the user is signed out; other failures are left
+// to the caller, keeping the user signed in.
+const refreshSession = async () => {
+  if (!refreshInFlight) {
+    refreshInFlight = refreshAuthToken().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+
+  try {
+    return await refreshInFlight;
+  } catch (error) {
+    if (isSessionEnded(error) && sessionExpiredHandler) await sessionExpiredHandler();
+    throw error;
+  }
+};
+
+// Refresh expired access tokens and replay the request once
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const request = error.config;
+
+    // Signed out from another device: nothing to refresh
+    if (error.response?.status === 401 && error.response.data?.code === 'SESSION_REVOKED') {
+      if (sessionExpiredHandler) await sessionExpiredHandler();
+      throw error;
+    }
+
+    const expired = error.response?.status === 401 && error.response.data?.code === 'TOKEN_EXPIRED';
+    if (!expired || !request || request._retried) {
+      throw error;
+    }
+    request._retried = true;
+
+    let token;
+    try {
+      token = await refreshSession();
+    } catch (refreshError) {
+      throw error;
+    }
+
+    request.headers.Authorization = `Bearer ${token}`;
+    return api(request);
+  }
+);
+
 // Auth API
 export const authAPI = {
-  getGoogleAuthUrl: async () => {
-    const response = await api.get('/auth/google');
+  // Returns { url, state } for a PKCE sign-in
+  getGoogleAuthUrl: async (codeChallenge) => {
+    const response = await api.get(`/auth/google?code_challenge=${encodeURIComponent(codeChallenge)}`);
+    return response.data;
+  },
+
+  loginWithGoogle: async (code, state, codeVerifier) => {
+    const response = await api.post('/auth/callback/google', { code, state, code_verifier: codeVerifier });
     return response.data;
   },
 
-  loginWithGoogle: async (code, redirectUri) => {
-    const response = await api.post('/auth/callback/google', { code, redirect_uri: redirectUri });
+  // Emails a sign-in code and magic link
+  startEmailLogin: async (email) => {
+    const response = await api.post('/auth/email/start', { email });
+    return response.data;
+  },
+
+  // { email, code } from the email, or { token } from its link
+  verifyEmailLogin: async (credentials) => {
+    const response = await api.post('/auth/email/verify', credentials);
     return response.data;
   },
 
@@ -44,6 +141,29 @@ export const authAPI = {
     const response = await api.post('/auth/mock', { email });
     return response.data;
   },
+
+  logout: async () => {
+    const response = await api.post('/auth/logout');
+    return response.data;
+  },
+};
+
+// Sessions API - Devices signed in to this account
+export const sessionsAPI = {
+  list: async () => {
+    const response = await api.get('/api/sessions');
+    return response.data;
+  },
+
+  revoke: async (id) => {
+    const response = await api.delete(`/api/sessions/${id}`);
+    return response.data;
+  },
+
+  revokeAll: async () => {
+    const response = await api.delete('/api/sessions');
+    return response.data;
+  },
 };
 
 // Timeline API
@@ -59,8 +179,9 @@ export const timelineAPI = {
     return response.data;
   },
 
+  // The device's timezone is stored with the synced events
   sync: async (start, end) => {
-    const response = await api.post('/api/sync', { start, end });
+    const response = await api.post('/api/sync', { start, end, timezone: deviceTimeZone() });
     return response.data;
   },
 
@@ -68,12 +189,155 @@ export const timelineAPI = {
     const response = await api.post('/api/sync/test');
     return response.data;
   },
+
+  getSyncJob: async (jobId) => {
+    const response = await api.get(`/api/sync/jobs/${jobId}`);
+    return response.data;
+  },
+
+  getSyncRuns: async (limit = 20) => {
+    const response = await api.get(`/api/sync/runs?limit=${limit}`);
+    return response.data;
+  },
+
+  getSyncRun: async (id) => {
+    const response = await api.get(`/api/sync/runs/${id}`);
+    return response.data;
+  },
+};
+
+// A stream cut off before the job finished (a serverless function timing
+// out) is resumed from the last event this many times
+const MAX_STREAM_RECONNECTS = 3;
+
+// Follow a sync job's Server-Sent Events. React Native has no EventSource,
+// but its XMLHttpRequest hands over the response text as it streams in.
+// Following the job is what runs it on the server. An expired token is
+// refreshed as for other requests. Resolves with the final 'complete' or
+// 'error' event; close() stops listening.
+export const streamSyncJob = (jobId, onEvent) => {
+  let xhr = null;
+  let closed = false;
+
+  const done = new Promise((resolve, reject) => {
+    let lastEventId = 0;
+    let reconnects = 0;
+    let refreshed = false;
+
+    const connect = (token) => {
+      if (closed) {
+        resolve(null);
+        return;
+      }
+
+      const request = new XMLHttpRequest();
+      xhr = request;
+      let parsed = 0;
+      let finished = false;
+
+      const readEvents = () => {
+        const text = request.responseText || '';
+        const lastBreak = text.lastIndexOf('\n\n');
+        if (lastBreak < parsed) return;
+
+        const blocks = text.slice(parsed, lastBreak).split('\n\n');
+        parsed = lastBreak + 2;
+
+        for (const block of blocks) {
+          const data = block
+            .split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+          if (!data) continue;
+
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch (error) {
+            console.warn('Skipping unreadable sync event:', error.message);
+            continue;
+          }
+
+          lastEventId = event.id ?? lastEventId;
+          onEvent(event);
+          if (event.type === 'complete' || event.type === 'error') {
+            finished = true;
+            resolve(event);
+          }
+        }
+      };
+
+      request.onprogress = readEvents;
+      request.onload = () => {
+        if (request.status === 401) {
+          handleUnauthorized(request);
+          return;
+        }
+        if (request.status !== 200) {
+          reject(new Error(`Sync progress unavailable (${request.status})`));
+          return;
+        }
+        readEvents();
+        if (finished) return;
+
+        if (reconnects < MAX_STREAM_RECONNECTS) {
+          reconnects++;
+          open();
+        } else {
+          reject(new Error('Sync progress stream ended early'));
+        }
+      };
+      request.onerror = () => reject(new Error('Sync progress stream failed'));
+      request.onabort = () => resolve(null);
+
+      request.open('GET', `${BASE_URL}/api/sync/jobs/${jobId}/events`);
+      request.setRequestHeader('Accept', 'text/event-stream');
+      if (lastEventId) request.setRequestHeader('Last-Event-ID', String(lastEventId));
+      if (token) request.setRequestHeader('Authorization', `Bearer ${token}`);
+      request.send();
+    };
+
+    // Refresh an expired token once and reconnect, as the axios client does
+    const handleUnauthorized = (request) => {
+      let code = null;
+      try {
+        code = JSON.parse(request.responseText).code;
+      } catch (error) {
+        // Not a JSON error body
+      }
+
+      if (code === 'TOKEN_EXPIRED' && !refreshed) {
+        refreshed = true;
+        refreshSession().then(connect, (error) => reject(isSessionEnded(error) ? new Error('Session expired') : error));
+        return;
+      }
+      if (code === 'SESSION_REVOKED' && sessionExpiredHandler) sessionExpiredHandler();
+      reject(new Error('Sync progress unavailable (401)'));
+    };
+
+    const open = () => {
+      AsyncStorage.getItem('authToken').then(connect, reject);
+    };
+
+    open();
+  });
+
+  return {
+    done,
+    close: () => {
+      closed = true;
+      if (xhr) xhr.abort();
+    },
+  };
 };
 
 // Insights API
 export const insightsAPI = {
-  getWeeklyInsights: async () => {
-    const response = await api.get('/api/insights/weekly');
+  // week is an ISO week id like '2025-W03'; the current week if omitted
+  getWeeklyInsights: async (week) => {
+    const params = week ? `?week=${week}` : '';
+    const response = await api.get(`/api/insights/weekly${params}`);
     return response.data;
   },
 
@@ -109,6 +373,13 @@ export const coachAPI = {
     const response = await api.post('/api/coach/insight', { currentWeekSummary, historicalSummaries });
     return response.data;
   },
+
+  // Entries are sent as plaintext for this one reply, so end-to-end encrypted
+  // content only reaches the coach when the user chooses to share it
+  getReflection: async (entries, question = null) => {
+    const response = await api.post('/api/coach/reflection', { entries, question });
+    return response.data;
+  },
 };
 
 // Chat API - Conversational chat with coach
@@ -154,18 +425,57 @@ export const calendarAPI = {
     if (end) params.push(`end=${end}`);
     if (params.length) url += `?${params.join('&')}`;
     const response = await api.get(url);
-    return response.data;
+    // End-to-end encrypted titles stay null until this device is unlocked
+    const events = (response.data.events || []).map((event) =>
+      event.clientEncrypted ? { ...event, title: decryptText(event.titleCiphertext) } : event
+    );
+    return { ...response.data, events };
   },
 
   addEvent: async (title, date, time = null, type = 'reminder') => {
-    const response = await api.post('/api/calendar/events', { title, date, time, type });
-    return response.data;
+    const body = isUnlocked()
+      ? { titleCiphertext: encryptText(title), date, time, type }
+      : { title, date, time, type };
+    const response = await api.post('/api/calendar/events', body);
+    const { event } = response.data;
+    return event?.clientEncrypted ? { ...response.data, event: { ...event, title } } : response.data;
   },
 
   deleteEvent: async (id) => {
     const response = await api.delete(`/api/calendar/events/${id}`);
     return response.data;
   },
+
+  // Encrypt the titles of manual entries written before end-to-end encryption
+  // was turned on. Needs the device unlocked; safe to run again after a failure.
+  encryptExistingEvents: async () => {
+    const response = await api.get('/api/calendar/events');
+    const plaintext = (response.data.events || []).filter(
+      (event) => !event.clientEncrypted && event.source === 'manual' && event.title
+    );
+    let failed = 0;
+    for (const event of plaintext) {
+      try {
+        await api.put(`/api/calendar/events/${event.id}/title`, { titleCiphertext: encryptText(event.title) });
+      } catch (error) {
+        failed += 1;
+      }
+    }
+    return { encrypted: plaintext.length - failed, failed };
+  },
+};
+
+// End-to-end encryption API - KDF parameters, never the passphrase or key
+export const e2eAPI = {
+  getStatus: async () => {
+    const response = await api.get('/api/e2e');
+    return response.data;
+  },
+
+  enable: async ({ salt, iterations, verifier }) => {
+    const response = await api.post('/api/e2e', { salt, iterations, verifier });
+    return response.data;
+  },
 };
 
 // Settings API - User preferences
@@ -181,6 +491,27 @@ export const settingsAPI = {
   },
 };
 
+// Integrations API - Registered data sources and connection status
+export const integrationsAPI = {
+  list: async () => {
+    const response = await api.get('/api/integrations');
+    return response.data;
+  },
+};
+
+// Credentials API - Stored integration tokens (metadata only)
+export const credentialsAPI = {
+  list: async () => {
+    const response = await api.get('/api/credentials');
+    return response.data;
+  },
+
+  revoke: async (integration) => {
+    const response = await api.delete(`/api/credentials/${integration}`);
+    return response.data;
+  },
+};
+
 // Health API
 export const healthAPI = {
   check: async () => {
@@ -0,0 +1,86 @@
+import * as Crypto from 'expo-crypto';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { gcm } from '@noble/ciphers/aes';
+import { utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+
+// End-to-end encryption: journal content is encrypted here with a key derived
+// from the user's passphrase. The server keeps the salt and a verifier so
+// another device can derive the same key, but never sees the passphrase or
+// the key. The key lives in memory only, so the app starts locked.
+
+// PBKDF2-SHA256 rounds; the server refuses fewer than 100000
+const KDF_ITERATIONS = 210000;
+
+// Encrypted under the derived key to check a passphrase without storing it
+const VERIFIER_PLAINTEXT = 'life-journal-e2e-v1';
+
+let unlockedKey = null;
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+
+const deriveKey = (passphrase, salt, iterations) =>
+  pbkdf2Async(sha256, utf8ToBytes(passphrase), base64ToBytes(salt), { c: iterations, dkLen: 32 });
+
+// JSON { v: 1, iv, data } with base64 fields, the shape the server accepts
+const encryptWithKey = (key, text) => {
+  const iv = Crypto.getRandomBytes(12);
+  const data = gcm(key, iv).encrypt(utf8ToBytes(text));
+  return JSON.stringify({ v: 1, iv: bytesToBase64(iv), data: bytesToBase64(data) });
+};
+
+const decryptWithKey = (key, ciphertext) => {
+  const { iv, data } = JSON.parse(ciphertext);
+  return bytesToUtf8(gcm(key, base64ToBytes(iv)).decrypt(base64ToBytes(data)));
+};
+
+export const isUnlocked = () => unlockedKey !== null;
+
+// New KDF parameters for a passphrase, to send to POST /api/e2e. The device
+// is unlocked with the derived key straight away.
+export const createParams = async (passphrase) => {
+  const salt = bytesToBase64(Crypto.getRandomBytes(16));
+  const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+  const verifier = encryptWithKey(key, VERIFIER_PLAINTEXT);
+  unlockedKey = key;
+  return { salt, iterations: KDF_ITERATIONS, verifier };
+};
+
+// Derive the key from the server's parameters; false if the passphrase is wrong
+export const unlock = async (passphrase, { salt, iterations, verifier }) => {
+  const key = await deriveKey(passphrase, salt, iterations);
+  try {
+    if (decryptWithKey(key, verifier) !== VERIFIER_PLAINTEXT) return false;
+  } catch (error) {
+    return false;
+  }
+  unlockedKey = key;
+  return true;
+};
+
+export const lock = () => {
+  unlockedKey = null;
+};
+
+export const encryptText = (text) => {
+  if (!unlockedKey) throw new Error('End-to-end encryption is locked');
+  return encryptWithKey(unlockedKey, text);
+};
+
+// The plaintext, or null while locked or if the blob can't be opened
+export const decryptText = (ciphertext) => {
+  if (!unlockedKey || !ciphertext) return null;
+  try {
+    return decryptWithKey(unlockedKey, ciphertext);
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,61 @@
+import * as Crypto from 'expo-crypto';
+import * as WebBrowser from 'expo-web-browser';
+import { authAPI } from './api';
+
+// The backend's /auth/callback/google bounces Google's redirect to this deep link
+const APP_REDIRECT_URI = 'lifejournal://auth';
+
+const toBase64Url = (base64) =>
+  base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const bytesToBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return toBase64Url(btoa(binary));
+};
+
+// PKCE (RFC 7636): a random verifier that never leaves the device until the
+// code exchange, and its S256 challenge that goes into the Google URL
+const createPkcePair = async () => {
+  const codeVerifier = bytesToBase64Url(Crypto.getRandomBytes(32));
+  const digest = await Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    codeVerifier,
+    { encoding: Crypto.CryptoEncoding.BASE64 }
+  );
+  return { codeVerifier, codeChallenge: toBase64Url(digest) };
+};
+
+const parseQuery = (url) => {
+  const query = url.split('?')[1] || '';
+  return query.split('&').reduce((params, pair) => {
+    const [key, value = ''] = pair.split('=');
+    if (key) params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+    return params;
+  }, {});
+};
+
+// Run the Google sign-in in a browser session and exchange the code.
+// Resolves with the backend's login response, or { success: false, cancelled: true }.
+export const signInWithGoogle = async () => {
+  const { codeVerifier, codeChallenge } = await createPkcePair();
+  const { url, state } = await authAPI.getGoogleAuthUrl(codeChallenge);
+
+  const result = await WebBrowser.openAuthSessionAsync(url, APP_REDIRECT_URI);
+  if (result.type !== 'success') {
+    return { success: false, cancelled: true };
+  }
+
+  const params = parseQuery(result.url);
+  if (params.error) {
+    return { success: false, error: `Google sign-in failed: ${params.error}` };
+  }
+  // A redirect we didn't start must not be completed
+  if (params.state !== state) {
+    return { success: false, error: 'Sign-in response did not match this request' };
+  }
+
+  return authAPI.loginWithGoogle(params.code, state, codeVerifier);
+};
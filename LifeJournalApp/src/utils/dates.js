@@ -0,0 +1,40 @@
+// Date helpers. Day keys are the device's local date, the same way the
+// server files events under the user's timezone.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 'YYYY-MM-DD' of a date in the device's timezone
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// A Date at the start of a 'YYYY-MM-DD' day in the device's timezone
+export const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// The device's IANA timezone, e.g. 'America/Denver'
+export const deviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// 'morning', 'afternoon' or 'evening' on the device's clock
+export const getTimeOfDay = (date = new Date()) => {
+  const hour = date.getHours();
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  return 'evening';
+};
+
+// The week a date falls in on the device's calendar, as
+// { id: '2025-W03', year, week, start, end } with day keys, numbered the
+// way the server numbers weeks: a week belongs to the year its fourth day
+// is in. Weeks start on Monday unless weekStart (0 = Sunday) says otherwise.
+export const getWeek = (date = new Date(), weekStart = 1) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() - weekStart + 7) % 7));
+  const fourthDay = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 3);
+  const year = fourthDay.getFullYear();
+  const dayOfYear = Math.round((fourthDay - new Date(year, 0, 1)) / 86400000) + 1;
+  const week = Math.floor((dayOfYear - 1) / 7) + 1;
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+
+  return { id: `${year}-W${pad(week)}`, year, week, start: toDateKey(start), end: toDateKey(end) };
+};
@@ -2,6 +2,7 @@
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { parseAmazonUpload } from './amazonOrderHistoryParser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -41,12 +42,45 @@ export const normalizeOrderData = (rawOrders) => {
             items: order.data.items || [],
             category: order.data.category || 'Uncategorized',
             delivery_address: order.data.delivery_address || null,
-            delivery_date: order.data.delivery_date || null
+            delivery_date: order.data.delivery_date || null,
+            status: order.data.status || 'ordered'
         },
         source: 'amazon'
     }));
 };
 
+// Import an uploaded "Request My Data" export (zip archive or single CSV file)
+export const importOrderHistory = (buffer, fileName, dateRange = null) => {
+    try {
+        const { orders, stats } = parseAmazonUpload(buffer, fileName);
+
+        const filteredOrders = dateRange
+            ? orders.filter(order => {
+                const date = order.timestamp.split('T')[0];
+                return date >= dateRange.start && date <= dateRange.end;
+            })
+            : orders;
+
+        const events = normalizeOrderData(filteredOrders);
+        console.log(`[AmazonAgent] Imported ${events.length} events from order history`);
+
+        return {
+            success: true,
+            events,
+            count: events.length,
+            stats
+        };
+    } catch (error) {
+        console.error('[AmazonAgent] Order history import error:', error.message);
+        return {
+            success: false,
+            error: error.message,
+            events: [],
+            count: 0
+        };
+    }
+};
+
 // Main agent function
 export const amazonAgent = async (token, dateRange) => {
     try {
@@ -92,12 +126,14 @@ export const getSpendingStats = (events) => {
         categories[cat].amount += e.data.amount || 0;
     });
 
-    const allItems = events.flatMap(e => e.data.items || []);
+    // Refunds net out of totalSpent but aren't orders of their own
+    const orders = events.filter(e => e.data.status !== 'refunded');
+    const allItems = orders.flatMap(e => e.data.items || []);
 
     return {
-        totalOrders: events.length,
+        totalOrders: orders.length,
         totalSpent: Math.round(totalSpent * 100) / 100,
-        averageOrder: events.length > 0 ? Math.round((totalSpent / events.length) * 100) / 100 : 0,
+        averageOrder: orders.length > 0 ? Math.round((totalSpent / orders.length) * 100) / 100 : 0,
         categoryBreakdown: categories,
         totalItems: allItems.length
     };
@@ -0,0 +1,196 @@
+// Amazon "Request My Data" Order History Parser
+// Turns Retail.OrderHistory and Retail.OrdersReturned.Payments CSVs into raw
+// order records in the same shape as fixtures/amazonTestData.json
+import AdmZip from 'adm-zip';
+import { parseCsv } from '../utils/csv.js';
+
+// Column names differ slightly between export versions
+const pick = (row, ...columns) => {
+    for (const column of columns) {
+        if (row[column] !== undefined && row[column] !== '') return row[column];
+    }
+    return '';
+};
+
+// Amounts look like "23.99", "'1,234.56'" or "Not Available"
+const parseAmount = (value) => {
+    const amount = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    return Number.isFinite(amount) ? amount : 0;
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const isCancelled = (row) => /cancel/i.test(pick(row, 'Order Status'));
+
+const isFailedRefund = (row) => /fail|cancel|reject/i.test(pick(row, 'Status'));
+
+// Detect which Amazon CSV a header row belongs to
+export const detectAmazonCsv = (rows) => {
+    const columns = Object.keys(rows[0] || {});
+    if (columns.includes('Product Name') && columns.includes('Order ID')) return 'orders';
+    if (columns.some(c => /refund/i.test(c))) return 'refunds';
+    return null;
+};
+
+// Group item rows into orders and pair them with refunds
+export const buildOrderRecords = (orderRows, refundRows = []) => {
+    const orders = new Map();
+    let cancelled = 0;
+
+    for (const row of orderRows) {
+        const orderId = pick(row, 'Order ID');
+        const timestamp = parseDate(pick(row, 'Order Date'));
+        if (!orderId || !timestamp) continue;
+
+        if (!orders.has(orderId)) {
+            orders.set(orderId, { orderId, timestamp, rows: [], cancelledRows: 0 });
+        }
+
+        const order = orders.get(orderId);
+        if (timestamp < order.timestamp) order.timestamp = timestamp;
+
+        if (isCancelled(row)) {
+            order.cancelledRows++;
+        } else {
+            order.rows.push(row);
+        }
+    }
+
+    const records = [];
+    const ordersById = new Map();
+
+    for (const order of orders.values()) {
+        // Every item was cancelled, so nothing was bought
+        if (order.rows.length === 0) {
+            cancelled++;
+            continue;
+        }
+
+        const items = order.rows.map(row => {
+            const name = pick(row, 'Product Name') || 'Unknown item';
+            const quantity = parseInt(pick(row, 'Quantity'), 10) || 1;
+            return quantity > 1 ? `${name} (x${quantity})` : name;
+        });
+        const amount = order.rows.reduce((sum, row) => sum + parseAmount(pick(row, 'Total Owed')), 0);
+
+        const record = {
+            type: 'purchase',
+            timestamp: order.timestamp,
+            data: {
+                merchant: 'Amazon',
+                order_id: order.orderId,
+                amount: roundCents(amount),
+                items,
+                category: 'Uncategorized',
+                delivery_address: null,
+                delivery_date: null,
+                status: order.cancelledRows > 0 ? 'partially_cancelled' : 'ordered'
+            }
+        };
+
+        records.push(record);
+        ordersById.set(order.orderId, record);
+    }
+
+    // Refunds are emitted as negative purchases on the date the money came back,
+    // so spending totals net out without rewriting the original order
+    const refunds = new Map();
+    for (const row of refundRows) {
+        if (isFailedRefund(row)) continue;
+
+        const orderId = pick(row, 'Order ID', 'OrderID');
+        const timestamp = parseDate(pick(row, 'Refund Completion Date', 'RefundCompletionDate', 'Refund Date'));
+        const amount = parseAmount(pick(row, 'Amount Refunded', 'AmountRefunded', 'Refund Amount'));
+        if (!orderId || !timestamp || amount === 0) continue;
+
+        const key = `${orderId}:${timestamp.split('T')[0]}`;
+        const refund = refunds.get(key) || { orderId, timestamp, amount: 0 };
+        refund.amount += amount;
+        refunds.set(key, refund);
+    }
+
+    for (const refund of refunds.values()) {
+        const original = ordersById.get(refund.orderId);
+        records.push({
+            type: 'purchase',
+            timestamp: refund.timestamp,
+            data: {
+                merchant: 'Amazon',
+                order_id: refund.orderId,
+                amount: -roundCents(Math.abs(refund.amount)),
+                items: original ? original.data.items : [],
+                category: original ? original.data.category : 'Uncategorized',
+                delivery_address: null,
+                delivery_date: null,
+                status: 'refunded'
+            }
+        });
+    }
+
+    records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return {
+        orders: records,
+        stats: {
+            orders: ordersById.size,
+            cancelled,
+            refunds: refunds.size
+        }
+    };
+};
+
+// Parse a set of CSV documents, sorting them into order and refund files by header
+export const parseAmazonDocuments = (documents) => {
+    const orderRows = [];
+    const refundRows = [];
+
+    for (const { name, text } of documents) {
+        const rows = parseCsv(text);
+        const kind = detectAmazonCsv(rows);
+
+        if (kind === 'orders') orderRows.push(...rows);
+        else if (kind === 'refunds') refundRows.push(...rows);
+        else console.warn(`[AmazonOrderHistory] Skipping unrecognized file: ${name}`);
+    }
+
+    if (orderRows.length === 0 && refundRows.length === 0) {
+        throw new Error('No Amazon order history rows found');
+    }
+
+    return buildOrderRecords(orderRows, refundRows);
+};
+
+const isOrderHistoryEntry = (entryName) => {
+    const name = entryName.split('/').pop();
+    return /^Retail\.OrderHistory.*\.csv$/i.test(name) ||
+        /^Retail\.OrdersReturned\.Payments.*\.csv$/i.test(name);
+};
+
+// Parse an uploaded "Request My Data" zip archive, or a single CSV file
+export const parseAmazonUpload = (buffer, fileName = 'upload.csv') => {
+    const isZip = buffer.length > 4 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+    if (!isZip) {
+        return parseAmazonDocuments([{ name: fileName, text: buffer.toString('utf-8') }]);
+    }
+
+    const zip = new AdmZip(buffer);
+    const documents = zip.getEntries()
+        .filter(entry => !entry.isDirectory && isOrderHistoryEntry(entry.entryName))
+        .map(entry => ({
+            name: entry.entryName,
+            text: entry.getData().toString('utf-8')
+        }));
+
+    if (documents.length === 0) {
+        throw new Error('No Retail.OrderHistory files found in archive');
+    }
+
+    console.log(`[AmazonOrderHistory] Found ${documents.length} order history files in archive`);
+    return parseAmazonDocuments(documents);
+};
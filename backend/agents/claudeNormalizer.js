@@ -1,5 +1,6 @@
 // Claude Data Normalization Agent
 import Anthropic from '@anthropic-ai/sdk';
+import { isValidTimeZone, isValidTimestamp } from '../utils/dates.js';
 
 let anthropicClient = null;
 
@@ -18,6 +19,8 @@ The canonical schema is:
 {
   "type": "location" | "purchase" | "activity" | "photo",
   "timestamp": "ISO 8601 datetime string",
+  "endTimestamp": "ISO 8601 datetime string" (optional, when the event lasts a while),
+  "timezone": "IANA timezone name" (optional, where the event happened),
   "data": {
     // For location:
     "lat": number,
@@ -99,25 +102,46 @@ const isAlreadyNormalized = (data) => {
     );
 };
 
-// Validate normalized events against our schema
+// Validate normalized events against our schema. An event whose timestamp
+// isn't a real day or time can't be filed, so it's left out of events and
+// counted in invalid. A bad endTimestamp or unknown timezone is dropped, so
+// the event has no end or falls back to the user's timezone. Type and data
+// problems are only reported.
 export const validateNormalizedEvents = (events) => {
     const validTypes = ['location', 'purchase', 'activity', 'photo'];
     const errors = [];
+    const kept = [];
+    let invalid = 0;
 
     events.forEach((event, index) => {
         if (!event.type || !validTypes.includes(event.type)) {
             errors.push(`Event ${index}: Invalid or missing type`);
         }
-        if (!event.timestamp) {
-            errors.push(`Event ${index}: Missing timestamp`);
-        }
         if (!event.data || typeof event.data !== 'object') {
             errors.push(`Event ${index}: Invalid or missing data object`);
         }
+        if (!isValidTimestamp(event.timestamp)) {
+            errors.push(`Event ${index}: ${event.timestamp ? 'Invalid' : 'Missing'} timestamp, skipped`);
+            invalid++;
+            return;
+        }
+
+        let repaired = event;
+        if (event.endTimestamp && !isValidTimestamp(event.endTimestamp)) {
+            errors.push(`Event ${index}: Invalid endTimestamp, dropped`);
+            repaired = { ...repaired, endTimestamp: null };
+        }
+        if (event.timezone != null && !isValidTimeZone(event.timezone)) {
+            errors.push(`Event ${index}: Unknown timezone ${event.timezone}, using the user's`);
+            repaired = { ...repaired, timezone: null };
+        }
+        kept.push(repaired);
     });
 
     return {
         valid: errors.length === 0,
-        errors
+        errors,
+        events: kept,
+        invalid
     };
 };
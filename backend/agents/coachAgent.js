@@ -1,5 +1,6 @@
 // Coach Agent - Life coaching insights with warm, grounded friend persona
 import Anthropic from '@anthropic-ai/sdk';
+import { currentWeek, shiftWeek, weekKey, ISO_WEEK_START } from '../utils/weeks.js';
 
 let anthropicClient = null;
 
@@ -75,6 +76,18 @@ Give them a quick 1-2 sentence reaction to their day. Be specific to what they a
 
 Just the reaction, nothing else.`;
 
+const REFLECTION_PROMPT = `${COACH_PERSONA}
+
+Someone has shared a few of their private journal entries and asked you to reflect on them:
+
+{entries}
+
+{question}
+
+Give them a short reflection (2-4 sentences). Notice something real in what they wrote, and leave them with one gentle thought to carry forward. Sound like a supportive friend.
+
+Just the reflection, nothing else.`;
+
 // Generate coach insight from current week + history
 export const generateCoachInsight = async (currentWeekSummary, historicalSummaries = []) => {
     console.log(`[CoachAgent] Generating insight with ${historicalSummaries.length} weeks of history`);
@@ -205,6 +218,46 @@ export const generateDaySummary = async (dayData) => {
     }
 };
 
+// Reflect on entries the user chose to share. In end-to-end mode this is the
+// only time their content reaches the server in the clear, so it's never
+// stored or logged.
+export const generateReflection = async (entries = [], question = null) => {
+    console.log(`[CoachAgent] Generating reflection on ${entries.length} entries`);
+
+    try {
+        const client = getClient();
+
+        const prompt = REFLECTION_PROMPT
+            .replace('{entries}', JSON.stringify(entries, null, 2))
+            .replace('{question}', question ? `They asked: ${question}` : '');
+
+        const message = await client.messages.create({
+            model: 'claude-sonnet-4-20250514',
+            max_tokens: 250,
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ]
+        });
+
+        const reflection = message.content[0].type === 'text' ? message.content[0].text : '';
+
+        return {
+            success: true,
+            reflection: reflection.trim()
+        };
+    } catch (error) {
+        console.error('[CoachAgent] Reflection error:', error.message);
+        return {
+            success: false,
+            error: 'Could not generate a reflection right now',
+            code: 'REFLECTION_FAILED'
+        };
+    }
+};
+
 // Generate encouragement based on activity
 export const generateEncouragement = async (context = {}) => {
     console.log('[CoachAgent] Generating encouragement');
@@ -238,18 +291,19 @@ export const generateEncouragement = async (context = {}) => {
     }
 };
 
-// Store coach insight in database
-export const storeInsight = async (supabase, userId, insight, weekNumber) => {
+// Store coach insight in database for a week (see utils/weeks.js)
+export const storeInsight = async (supabase, userId, insight, week) => {
     const record = {
         user_id: userId,
-        week_number: weekNumber,
+        iso_year: week.year,
+        iso_week: week.week,
         insight: insight,
         generated_at: new Date().toISOString()
     };
 
     const { error } = await supabase
         .from('coach_insights')
-        .upsert(record, { onConflict: 'user_id,week_number' });
+        .upsert(record, { onConflict: 'user_id,iso_year,iso_week' });
 
     if (error) {
         console.warn('[CoachAgent] Could not store insight:', error.message);
@@ -258,24 +312,30 @@ export const storeInsight = async (supabase, userId, insight, weekNumber) => {
     return { success: true };
 };
 
-// Get historical summaries for a user
-export const getHistoricalSummaries = async (supabase, userId, weeksBack = 12) => {
-    const currentWeek = getWeekNumber();
+// Get a user's summaries from the weeks before this one, newest first.
+// The range can span a new year, so weeks are compared by year and number.
+export const getHistoricalSummaries = async (supabase, userId, weeksBack = 12, { timeZone = null, weekStart = ISO_WEEK_START } = {}) => {
+    const thisWeek = currentWeek(timeZone, weekStart);
+    const oldest = shiftWeek(thisWeek, -weeksBack, weekStart);
 
     const { data, error } = await supabase
         .from('therapy_summaries')
-        .select('week_number, encrypted_summary')
+        .select('iso_year, iso_week, encrypted_summary')
         .eq('user_id', userId)
-        .gte('week_number', currentWeek - weeksBack)
-        .lt('week_number', currentWeek)
-        .order('week_number', { ascending: false });
+        .gte('iso_year', oldest.year)
+        .lte('iso_year', thisWeek.year)
+        .order('iso_year', { ascending: false })
+        .order('iso_week', { ascending: false });
 
     if (error) {
         console.warn('[CoachAgent] Could not fetch history:', error.message);
         return [];
     }
 
-    return data || [];
+    return (data || []).filter(row => {
+        const key = weekKey({ year: row.iso_year, week: row.iso_week });
+        return key >= weekKey(oldest) && key < weekKey(thisWeek);
+    });
 };
 
 // Generate context-aware greeting based on calendar events and user context
@@ -643,10 +703,3 @@ export const generateReflectionPrompts = (summary) => {
         .sort(() => Math.random() - 0.5)
         .slice(0, 3);
 };
-
-// Get current week number
-const getWeekNumber = (date = new Date()) => {
-    const startOfYear = new Date(date.getFullYear(), 0, 1);
-    const days = Math.floor((date - startOfYear) / (24 * 60 * 60 * 1000));
-    return Math.ceil((days + startOfYear.getDay() + 1) / 7);
-};
@@ -2,6 +2,8 @@
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { parseTakeoutUpload } from './googleTakeoutParser.js';
+import { addMinutes } from '../utils/dates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -29,11 +31,13 @@ export const fetchLocationHistory = async (token, dateRange) => {
     return filteredLocations;
 };
 
-// Normalize raw Google Location data to our timeline schema
+// Normalize raw Google Location data to our timeline schema. A visit ends
+// at its endTimestamp if it has one, otherwise after its duration.
 export const normalizeLocationData = (rawLocations) => {
     return rawLocations.map(loc => ({
         type: 'location',
         timestamp: loc.timestamp,
+        endTimestamp: loc.endTimestamp ?? addMinutes(loc.timestamp, loc.data.duration_minutes),
         data: {
             lat: loc.data.lat,
             lng: loc.data.lng,
@@ -46,16 +50,71 @@ export const normalizeLocationData = (rawLocations) => {
     }));
 };
 
+// Normalize raw Google activity segments (walking, driving, ...) to our timeline schema
+export const normalizeActivityData = (rawActivities) => {
+    return rawActivities.map(activity => ({
+        type: 'activity',
+        timestamp: activity.timestamp,
+        endTimestamp: activity.endTimestamp ?? addMinutes(activity.timestamp, activity.data.duration_minutes),
+        data: {
+            activity_type: activity.data.activity_type || 'unknown',
+            duration_minutes: activity.data.duration_minutes || 0,
+            distance_meters: activity.data.distance_meters ?? null,
+            start_location: activity.data.start_location || null,
+            end_location: activity.data.end_location || null
+        },
+        source: 'google_maps'
+    }));
+};
+
+// Import a user-uploaded Google Takeout export (zip archive or single JSON file)
+export const importTakeoutLocations = (buffer, fileName, dateRange = null) => {
+    try {
+        const { visits, activities, files } = parseTakeoutUpload(buffer, fileName);
+
+        const inRange = (item) => {
+            if (!dateRange) return true;
+            const date = item.timestamp.split('T')[0];
+            return date >= dateRange.start && date <= dateRange.end;
+        };
+
+        const events = [
+            ...normalizeLocationData(visits.filter(inRange)),
+            ...normalizeActivityData(activities.filter(inRange))
+        ];
+
+        console.log(`[GoogleMapsAgent] Imported ${events.length} events from Takeout`);
+
+        return {
+            success: true,
+            events,
+            count: events.length,
+            files
+        };
+    } catch (error) {
+        console.error('[GoogleMapsAgent] Takeout import error:', error.message);
+        return {
+            success: false,
+            error: error.message,
+            events: [],
+            count: 0
+        };
+    }
+};
+
 // Main agent function
-export const googleMapsAgent = async (token, dateRange) => {
+export const googleMapsAgent = async (token, dateRange, options = {}) => {
     try {
         // Validate inputs
         if (!dateRange || !dateRange.start || !dateRange.end) {
             throw new Error('Invalid date range provided');
         }
 
+        // Google access tokens last an hour; get a refreshed one before calling the API
+        const accessToken = options.getAccessToken ? await options.getAccessToken() : token;
+
         // Fetch location data
-        const rawLocations = await fetchLocationHistory(token, dateRange);
+        const rawLocations = await fetchLocationHistory(accessToken, dateRange);
 
         // Normalize to timeline schema
         const normalizedEvents = normalizeLocationData(rawLocations);
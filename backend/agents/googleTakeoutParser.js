@@ -0,0 +1,293 @@
+// Google Takeout Location History Parser
+// Turns a user-uploaded Takeout export into raw location/activity records
+// in the same shape as fixtures/googleMapsTestData.json
+import AdmZip from 'adm-zip';
+
+// Records.json points closer than this to the start of a stay belong to it
+const STAY_RADIUS_METERS = 150;
+// Shorter stays from Records.json are treated as passing through
+const MIN_STAY_MINUTES = 10;
+
+const PLACE_NAMES_BY_SEMANTIC_TYPE = {
+    HOME: 'Home',
+    INFERRED_HOME: 'Home',
+    TYPE_HOME: 'Home',
+    WORK: 'Work',
+    INFERRED_WORK: 'Work',
+    TYPE_WORK: 'Work'
+};
+
+// Older exports store E7 coordinates as signed 32-bit ints, some of them
+// written out unsigned; only values past the signed range wrapped around
+const INT32_MAX = 2147483647;
+
+const fromE7 = (value) => {
+    if (value === undefined || value === null) return null;
+    const e7 = value > INT32_MAX ? value - 4294967296 : value;
+    return e7 / 1e7;
+};
+
+// Parses "39.7392°, -104.9903°" (Android Timeline.json) and "geo:39.7392,-104.9903" (iOS export)
+const parseLatLngString = (value) => {
+    if (typeof value !== 'string') return null;
+    const matches = value.match(/-?\d+(\.\d+)?/g);
+    if (!matches || matches.length < 2) return null;
+    return { lat: parseFloat(matches[0]), lng: parseFloat(matches[1]) };
+};
+
+const parseTimestamp = (iso, ms) => {
+    if (iso) return new Date(iso).toISOString();
+    if (ms) return new Date(parseInt(ms, 10)).toISOString();
+    return null;
+};
+
+const minutesBetween = (start, end) => {
+    if (!start || !end) return 0;
+    return Math.max(0, Math.round((new Date(end) - new Date(start)) / 60000));
+};
+
+const distanceMeters = (a, b) => {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+const placeFromSemanticType = (semanticType) => {
+    return PLACE_NAMES_BY_SEMANTIC_TYPE[semanticType] || null;
+};
+
+const formatActivityType = (type) => {
+    return (type || 'unknown').toLowerCase().replace(/^in_/, '');
+};
+
+const buildVisit = ({ start, end, lat, lng, place, address, accuracy }) => ({
+    type: 'location',
+    timestamp: start,
+    endTimestamp: end,
+    data: {
+        lat,
+        lng,
+        place,
+        address: address || null,
+        duration_minutes: minutesBetween(start, end),
+        accuracy
+    }
+});
+
+const buildActivity = ({ start, end, activityType, distance, from, to }) => ({
+    type: 'activity',
+    timestamp: start,
+    endTimestamp: end,
+    data: {
+        activity_type: formatActivityType(activityType),
+        duration_minutes: minutesBetween(start, end),
+        distance_meters: distance ? Math.round(Number(distance)) : null,
+        start_location: from,
+        end_location: to
+    }
+});
+
+// Semantic Location History/YYYY/YYYY_MONTH.json
+export const parseSemanticLocationHistory = (json) => {
+    const visits = [];
+    const activities = [];
+
+    for (const item of json.timelineObjects || []) {
+        if (item.placeVisit) {
+            const { location = {}, duration = {} } = item.placeVisit;
+            const lat = fromE7(location.latitudeE7);
+            const lng = fromE7(location.longitudeE7);
+            if (lat === null || lng === null) continue;
+
+            visits.push(buildVisit({
+                start: parseTimestamp(duration.startTimestamp, duration.startTimestampMs),
+                end: parseTimestamp(duration.endTimestamp, duration.endTimestampMs),
+                lat,
+                lng,
+                place: location.name || placeFromSemanticType(location.semanticType) || 'Unknown Location',
+                address: location.address,
+                accuracy: location.accuracyMetres
+            }));
+        } else if (item.activitySegment) {
+            const { startLocation = {}, endLocation = {}, duration = {} } = item.activitySegment;
+
+            activities.push(buildActivity({
+                start: parseTimestamp(duration.startTimestamp, duration.startTimestampMs),
+                end: parseTimestamp(duration.endTimestamp, duration.endTimestampMs),
+                activityType: item.activitySegment.activityType,
+                distance: item.activitySegment.distance,
+                from: { lat: fromE7(startLocation.latitudeE7), lng: fromE7(startLocation.longitudeE7) },
+                to: { lat: fromE7(endLocation.latitudeE7), lng: fromE7(endLocation.longitudeE7) }
+            }));
+        }
+    }
+
+    return { visits: visits.filter(v => v.timestamp), activities: activities.filter(a => a.timestamp) };
+};
+
+// On-device Timeline export: Android "Timeline.json" ({ semanticSegments }) or iOS (top-level array)
+export const parseTimelineExport = (json) => {
+    const segments = Array.isArray(json) ? json : (json.semanticSegments || []);
+    const visits = [];
+    const activities = [];
+
+    for (const segment of segments) {
+        const start = parseTimestamp(segment.startTime);
+        const end = parseTimestamp(segment.endTime);
+        if (!start) continue;
+
+        if (segment.visit) {
+            const candidate = segment.visit.topCandidate || {};
+            const location = parseLatLngString(candidate.placeLocation?.latLng || candidate.placeLocation);
+            if (!location) continue;
+
+            visits.push(buildVisit({
+                start,
+                end,
+                lat: location.lat,
+                lng: location.lng,
+                place: placeFromSemanticType(candidate.semanticType?.toUpperCase()) || 'Unknown Location',
+                address: null,
+                accuracy: null
+            }));
+        } else if (segment.activity) {
+            const { activity } = segment;
+
+            activities.push(buildActivity({
+                start,
+                end,
+                activityType: activity.topCandidate?.type,
+                distance: activity.distanceMeters,
+                from: parseLatLngString(activity.start?.latLng || activity.start),
+                to: parseLatLngString(activity.end?.latLng || activity.end)
+            }));
+        }
+    }
+
+    return { visits, activities };
+};
+
+// Records.json only holds raw pings, so consecutive nearby points are collapsed into stays
+export const parseRecords = (json) => {
+    const points = (json.locations || [])
+        .map(record => ({
+            timestamp: parseTimestamp(record.timestamp, record.timestampMs),
+            lat: fromE7(record.latitudeE7),
+            lng: fromE7(record.longitudeE7),
+            accuracy: record.accuracy
+        }))
+        .filter(p => p.timestamp && p.lat !== null && p.lng !== null)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const visits = [];
+    let stay = null;
+
+    const closeStay = () => {
+        if (stay && minutesBetween(stay.anchor.timestamp, stay.last.timestamp) >= MIN_STAY_MINUTES) {
+            visits.push(buildVisit({
+                start: stay.anchor.timestamp,
+                end: stay.last.timestamp,
+                lat: stay.anchor.lat,
+                lng: stay.anchor.lng,
+                place: 'Unknown Location',
+                address: null,
+                accuracy: stay.anchor.accuracy
+            }));
+        }
+    };
+
+    for (const point of points) {
+        if (stay && distanceMeters(stay.anchor, point) <= STAY_RADIUS_METERS) {
+            stay.last = point;
+        } else {
+            closeStay();
+            stay = { anchor: point, last: point };
+        }
+    }
+    closeStay();
+
+    return { visits, activities: [] };
+};
+
+// Detect which Takeout format a parsed JSON document is
+export const detectTakeoutFormat = (json) => {
+    if (Array.isArray(json) || json?.semanticSegments) return 'timeline';
+    if (json?.timelineObjects) return 'semantic';
+    if (json?.locations) return 'records';
+    return null;
+};
+
+const PARSERS = {
+    timeline: parseTimelineExport,
+    semantic: parseSemanticLocationHistory,
+    records: parseRecords
+};
+
+// Parse a set of Takeout JSON documents. Records.json is only used when
+// no semantic or on-device Timeline data was found, since it covers the
+// same stays at a lower fidelity.
+export const parseTakeoutDocuments = (documents) => {
+    const parsed = { timeline: [], semantic: [], records: [] };
+
+    for (const { name, json } of documents) {
+        const format = detectTakeoutFormat(json);
+        if (!format) {
+            console.warn(`[GoogleTakeout] Skipping unrecognized file: ${name}`);
+            continue;
+        }
+        parsed[format].push(PARSERS[format](json));
+    }
+
+    const semanticResults = [...parsed.timeline, ...parsed.semantic];
+    const results = semanticResults.length > 0 ? semanticResults : parsed.records;
+
+    const visits = results.flatMap(r => r.visits);
+    const activities = results.flatMap(r => r.activities);
+    const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+    return {
+        visits: visits.sort(byTime),
+        activities: activities.sort(byTime),
+        files: {
+            timeline: parsed.timeline.length,
+            semantic: parsed.semantic.length,
+            records: parsed.records.length
+        }
+    };
+};
+
+const isLocationHistoryEntry = (entryName) => {
+    const name = entryName.toLowerCase();
+    if (!name.endsWith('.json')) return false;
+    return name.endsWith('records.json') ||
+        name.endsWith('timeline.json') ||
+        name.endsWith('location-history.json') ||
+        name.includes('semantic location history/');
+};
+
+// Parse an uploaded Takeout zip archive, or a single exported JSON file
+export const parseTakeoutUpload = (buffer, fileName = 'upload.json') => {
+    const isZip = buffer.length > 4 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+    if (!isZip) {
+        return parseTakeoutDocuments([{ name: fileName, json: JSON.parse(buffer.toString('utf-8')) }]);
+    }
+
+    const zip = new AdmZip(buffer);
+    const documents = zip.getEntries()
+        .filter(entry => !entry.isDirectory && isLocationHistoryEntry(entry.entryName))
+        .map(entry => ({
+            name: entry.entryName,
+            json: JSON.parse(entry.getData().toString('utf-8'))
+        }));
+
+    if (documents.length === 0) {
+        throw new Error('No location history files found in archive');
+    }
+
+    console.log(`[GoogleTakeout] Found ${documents.length} location history files in archive`);
+    return parseTakeoutDocuments(documents);
+};
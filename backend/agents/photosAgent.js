@@ -0,0 +1,59 @@
+// Photos Agent
+import { getTestPhotoData } from './photoAnalyzer.js';
+
+// Fetch photo metadata from the user's photo library
+// In production, this would call the photo provider's API
+// For MVP, we use test fixtures
+export const fetchPhotoMetadata = async (token, dateRange) => {
+    console.log(`[PhotosAgent] Fetching photos for ${dateRange.start} to ${dateRange.end}`);
+
+    const photos = await getTestPhotoData();
+    const filteredPhotos = photos.filter(photo => {
+        const date = photo.timestamp.split('T')[0];
+        return date >= dateRange.start && date <= dateRange.end;
+    });
+
+    console.log(`[PhotosAgent] Found ${filteredPhotos.length} photos in range`);
+    return filteredPhotos;
+};
+
+// Normalize photo metadata to our timeline schema
+export const normalizePhotoData = (photos) => {
+    return photos.map(photo => ({
+        type: 'photo',
+        timestamp: photo.timestamp,
+        data: {
+            filename: photo.filename,
+            location: photo.location || null,
+            description: photo.description || null
+        },
+        source: 'photos'
+    }));
+};
+
+// Main agent function
+export const photosAgent = async (token, dateRange) => {
+    try {
+        if (!dateRange || !dateRange.start || !dateRange.end) {
+            throw new Error('Invalid date range provided');
+        }
+
+        const photos = await fetchPhotoMetadata(token, dateRange);
+        const normalizedEvents = normalizePhotoData(photos);
+
+        return {
+            success: true,
+            events: normalizedEvents,
+            count: normalizedEvents.length,
+            dateRange
+        };
+    } catch (error) {
+        console.error('[PhotosAgent] Error:', error.message);
+        return {
+            success: false,
+            error: error.message,
+            events: [],
+            count: 0
+        };
+    }
+};
@@ -1,7 +1,8 @@
 // Summary Generation Agent
 import Anthropic from '@anthropic-ai/sdk';
-import { encryptData } from '../utils/encryption.js';
-import { getMasterKey } from '../utils/keyManagement.js';
+import { getUserKey, encryptUserData } from '../utils/userKeys.js';
+import { aadFor } from '../utils/encryption.js';
+import { dateKeyIn, hourIn } from '../utils/dates.js';
 
 let anthropicClient = null;
 
@@ -30,8 +31,9 @@ IMPORTANT PRIVACY RULES:
 
 Format: Write in second person ("You visited..." "Your week included...")`;
 
-// Generate weekly summary from timeline events
-export const generateWeeklySummary = async (events) => {
+// Generate weekly summary from timeline events. Times of day are taken in
+// each event's own timezone, or timeZone (the user's) if it has none.
+export const generateWeeklySummary = async (events, timeZone = null) => {
     console.log(`[SummaryAgent] Generating summary from ${events.length} events`);
 
     if (events.length === 0) {
@@ -42,7 +44,7 @@ export const generateWeeklySummary = async (events) => {
     }
 
     // Prepare event data for Claude
-    const eventSummary = prepareEventSummary(events);
+    const eventSummary = prepareEventSummary(events, timeZone);
 
     try {
         const client = getClient();
@@ -76,7 +78,7 @@ export const generateWeeklySummary = async (events) => {
 };
 
 // Prepare anonymized event summary for Claude
-const prepareEventSummary = (events) => {
+const prepareEventSummary = (events, timeZone) => {
     const locations = events.filter(e => e.type === 'location');
     const purchases = events.filter(e => e.type === 'purchase');
 
@@ -84,7 +86,7 @@ const prepareEventSummary = (events) => {
     const locationSummary = locations.map(loc => ({
         place: loc.data.place || 'Unknown',
         duration_hours: Math.round((loc.data.duration_minutes || 0) / 60 * 10) / 10,
-        time_of_day: getTimeOfDay(loc.timestamp)
+        time_of_day: getTimeOfDay(loc.timestamp, loc.timezone ?? timeZone)
     }));
 
     // Anonymize purchase data
@@ -96,8 +98,8 @@ const prepareEventSummary = (events) => {
 
     return {
         period: {
-            start: events[0]?.timestamp?.split('T')[0] || 'unknown',
-            end: events[events.length - 1]?.timestamp?.split('T')[0] || 'unknown'
+            start: events.length ? dateKeyIn(events[0].timestamp, events[0].timezone ?? timeZone) : 'unknown',
+            end: events.length ? dateKeyIn(events[events.length - 1].timestamp, events[events.length - 1].timezone ?? timeZone) : 'unknown'
         },
         locations: locationSummary,
         spending: purchaseSummary,
@@ -105,8 +107,10 @@ const prepareEventSummary = (events) => {
     };
 };
 
-const getTimeOfDay = (timestamp) => {
-    const hour = new Date(timestamp).getHours();
+// Events stored before times were recorded only have a date
+const getTimeOfDay = (timestamp, timeZone) => {
+    const hour = hourIn(timestamp, timeZone);
+    if (hour === null) return 'unknown';
     if (hour < 6) return 'early morning';
     if (hour < 12) return 'morning';
     if (hour < 17) return 'afternoon';
@@ -123,14 +127,15 @@ const categorizeSpending = (purchases) => {
     return 'significant';
 };
 
-// Store summary in database
-export const storeSummary = async (supabase, userId, weekNumber, summary) => {
-    const masterKey = getMasterKey();
-    const encrypted = encryptData({ summary }, masterKey);
+// Store summary in database for a week (see utils/weeks.js)
+export const storeSummary = async (supabase, userId, week, summary) => {
+    const dataKey = await getUserKey(supabase, userId);
+    const encrypted = encryptUserData({ summary }, dataKey, aadFor(userId, 'therapy_summaries', 'encrypted_summary'));
 
     const record = {
         user_id: userId,
-        week_number: weekNumber,
+        iso_year: week.year,
+        iso_week: week.week,
         encrypted_summary: JSON.stringify(encrypted),
         generated_at: new Date().toISOString(),
         expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days
@@ -138,15 +143,8 @@ export const storeSummary = async (supabase, userId, weekNumber, summary) => {
 
     const { error } = await supabase
         .from('therapy_summaries')
-        .upsert(record, { onConflict: 'user_id,week_number' });
+        .upsert(record, { onConflict: 'user_id,iso_year,iso_week' });
 
     if (error) throw error;
     return { success: true };
 };
-
-// Get current week number
-export const getWeekNumber = (date = new Date()) => {
-    const startOfYear = new Date(date.getFullYear(), 0, 1);
-    const days = Math.floor((date - startOfYear) / (24 * 60 * 60 * 1000));
-    return Math.ceil((days + startOfYear.getDay() + 1) / 7);
-};
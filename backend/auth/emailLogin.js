@@ -0,0 +1,220 @@
+// Passwordless Email Login
+// A sign-in request emails a 6-digit code and a magic link; either one
+// proves the user controls the address. Only keyed hashes are stored, each
+// code works once, expires quickly and allows a few wrong guesses.
+import crypto from 'crypto';
+import { getHashKey } from '../utils/keyManagement.js';
+import { sendMail } from '../utils/mailer.js';
+import { findOrCreateUser, startSession } from './signIn.js';
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+// At most this many codes per email address per window
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = 5;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const failure = (error, code, extra = {}) => ({ success: false, error, code, ...extra });
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Codes only have a million values, so they're HMAC'd with a server key: a
+// leaked table can't be brute-forced offline
+export const hashLoginSecret = (value) => {
+    return crypto.createHmac('sha256', Buffer.from(getHashKey(), 'hex')).update(value).digest('hex');
+};
+
+const buildLoginLink = (token) => {
+    const base = process.env.EMAIL_LOGIN_LINK_URL || 'lifejournal://auth/email';
+    return `${base}?token=${encodeURIComponent(token)}`;
+};
+
+const listRecentRequests = async (supabase, email, now) => {
+    const { data, error } = await supabase
+        .from('login_codes')
+        .select('id, created_at')
+        .eq('email', email)
+        .gte('created_at', new Date(now - RATE_LIMIT_WINDOW_MS).toISOString());
+
+    if (error) throw error;
+    return data || [];
+};
+
+// Remove a code that was recorded but never sent
+const deleteLoginCode = async (supabase, id) => {
+    const { error } = await supabase
+        .from('login_codes')
+        .delete()
+        .eq('id', id);
+
+    if (error) throw error;
+};
+
+// The address with its local part hidden, for logs
+const maskEmail = (email) => email.replace(/^[^@]*/, (local) => `${local[0]}***`);
+
+// Create and email a login code. Sending mail is the only side effect a
+// caller sees, so the response never says whether the account exists.
+export const requestLoginCode = async (supabase, rawEmail, { now = Date.now() } = {}) => {
+    const email = normalizeEmail(rawEmail);
+    if (!EMAIL_PATTERN.test(email)) {
+        return failure('A valid email address is required', 'INVALID_EMAIL');
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const linkToken = crypto.randomBytes(32).toString('base64url');
+
+    const { data: created, error } = await supabase
+        .from('login_codes')
+        .insert({
+            email,
+            code_hash: hashLoginSecret(`${email}:${code}`),
+            token_hash: hashLoginSecret(linkToken),
+            attempts: 0,
+            expires_at: new Date(now + CODE_TTL_MS).toISOString(),
+            created_at: new Date(now).toISOString()
+        })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+
+    // Counted after recording this request, so concurrent requests can't all
+    // see room under the limit; one over it is taken back unsent
+    const recent = await listRecentRequests(supabase, email, now);
+    if (recent.length > RATE_LIMIT_MAX_REQUESTS) {
+        await deleteLoginCode(supabase, created.id);
+        const others = recent.filter(row => row.id !== created.id);
+        const oldest = Math.min(...others.map(row => new Date(row.created_at).getTime()));
+        return failure('Too many sign-in requests, please wait before trying again', 'RATE_LIMITED', {
+            retryAfterSeconds: Math.max(1, Math.ceil((oldest + RATE_LIMIT_WINDOW_MS - now) / 1000))
+        });
+    }
+
+    await sendMail({
+        to: email,
+        subject: `Your Life Journal sign-in code: ${code}`,
+        text: [
+            `Your sign-in code is ${code}`,
+            '',
+            `Or open this link on your phone to sign in: ${buildLoginLink(linkToken)}`,
+            '',
+            `The code expires in ${CODE_TTL_MS / 60000} minutes. If you didn't ask to sign in, ignore this email.`
+        ].join('\n')
+    });
+
+    console.log(`[EmailLogin] Sent sign-in code to ${maskEmail(email)}`);
+    return { success: true };
+};
+
+// Mark a code used; only one of two concurrent verifications can win
+const claimLoginCode = async (supabase, id) => {
+    const { data, error } = await supabase
+        .from('login_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('used_at', null)
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+};
+
+// Count a guess against a code before checking it. The update only matches
+// the count as it was read, so of two concurrent guesses only one gets to
+// check the code; false for the other.
+const countAttempt = async (supabase, record) => {
+    const { data, error } = await supabase
+        .from('login_codes')
+        .update({ attempts: record.attempts + 1 })
+        .eq('id', record.id)
+        .eq('attempts', record.attempts)
+        .is('used_at', null)
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+};
+
+const findByCode = async (supabase, email, code, now) => {
+    // Wrong guesses count against the newest live code for the address
+    const { data, error } = await supabase
+        .from('login_codes')
+        .select('*')
+        .eq('email', email)
+        .is('used_at', null)
+        .gte('expires_at', new Date(now).toISOString())
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+    if (error) throw error;
+    const record = data?.[0];
+    if (!record) return { error: failure('Code is invalid or has expired', 'INVALID_CODE') };
+
+    if (record.attempts >= MAX_ATTEMPTS) {
+        return { error: failure('Too many wrong codes, request a new one', 'TOO_MANY_ATTEMPTS') };
+    }
+
+    if (!(await countAttempt(supabase, record))) {
+        return { error: failure('Code is invalid or has expired', 'INVALID_CODE') };
+    }
+
+    const expected = Buffer.from(record.code_hash, 'hex');
+    const actual = Buffer.from(hashLoginSecret(`${email}:${code}`), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return { error: failure('Code is invalid or has expired', 'INVALID_CODE') };
+    }
+
+    return { record };
+};
+
+const findByLinkToken = async (supabase, token, now) => {
+    const { data, error } = await supabase
+        .from('login_codes')
+        .select('*')
+        .eq('token_hash', hashLoginSecret(token))
+        .single();
+
+    // PGRST116: no such link
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data || data.used_at || new Date(data.expires_at).getTime() < now) {
+        return { error: failure('Sign-in link is invalid or has expired', 'INVALID_CODE') };
+    }
+    return { record: data };
+};
+
+// Sign in with { email, code } from the email, or { token } from its link
+export const verifyLoginCode = async (supabase, { email: rawEmail, code, token }, client = {}, { now = Date.now() } = {}) => {
+    let lookup;
+    if (token) {
+        lookup = await findByLinkToken(supabase, String(token), now);
+    } else if (rawEmail && code) {
+        lookup = await findByCode(supabase, normalizeEmail(rawEmail), String(code).trim(), now);
+    } else {
+        return failure('Email and code, or a sign-in link token, required', 'MISSING_CODE');
+    }
+
+    if (lookup.error) return lookup.error;
+
+    const { record } = lookup;
+    if (!(await claimLoginCode(supabase, record.id))) {
+        return failure('Code has already been used', 'INVALID_CODE');
+    }
+
+    const userId = await findOrCreateUser(supabase, record.email);
+    const { token: jwtToken, refreshToken } = await startSession(supabase, userId, record.email, client);
+
+    return {
+        success: true,
+        token: jwtToken,
+        refreshToken,
+        user: {
+            id: userId,
+            email: record.email,
+            name: null,
+            picture: null
+        }
+    };
+};
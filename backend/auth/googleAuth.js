@@ -1,14 +1,69 @@
 // Google OAuth Authentication Service
+import crypto from 'crypto';
 import axios from 'axios';
-import { generateToken, generateRefreshToken } from './jwtMiddleware.js';
+import jwt from 'jsonwebtoken';
+import { generateToken } from './jwtMiddleware.js';
+import { issueRefreshToken } from './refreshTokens.js';
+import { createSession } from './sessions.js';
+import { findOrCreateUser, startSession } from './signIn.js';
+import { GOOGLE_TOKEN_URL, storeGoogleTokens } from './googleTokens.js';
 
-const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
 const GOOGLE_USERINFO_URL = 'https://www.googleapis.com/oauth2/v2/userinfo';
 
-export const exchangeCodeForTokens = async (code, redirectUri) => {
+// How long a user has to finish signing in at Google
+const OAUTH_STATE_TTL = '10m';
+
+const failure = (error, code) => ({ success: false, error, code });
+
+// PKCE S256: base64url(sha256(verifier))
+export const computeCodeChallenge = (codeVerifier) => {
+    return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+};
+
+// The OAuth state is a short-lived signed token, so the callback can check it
+// came from us without storing anything. It binds the redirect URI and the
+// app's PKCE challenge: only the app holding the matching verifier can use it.
+export const createOAuthState = (redirectUri, codeChallenge) => {
+    return jwt.sign(
+        {
+            type: 'oauth_state',
+            redirectUri,
+            codeChallenge,
+            nonce: crypto.randomBytes(16).toString('hex')
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: OAUTH_STATE_TTL }
+    );
+};
+
+// Check a returned state against the app's code verifier. Returns the
+// redirect URI the flow started with.
+export const verifyOAuthState = (state, codeVerifier) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(state, process.env.JWT_SECRET);
+    } catch (error) {
+        return error.name === 'TokenExpiredError'
+            ? failure('Sign-in took too long, please try again', 'STATE_EXPIRED')
+            : failure('Invalid OAuth state', 'INVALID_STATE');
+    }
+
+    if (decoded.type !== 'oauth_state') {
+        return failure('Invalid OAuth state', 'INVALID_STATE');
+    }
+
+    if (!codeVerifier || computeCodeChallenge(codeVerifier) !== decoded.codeChallenge) {
+        return failure('Code verifier does not match this sign-in', 'INVALID_CODE_VERIFIER');
+    }
+
+    return { success: true, redirectUri: decoded.redirectUri };
+};
+
+export const exchangeCodeForTokens = async (code, redirectUri, codeVerifier) => {
     try {
         const response = await axios.post(GOOGLE_TOKEN_URL, {
             code,
+            code_verifier: codeVerifier,
             client_id: process.env.GOOGLE_OAUTH_CLIENT_ID,
             client_secret: process.env.GOOGLE_OAUTH_SECRET,
             redirect_uri: redirectUri,
@@ -45,48 +100,28 @@ export const getGoogleUserInfo = async (accessToken) => {
     }
 };
 
-export const handleGoogleAuth = async (supabase, code, redirectUri) => {
+// redirectUri and codeVerifier come from a verified OAuth state (see
+// verifyOAuthState); client is { device, userAgent } for the session list.
+// Google's tokens go to the credential vault in storage (see storage/index.js).
+export const handleGoogleAuth = async (supabase, code, redirectUri, codeVerifier, client = {}, storage = supabase) => {
     // Exchange code for tokens
-    const tokens = await exchangeCodeForTokens(code, redirectUri);
+    const tokens = await exchangeCodeForTokens(code, redirectUri, codeVerifier);
 
     // Get user info from Google
     const userInfo = await getGoogleUserInfo(tokens.accessToken);
 
-    // Check if user exists in our database
-    let { data: existingUser } = await supabase
-        .from('users')
-        .select('id, email')
-        .eq('email', userInfo.email)
-        .single();
-
-    let userId;
-
-    if (existingUser) {
-        userId = existingUser.id;
-        // Update last login
-        await supabase
-            .from('users')
-            .update({ updated_at: new Date().toISOString() })
-            .eq('id', userId);
-    } else {
-        // Create new user
-        const { data: newUser, error } = await supabase
-            .from('users')
-            .insert({
-                email: userInfo.email,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            })
-            .select('id')
-            .single();
-
-        if (error) throw error;
-        userId = newUser.id;
+    const userId = await findOrCreateUser(supabase, userInfo.email);
+
+    // Keep Google's tokens server-side for background sync; a failure here
+    // shouldn't block sign-in, the integrations just show as not connected
+    try {
+        await storeGoogleTokens(storage, userId, tokens);
+    } catch (error) {
+        console.warn('[Auth] Could not store Google tokens:', error.message);
     }
 
     // Generate our own JWT tokens
-    const jwtToken = generateToken(userId, userInfo.email);
-    const refreshToken = generateRefreshToken(userId);
+    const { token: jwtToken, refreshToken } = await startSession(supabase, userId, userInfo.email, client);
 
     return {
         success: true,
@@ -97,18 +132,29 @@ export const handleGoogleAuth = async (supabase, code, redirectUri) => {
             email: userInfo.email,
             name: userInfo.name,
             picture: userInfo.picture
-        },
-        googleTokens: tokens // Store these for API access
+        }
     };
 };
 
 // For testing without real Google OAuth (works without database)
-export const handleMockAuth = async (supabase, email = 'test@example.com') => {
+export const handleMockAuth = async (supabase, email = 'test@example.com', client = {}) => {
     // Generate a deterministic mock user ID from email
     const mockUserId = 'demo-' + Buffer.from(email).toString('base64').slice(0, 8);
 
-    const jwtToken = generateToken(mockUserId, email);
-    const refreshToken = generateRefreshToken(mockUserId);
+    // Demo users have no users row, so there is usually nowhere to record a
+    // session; the login then can't be refreshed or revoked and simply ends
+    // when the access token expires
+    let sessionId = null;
+    let refreshToken = null;
+    try {
+        sessionId = await createSession(supabase, mockUserId, client);
+        refreshToken = await issueRefreshToken(supabase, mockUserId, email, sessionId);
+    } catch (error) {
+        console.warn('[Auth] Demo session will not be refreshable:', error.message);
+        sessionId = null;
+    }
+
+    const jwtToken = generateToken(mockUserId, email, sessionId);
 
     return {
         success: true,
@@ -123,11 +169,14 @@ export const handleMockAuth = async (supabase, email = 'test@example.com') => {
     };
 };
 
-export const getGoogleOAuthUrl = (redirectUri) => {
+export const getGoogleOAuthUrl = (redirectUri, { state, codeChallenge }) => {
     const params = new URLSearchParams({
         client_id: process.env.GOOGLE_OAUTH_CLIENT_ID,
         redirect_uri: redirectUri,
         response_type: 'code',
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
         scope: [
             'openid',
             'email',
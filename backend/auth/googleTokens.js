@@ -0,0 +1,68 @@
+// Google API Tokens
+// The access and refresh tokens from Google sign-in are kept in the
+// credential vault, so Google-backed agents can run without the user present
+import axios from 'axios';
+import { storeCredential, getCredentialRecord } from '../utils/credentialVault.js';
+
+export const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+// Vault key for the user's Google account, shared by every Google integration
+export const GOOGLE_CREDENTIAL = 'google';
+
+// Refresh a little early so a token doesn't expire mid-sync
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+const expiresAtFrom = (expiresIn) => {
+    return expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null;
+};
+
+// Save tokens from a code exchange or refresh ({ accessToken, refreshToken, expiresIn })
+export const storeGoogleTokens = async (db, userId, tokens) => {
+    return storeCredential(db, userId, GOOGLE_CREDENTIAL, tokens.accessToken, 'oauth', {
+        refreshToken: tokens.refreshToken || null,
+        expiresAt: expiresAtFrom(tokens.expiresIn)
+    });
+};
+
+export const refreshGoogleAccessToken = async (refreshToken) => {
+    try {
+        const response = await axios.post(GOOGLE_TOKEN_URL, {
+            refresh_token: refreshToken,
+            client_id: process.env.GOOGLE_OAUTH_CLIENT_ID,
+            client_secret: process.env.GOOGLE_OAUTH_SECRET,
+            grant_type: 'refresh_token'
+        });
+
+        return {
+            accessToken: response.data.access_token,
+            // Google only sends a new refresh token if it rotated the old one
+            refreshToken: response.data.refresh_token || refreshToken,
+            expiresIn: response.data.expires_in
+        };
+    } catch (error) {
+        console.error('Google token refresh error:', error.response?.data || error.message);
+        throw new Error('Failed to refresh Google access token');
+    }
+};
+
+// A usable Google access token for a user, refreshed and re-stored if it is
+// about to expire. Returns null if the user never connected Google.
+export const getGoogleAccessToken = async (db, userId, { refresh = refreshGoogleAccessToken } = {}) => {
+    const credential = await getCredentialRecord(db, userId, GOOGLE_CREDENTIAL);
+    if (!credential) return null;
+
+    const expiresAt = credential.expiresAt ? new Date(credential.expiresAt).getTime() : null;
+    if (!expiresAt || expiresAt - Date.now() > EXPIRY_MARGIN_MS) {
+        return credential.token;
+    }
+
+    if (!credential.refreshToken) {
+        throw new Error('Google access has expired; sign in with Google again');
+    }
+
+    console.log(`[GoogleTokens] Refreshing Google access token for user ${userId}`);
+    const refreshed = await refresh(credential.refreshToken);
+    await storeGoogleTokens(db, userId, refreshed);
+
+    return refreshed.accessToken;
+};
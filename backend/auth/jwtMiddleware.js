@@ -1,7 +1,15 @@
 // JWT Authentication Middleware
 import jwt from 'jsonwebtoken';
 
-export const authenticateToken = (req, res, next) => {
+// Server-side session check, set by the app (see auth/sessions.js). Without
+// one, only the token signature and expiry are checked.
+let sessionValidator = null;
+
+export const setSessionValidator = (validator) => {
+    sessionValidator = validator;
+};
+
+export const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -13,11 +21,9 @@ export const authenticateToken = (req, res, next) => {
         });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.userId = decoded.userId;
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
             return res.status(401).json({
@@ -32,19 +38,50 @@ export const authenticateToken = (req, res, next) => {
             code: 'INVALID_TOKEN'
         });
     }
+
+    // Tokens without a jti predate sessions (or are demo logins with no
+    // users row) and are accepted until they expire
+    if (sessionValidator && decoded.jti) {
+        let active;
+        try {
+            active = await sessionValidator(decoded);
+        } catch (error) {
+            console.error('Session check error:', error.message);
+            return res.status(503).json({
+                success: false,
+                error: 'Could not verify session',
+                code: 'SESSION_CHECK_FAILED'
+            });
+        }
+
+        if (!active) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session has been revoked',
+                code: 'SESSION_REVOKED'
+            });
+        }
+    }
+
+    req.userId = decoded.userId;
+    req.user = decoded;
+    req.sessionId = decoded.jti || null;
+    next();
 };
 
-export const generateToken = (userId, email) => {
+// sessionId becomes the token's jti, tying it to a sessions row
+export const generateToken = (userId, email, sessionId = null) => {
     return jwt.sign(
         { userId, email },
         process.env.JWT_SECRET,
-        { expiresIn: '7d' }
+        sessionId ? { expiresIn: '7d', jwtid: sessionId } : { expiresIn: '7d' }
     );
 };
 
-export const generateRefreshToken = (userId) => {
+// claims carries the rotation bookkeeping (jti, familyId, email) from refreshTokens.js
+export const generateRefreshToken = (userId, claims = {}) => {
     return jwt.sign(
-        { userId, type: 'refresh' },
+        { ...claims, userId, type: 'refresh' },
         process.env.JWT_SECRET,
         { expiresIn: '30d' }
     );
@@ -0,0 +1,128 @@
+// Refresh Token Rotation
+// Every refresh token works once. Exchanging it issues a replacement in the
+// same family; if a used token is ever presented again, someone else holds a
+// copy, so the whole session is revoked and the user must sign in again.
+// A token family is a session: family_id is the session id.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { generateToken, generateRefreshToken } from './jwtMiddleware.js';
+import { revokeSession } from './sessions.js';
+
+const failure = (error, code) => ({ success: false, error, code });
+
+// Sign a refresh token and record it so it can be rotated later
+const createRefreshToken = async (supabase, userId, email, familyId, jti = crypto.randomUUID()) => {
+    const token = generateRefreshToken(userId, { jti, familyId, email });
+    const { exp } = jwt.decode(token);
+
+    const { error } = await supabase
+        .from('refresh_tokens')
+        .insert({
+            id: jti,
+            user_id: userId,
+            family_id: familyId,
+            expires_at: new Date(exp * 1000).toISOString(),
+            created_at: new Date().toISOString()
+        });
+
+    if (error) throw error;
+    return token;
+};
+
+// Start a session's token family at sign-in
+export const issueRefreshToken = (supabase, userId, email, sessionId = crypto.randomUUID()) => {
+    return createRefreshToken(supabase, userId, email, sessionId);
+};
+
+const verifyRefreshToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Tokens from before rotation have no jti and can't be tracked
+        if (decoded.type !== 'refresh' || !decoded.jti || !decoded.familyId) {
+            return { error: failure('Invalid refresh token', 'INVALID_REFRESH_TOKEN') };
+        }
+        return { decoded };
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return { error: failure('Refresh token has expired', 'REFRESH_TOKEN_EXPIRED') };
+        }
+        return { error: failure('Invalid refresh token', 'INVALID_REFRESH_TOKEN') };
+    }
+};
+
+const handleReuse = async (supabase, decoded) => {
+    console.warn(`[RefreshTokens] Reuse detected for user ${decoded.userId}, revoking session`);
+    await revokeSession(supabase, decoded.userId, decoded.familyId);
+    return failure('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+};
+
+// Mark a token used, pointing at its replacement. Only one of two concurrent
+// exchanges can claim it; false for the other.
+const claimRefreshToken = async (supabase, jti, nextJti) => {
+    const { data, error } = await supabase
+        .from('refresh_tokens')
+        .update({ used_at: new Date().toISOString(), replaced_by: nextJti })
+        .eq('id', jti)
+        .is('used_at', null)
+        .select('id');
+
+    if (error) throw error;
+    return Boolean(data && data.length > 0);
+};
+
+// Retire a replacement that was never handed out
+const discardRefreshToken = async (supabase, jti) => {
+    const { error } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', jti);
+
+    if (error) console.warn(`[RefreshTokens] Could not discard unused token ${jti}:`, error.message);
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Throws if the database can't be reached, so an outage isn't mistaken for
+// a bad token.
+export const rotateRefreshToken = async (supabase, refreshToken) => {
+    const { decoded, error: verifyError } = verifyRefreshToken(refreshToken);
+    if (verifyError) return verifyError;
+
+    const { data: stored, error: lookupError } = await supabase
+        .from('refresh_tokens')
+        .select('*')
+        .eq('id', decoded.jti)
+        .eq('user_id', decoded.userId)
+        .single();
+
+    // PGRST116: no such token
+    if (lookupError && lookupError.code !== 'PGRST116') throw lookupError;
+    if (!stored) return failure('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    if (stored.revoked_at) return failure('Refresh token has been revoked', 'REFRESH_TOKEN_REVOKED');
+    if (stored.used_at) return handleReuse(supabase, decoded);
+
+    // The replacement is recorded before the token is claimed, so if either
+    // step fails the client can retry with the same token
+    const nextJti = crypto.randomUUID();
+    const nextRefreshToken = await createRefreshToken(
+        supabase, decoded.userId, decoded.email, decoded.familyId, nextJti
+    );
+
+    let claimed;
+    try {
+        claimed = await claimRefreshToken(supabase, decoded.jti, nextJti);
+    } catch (error) {
+        await discardRefreshToken(supabase, nextJti);
+        throw error;
+    }
+
+    if (!claimed) {
+        await discardRefreshToken(supabase, nextJti);
+        return handleReuse(supabase, decoded);
+    }
+
+    return {
+        success: true,
+        token: generateToken(decoded.userId, decoded.email, decoded.familyId),
+        refreshToken: nextRefreshToken
+    };
+};
@@ -0,0 +1,135 @@
+// Server-side Sessions
+// Each sign-in creates a sessions row whose id is the jti claim of every
+// access token issued for it (and the family of its refresh tokens), so a
+// session can be cut off before its tokens expire
+import crypto from 'crypto';
+
+// Writing last_seen_at on every request would be wasteful; minutes are enough
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+// Device label for a sign-in request: the app's X-Device-Name, else the user agent
+export const describeClient = (req) => ({
+    device: req.get('X-Device-Name') || null,
+    userAgent: req.get('User-Agent') || null
+});
+
+export const createSession = async (supabase, userId, client = {}) => {
+    const now = new Date().toISOString();
+    const session = {
+        id: crypto.randomUUID(),
+        user_id: userId,
+        device: client.device || null,
+        user_agent: client.userAgent || null,
+        created_at: now,
+        last_seen_at: now
+    };
+
+    const { error } = await supabase
+        .from('sessions')
+        .insert(session);
+
+    if (error) throw error;
+    return session.id;
+};
+
+// Whether a session is still live. Also bumps last_seen_at, best-effort.
+// Throws if the session can't be read, so an outage isn't taken for a
+// revocation and every user signed out.
+export const isSessionActive = async (supabase, sessionId, userId) => {
+    const { data: session, error } = await supabase
+        .from('sessions')
+        .select('id, revoked_at, last_seen_at')
+        .eq('id', sessionId)
+        .eq('user_id', userId)
+        .single();
+
+    // PGRST116: no such session
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!session || session.revoked_at) return false;
+
+    if (Date.now() - new Date(session.last_seen_at) > LAST_SEEN_RESOLUTION_MS) {
+        const { error } = await supabase
+            .from('sessions')
+            .update({ last_seen_at: new Date().toISOString() })
+            .eq('id', sessionId);
+
+        if (error) console.warn('[Sessions] Could not update last seen:', error.message);
+    }
+
+    return true;
+};
+
+// API shape for a session row
+export const formatSession = (row, currentSessionId = null) => ({
+    id: row.id,
+    device: row.device || row.user_agent || 'Unknown device',
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+    current: row.id === currentSessionId
+});
+
+export const listSessions = async (supabase, userId, currentSessionId = null) => {
+    const { data, error } = await supabase
+        .from('sessions')
+        .select('*')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .order('last_seen_at', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(row => formatSession(row, currentSessionId));
+};
+
+// Session ids are UUIDs; anything else would fail Postgres' uuid cast
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Revoke one session and every refresh token issued for it. Returns false
+// if the user has no such active session.
+export const revokeSession = async (supabase, userId, sessionId) => {
+    if (!SESSION_ID_PATTERN.test(sessionId)) return false;
+
+    const revokedAt = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from('sessions')
+        .update({ revoked_at: revokedAt })
+        .eq('id', sessionId)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) throw error;
+
+    const { error: tokenError } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: revokedAt })
+        .eq('family_id', sessionId)
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+    if (tokenError) throw tokenError;
+    return (data || []).length > 0;
+};
+
+// Sign out everywhere. Returns the number of sessions revoked.
+export const revokeAllSessions = async (supabase, userId) => {
+    const revokedAt = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from('sessions')
+        .update({ revoked_at: revokedAt })
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) throw error;
+
+    const { error: tokenError } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: revokedAt })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+    if (tokenError) throw tokenError;
+    return (data || []).length;
+};
@@ -0,0 +1,49 @@
+// Sign-in helpers shared by every login method (Google, email code)
+import { generateToken } from './jwtMiddleware.js';
+import { issueRefreshToken } from './refreshTokens.js';
+import { createSession } from './sessions.js';
+
+// Find the user with this email, creating them on first sign-in. Returns the user id.
+export const findOrCreateUser = async (supabase, email) => {
+    // Check if user exists in our database
+    let { data: existingUser } = await supabase
+        .from('users')
+        .select('id, email')
+        .eq('email', email)
+        .single();
+
+    if (existingUser) {
+        // Update last login
+        await supabase
+            .from('users')
+            .update({ updated_at: new Date().toISOString() })
+            .eq('id', existingUser.id);
+
+        return existingUser.id;
+    }
+
+    // Create new user
+    const { data: newUser, error } = await supabase
+        .from('users')
+        .insert({
+            email,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+    return newUser.id;
+};
+
+// Open a session and issue our own JWT tokens for it.
+// client is { device, userAgent } for the session list.
+export const startSession = async (supabase, userId, email, client = {}) => {
+    const sessionId = await createSession(supabase, userId, client);
+
+    return {
+        token: generateToken(userId, email, sessionId),
+        refreshToken: await issueRefreshToken(supabase, userId, email, sessionId)
+    };
+};
@@ -5,7 +5,8 @@ import dotenv from 'dotenv';
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import crypto from 'crypto';
+import { getUserKey, encryptUserData } from '../utils/userKeys.js';
+import { aadFor } from '../utils/encryption.js';
 
 dotenv.config({ path: join(dirname(fileURLToPath(import.meta.url)), '../../.env') });
 
@@ -18,21 +19,6 @@ const supabase = createClient(
     process.env.SUPABASE_ANON_KEY
 );
 
-// Encryption functions (duplicated to avoid import issues)
-const encryptData = (data, masterKey) => {
-    const iv = crypto.randomBytes(16);
-    const key = Buffer.from(masterKey, 'hex');
-    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
-    let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    const authTag = cipher.getAuthTag();
-    return {
-        encryptedData: encrypted,
-        iv: iv.toString('hex'),
-        authTag: authTag.toString('hex')
-    };
-};
-
 const TEST_USER = {
     email: 'test@lifejournal.app',
     id: null // Will be set after creation
@@ -69,6 +55,10 @@ async function seedDatabase() {
             console.log(`   Created user: ${TEST_USER.id}`);
         }
 
+        // Seeded events are encrypted with the test user's data key
+        const dataKey = await getUserKey(supabase, TEST_USER.id);
+        const eventContext = aadFor(TEST_USER.id, 'timeline_events', 'event_data_encrypted');
+
         // 2. Load and insert location events
         console.log('\n2. Inserting location events...');
         const locationsData = JSON.parse(
@@ -80,7 +70,7 @@ async function seedDatabase() {
             event_date: loc.timestamp.split('T')[0],
             event_type: 'location',
             event_data_encrypted: JSON.stringify(
-                encryptData(loc.data, process.env.ENCRYPTION_MASTER_KEY)
+                encryptUserData(loc.data, dataKey, eventContext)
             ),
             source_integration: 'google_maps',
             created_at: new Date().toISOString()
@@ -110,7 +100,7 @@ async function seedDatabase() {
             event_date: order.timestamp.split('T')[0],
             event_type: 'purchase',
             event_data_encrypted: JSON.stringify(
-                encryptData(order.data, process.env.ENCRYPTION_MASTER_KEY)
+                encryptUserData(order.data, dataKey, eventContext)
             ),
             source_integration: 'amazon',
             created_at: new Date().toISOString()
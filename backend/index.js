@@ -6,13 +6,37 @@ import Anthropic from '@anthropic-ai/sdk';
 
 // Import modules
 import { validateKeyOnStartup, getMasterKey } from './utils/keyManagement.js';
-import { authenticateToken, generateToken } from './auth/jwtMiddleware.js';
-import { handleGoogleAuth, handleMockAuth, getGoogleOAuthUrl } from './auth/googleAuth.js';
-import { storeCredential, getCredential, storeCredentialLocal } from './utils/credentialVault.js';
-import { googleMapsAgent, getLocationStats } from './agents/googleMapsAgent.js';
-import { amazonAgent, getSpendingStats } from './agents/amazonAgent.js';
-import { syncUserData, syncUserDataLocal, getWeekDateRange } from './sync/weeklySync.js';
-import { generateWeeklySummary, getWeekNumber } from './agents/summaryAgent.js';
+import { authenticateToken, generateToken, setSessionValidator } from './auth/jwtMiddleware.js';
+import {
+    handleGoogleAuth,
+    handleMockAuth,
+    getGoogleOAuthUrl,
+    createOAuthState,
+    verifyOAuthState
+} from './auth/googleAuth.js';
+import { rotateRefreshToken } from './auth/refreshTokens.js';
+import { requestLoginCode, verifyLoginCode } from './auth/emailLogin.js';
+import {
+    describeClient,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+} from './auth/sessions.js';
+import {
+    storeCredential,
+    storeCredentialLocal,
+    listCredentials,
+    deleteCredential
+} from './utils/credentialVault.js';
+import { googleMapsAgent, getLocationStats, importTakeoutLocations } from './agents/googleMapsAgent.js';
+import { amazonAgent, getSpendingStats, importOrderHistory } from './agents/amazonAgent.js';
+import { validateNormalizedEvents } from './agents/claudeNormalizer.js';
+import { syncUserDataLocal, getWeekDateRange, storeTimelineEvents } from './sync/weeklySync.js';
+import { startSyncScheduler } from './sync/scheduler.js';
+import { listSyncRuns, getSyncRun } from './sync/syncRuns.js';
+import { createSyncJob, getSyncJob, streamSyncJob, formatSyncJob, isTerminalEvent } from './sync/syncJobs.js';
+import { generateWeeklySummary } from './agents/summaryAgent.js';
 import {
     generateCoachInsight,
     generateReflectionPrompts,
@@ -23,9 +47,17 @@ import {
     generateChatResponse,
     extractUserContext,
     generateConversationSummary,
-    generateCheckIn
+    generateCheckIn,
+    generateReflection
 } from './agents/coachAgent.js';
 import { encryptData, decryptData } from './utils/encryption.js';
+import { getUserKey } from './utils/userKeys.js';
+import { getClientEncryption, enableClientEncryption, isClientCiphertext } from './utils/clientEncryption.js';
+import { listIntegrations, getIntegration, isKnownIntegration, describeIntegration } from './integrations/index.js';
+import { openStorage, getRepositories } from './storage/index.js';
+import { isValidTimeZone, getUserTimeZone, todayIn, timeOfDayIn } from './utils/dates.js';
+import { isValidWeekStart, getUserWeekStart, currentWeek, parseWeekId } from './utils/weeks.js';
+import { TimelineEvent, CoachMessage, ContextItem, CalendarEvent } from './models/index.js';
 
 dotenv.config();
 
@@ -42,6 +74,10 @@ const supabase = createClient(
     process.env.SUPABASE_ANON_KEY
 );
 
+// Journal data lives in Supabase, or in SQLite with STORAGE_BACKEND=sqlite
+const storage = openStorage(supabase);
+const repos = getRepositories(storage);
+
 // Initialize Claude
 const anthropic = new Anthropic({
     apiKey: process.env.CLAUDE_API_KEY
@@ -68,6 +104,51 @@ if (!validateKeyOnStartup()) {
     process.exit(1);
 }
 
+// Access tokens are only honoured while their session is active
+setSessionValidator((decoded) => isSessionActive(supabase, decoded.jti, decoded.userId));
+
+// ============================================
+// ENVIRONMENT CAPABILITIES
+// ============================================
+
+// Everything that only makes sense on a developer's machine is switched on
+// here and nowhere else. DEV_MODE must be set explicitly; NODE_ENV alone
+// never enables it, and production refuses to start with it.
+const capabilities = Object.freeze({
+    // Mock sign-in and the unauthenticated test endpoints
+    devRoutes: process.env.DEV_MODE === 'true',
+    // Claude-backed coach endpoints that don't read user data may be called
+    // without signing in, e.g. with curl
+    openClaudeEndpoints: process.env.DEV_MODE === 'true'
+});
+
+if (capabilities.devRoutes && process.env.NODE_ENV === 'production') {
+    console.error('DEV_MODE=true is not allowed when NODE_ENV=production');
+    console.error('It would let anyone mint tokens through /auth/mock');
+    process.exit(1);
+}
+
+if (capabilities.devRoutes) {
+    console.warn('');
+    console.warn('!!! DEV MODE: /auth/mock, /api/sync/test and /api/insights/test are mounted');
+    console.warn('!!! DEV MODE: coach endpoints accept unauthenticated requests');
+    console.warn('!!! Never expose this server publicly');
+    console.warn('');
+}
+
+// Mount a route only in dev mode. Otherwise it falls through to the 404
+// handler, so it looks exactly like a path that doesn't exist.
+const devRoute = (method, path, ...handlers) => {
+    if (capabilities.devRoutes) {
+        app[method](path, ...handlers);
+    }
+};
+
+// Guard for endpoints that spend Claude tokens without touching user data
+const claudeAccess = capabilities.openClaudeEndpoints
+    ? (req, res, next) => next()
+    : authenticateToken;
+
 // ============================================
 // HEALTH & TEST ENDPOINTS
 // ============================================
@@ -106,17 +187,39 @@ app.get('/api/test', async (req, res) => {
 // AUTHENTICATION ENDPOINTS
 // ============================================
 
-// Get Google OAuth URL
+// Get Google OAuth URL. The app sends its PKCE code_challenge and gets back
+// the URL to open plus the state it should expect on the way back.
 app.get('/auth/google', (req, res) => {
-    const redirectUri = req.query.redirect_uri || `${process.env.BACKEND_URL}/auth/callback/google`;
-    const url = getGoogleOAuthUrl(redirectUri);
-    res.json({ url });
+    const codeChallenge = req.query.code_challenge;
+
+    if (!codeChallenge) {
+        return res.status(400).json({
+            success: false,
+            error: 'PKCE code_challenge required',
+            code: 'MISSING_CODE_CHALLENGE'
+        });
+    }
+
+    const redirectUri = `${process.env.BACKEND_URL}/auth/callback/google`;
+    const state = createOAuthState(redirectUri, codeChallenge);
+    const url = getGoogleOAuthUrl(redirectUri, { state, codeChallenge });
+    res.json({ url, state });
 });
 
-// Google OAuth callback
+// Google redirects the browser here; hand the code and state on to the app
+app.get('/auth/callback/google', (req, res) => {
+    const appRedirect = process.env.APP_AUTH_REDIRECT_URI || 'lifejournal://auth';
+    const params = new URLSearchParams();
+    ['code', 'state', 'error'].forEach(key => {
+        if (typeof req.query[key] === 'string') params.set(key, req.query[key]);
+    });
+    res.redirect(`${appRedirect}?${params.toString()}`);
+});
+
+// Google OAuth callback: the app exchanges the code with its PKCE verifier
 app.post('/auth/callback/google', async (req, res) => {
     try {
-        const { code, redirect_uri } = req.body;
+        const { code, state, code_verifier } = req.body;
 
         if (!code) {
             return res.status(400).json({
@@ -126,7 +229,14 @@ app.post('/auth/callback/google', async (req, res) => {
             });
         }
 
-        const result = await handleGoogleAuth(supabase, code, redirect_uri);
+        const verified = verifyOAuthState(state, code_verifier);
+        if (!verified.success) {
+            return res.status(400).json(verified);
+        }
+
+        const result = await handleGoogleAuth(
+            supabase, code, verified.redirectUri, code_verifier, describeClient(req), storage
+        );
         res.json(result);
     } catch (error) {
         console.error('Google auth error:', error);
@@ -138,11 +248,88 @@ app.post('/auth/callback/google', async (req, res) => {
     }
 });
 
-// Mock auth for testing
-app.post('/auth/mock', async (req, res) => {
+// Email sign-in, step 1: send a one-time code and magic link
+app.post('/auth/email/start', async (req, res) => {
+    try {
+        const result = await requestLoginCode(supabase, req.body.email);
+
+        if (!result.success) {
+            const status = result.code === 'RATE_LIMITED' ? 429 : 400;
+            if (result.retryAfterSeconds) res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(status).json(result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Check your email for a sign-in code'
+        });
+    } catch (error) {
+        console.error('Email login error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'EMAIL_LOGIN_FAILED'
+        });
+    }
+});
+
+// Email sign-in, step 2: exchange { email, code } or { token } for our tokens
+app.post('/auth/email/verify', async (req, res) => {
+    try {
+        const { email, code, token } = req.body;
+        const result = await verifyLoginCode(supabase, { email, code, token }, describeClient(req));
+
+        if (!result.success) {
+            const status = result.code === 'MISSING_CODE' ? 400 : 401;
+            return res.status(status).json(result);
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Email verify error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'EMAIL_LOGIN_FAILED'
+        });
+    }
+});
+
+// Exchange a refresh token for a new access token. The refresh token is
+// rotated: the response carries its replacement and the old one stops working.
+app.post('/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'Refresh token required',
+                code: 'MISSING_REFRESH_TOKEN'
+            });
+        }
+
+        const result = await rotateRefreshToken(supabase, refreshToken);
+        if (!result.success) {
+            return res.status(401).json(result);
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'REFRESH_FAILED'
+        });
+    }
+});
+
+// Mock auth for testing (dev mode only)
+devRoute('post', '/auth/mock', async (req, res) => {
     try {
         const { email } = req.body;
-        const result = await handleMockAuth(supabase, email || 'test@example.com');
+        const result = await handleMockAuth(supabase, email || 'test@example.com', describeClient(req));
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -152,20 +339,118 @@ app.post('/auth/mock', async (req, res) => {
     }
 });
 
+// Sign out: revoke the session behind this access token
+app.post('/auth/logout', authenticateToken, async (req, res) => {
+    try {
+        if (req.sessionId) {
+            await revokeSession(supabase, req.userId, req.sessionId);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'LOGOUT_FAILED'
+        });
+    }
+});
+
+// ============================================
+// SESSIONS
+// ============================================
+
+// List active sessions (devices signed in to this account)
+app.get('/api/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await listSessions(supabase, req.userId, req.sessionId);
+
+        res.json({
+            success: true,
+            sessions,
+            count: sessions.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'SESSIONS_FETCH_FAILED'
+        });
+    }
+});
+
+// Revoke every session, including this one
+app.delete('/api/sessions', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(supabase, req.userId);
+
+        res.json({
+            success: true,
+            revoked
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'SESSION_REVOKE_FAILED'
+        });
+    }
+});
+
+// Revoke one session, e.g. a lost phone
+app.delete('/api/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await revokeSession(supabase, req.userId, req.params.id);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            current: req.params.id === req.sessionId
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'SESSION_REVOKE_FAILED'
+        });
+    }
+});
+
 // ============================================
 // SYNC ENDPOINTS
 // ============================================
 
-// Trigger data sync
+// Trigger data sync: queues a job and returns its ID. Following it on
+// /api/sync/jobs/:id/events runs it (see sync/syncJobs.js).
+// timezone (IANA) is recorded with the synced events.
 app.post('/api/sync', authenticateToken, async (req, res) => {
     try {
-        const { start, end } = req.body;
-        const dateRange = (start && end)
-            ? { start, end }
-            : getWeekDateRange(0);
+        // An explicit range backfills; otherwise each source resumes from its cursor
+        const { start, end, timezone } = req.body;
+        const dateRange = (start && end) ? { start, end } : null;
 
-        const result = await syncUserData(supabase, req.userId, dateRange);
-        res.json(result);
+        if (timezone && !isValidTimeZone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown timezone',
+                code: 'INVALID_TIMEZONE'
+            });
+        }
+
+        const job = await createSyncJob(supabase, req.userId, dateRange, { timezone });
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            eventsUrl: `/api/sync/jobs/${job.id}/events`
+        });
     } catch (error) {
         console.error('Sync error:', error);
         res.status(500).json({
@@ -176,13 +461,13 @@ app.post('/api/sync', authenticateToken, async (req, res) => {
     }
 });
 
-// Test sync without auth (development only)
-app.post('/api/sync/test', async (req, res) => {
-    if (process.env.NODE_ENV === 'production') {
-        return res.status(403).json({ error: 'Not available in production' });
-    }
-
+// Test sync without auth (dev mode only). The mock agents accept any token,
+// so the test user gets placeholder credentials in the in-memory store.
+devRoute('post', '/api/sync/test', async (req, res) => {
     try {
+        listIntegrations().forEach(integration => {
+            storeCredentialLocal('test-user', integration.credential, 'dev-token');
+        });
         const dateRange = getWeekDateRange(0);
         const result = await syncUserDataLocal('test-user', dateRange);
         res.json(result);
@@ -194,6 +479,211 @@ app.post('/api/sync/test', async (req, res) => {
     }
 });
 
+// Get a sync job's status, and its result once finished
+app.get('/api/sync/jobs/:id', authenticateToken, async (req, res) => {
+    try {
+        const job = await getSyncJob(supabase, req.params.id, req.userId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Sync job not found',
+                code: 'JOB_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            job: formatSyncJob(job)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'SYNC_JOB_FETCH_FAILED'
+        });
+    }
+});
+
+// Stream a sync job's progress as Server-Sent Events, running the job if
+// it hasn't started. Events already sent are replayed, so a client can
+// connect late or resume with Last-Event-ID.
+app.get('/api/sync/jobs/:id/events', authenticateToken, async (req, res) => {
+    let job;
+    try {
+        job = await getSyncJob(supabase, req.params.id, req.userId);
+    } catch (error) {
+        return res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'SYNC_JOB_FETCH_FAILED'
+        });
+    }
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Sync job not found',
+            code: 'JOB_NOT_FOUND'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let stop = () => {};
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        stop();
+    });
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (isTerminalEvent(event)) res.end();
+    };
+
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+    stop = streamSyncJob(supabase, job, send, lastEventId, { storage });
+});
+
+// List recent sync runs (newest first)
+app.get('/api/sync/runs', authenticateToken, async (req, res) => {
+    try {
+        const runs = await listSyncRuns(supabase, req.userId, req.query.limit);
+
+        res.json({
+            success: true,
+            runs,
+            count: runs.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'SYNC_RUNS_FETCH_FAILED'
+        });
+    }
+});
+
+// Get a single sync run with per-source counts, errors and timings
+app.get('/api/sync/runs/:id', authenticateToken, async (req, res) => {
+    try {
+        const run = await getSyncRun(supabase, req.userId, req.params.id);
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                error: 'Sync run not found',
+                code: 'RUN_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            run
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'SYNC_RUNS_FETCH_FAILED'
+        });
+    }
+});
+
+// ============================================
+// IMPORT ENDPOINTS
+// ============================================
+
+// Raw uploads: an export zip, or a single exported JSON/CSV file
+const rawUpload = express.raw({
+    type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream', 'text/csv'],
+    limit: '250mb'
+});
+
+// Route handler for an export upload. parse(body, filename, dateRange)
+// returns { success, events, error } and a summary field, named by details,
+// that is passed back to the client. A file it can't read is a 422 with
+// invalidCode.
+const importHandler = ({ label, missingFileError, invalidCode, parse, details }) => async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: missingFileError,
+                code: 'MISSING_FILE'
+            });
+        }
+
+        const { start, end, filename, timezone } = req.query;
+        const dateRange = (start && end) ? { start, end } : null;
+
+        if (timezone && !isValidTimeZone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown timezone',
+                code: 'INVALID_TIMEZONE'
+            });
+        }
+
+        const result = parse(req.body, filename, dateRange);
+        if (!result.success) {
+            return res.status(422).json({
+                success: false,
+                error: result.error,
+                code: invalidCode
+            });
+        }
+
+        const { events, invalid } = validateNormalizedEvents(result.events);
+        const storeResult = await storeTimelineEvents(storage, req.userId, events, { timezone });
+        if (storeResult.error) throw new Error(storeResult.error);
+
+        res.json({
+            success: true,
+            eventsAdded: storeResult.inserted,
+            eventsInserted: storeResult.inserted,
+            eventsUpdated: storeResult.updated,
+            eventsSkipped: storeResult.skipped,
+            eventsInvalid: invalid,
+            [details]: result[details]
+        });
+    } catch (error) {
+        console.error(`${label} import error:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'IMPORT_FAILED'
+        });
+    }
+};
+
+// Import Google Takeout location history
+app.post('/api/import/google-takeout', authenticateToken, rawUpload, importHandler({
+    label: 'Takeout',
+    missingFileError: 'Takeout archive or JSON file required',
+    invalidCode: 'INVALID_TAKEOUT',
+    parse: importTakeoutLocations,
+    details: 'files'
+}));
+
+// Import Amazon "Request My Data" order history
+app.post('/api/import/amazon', authenticateToken, rawUpload, importHandler({
+    label: 'Amazon',
+    missingFileError: 'Order history archive or CSV file required',
+    invalidCode: 'INVALID_ORDER_HISTORY',
+    parse: importOrderHistory,
+    details: 'stats'
+}));
+
 // ============================================
 // TIMELINE ENDPOINTS
 // ============================================
@@ -204,47 +694,19 @@ app.get('/api/timeline', authenticateToken, async (req, res) => {
         const { start, end } = req.query;
         const dateRange = (start && end)
             ? { start, end }
-            : getWeekDateRange(0);
+            : getWeekDateRange(0, await getUserTimeZone(storage, req.userId));
 
-        const { data, error } = await supabase
-            .from('timeline_events')
-            .select('*')
-            .eq('user_id', req.userId)
-            .gte('event_date', dateRange.start)
-            .lte('event_date', dateRange.end)
-            .order('event_date', { ascending: true });
+        const data = await repos.timeline.listByDateRange(req.userId, dateRange);
 
-        if (error) throw error;
-
-        // Decrypt event data
-        const masterKey = getMasterKey();
-        const events = data.map(record => {
-            try {
-                const encrypted = JSON.parse(record.event_data_encrypted);
-                const decryptedData = decryptData(encrypted, masterKey);
-                return {
-                    id: record.id,
-                    type: record.event_type,
-                    timestamp: record.event_date,
-                    data: decryptedData,
-                    source: record.source_integration
-                };
-            } catch {
-                return {
-                    id: record.id,
-                    type: record.event_type,
-                    timestamp: record.event_date,
-                    data: null,
-                    source: record.source_integration
-                };
-            }
-        });
+        const dataKey = await getUserKey(storage, req.userId);
+        const { records: events, failures } = TimelineEvent.decode(req.userId, data, dataKey);
 
         res.json({
             success: true,
             events,
             count: events.length,
-            dateRange
+            dateRange,
+            decryptionFailures: failures
         });
     } catch (error) {
         res.status(500).json({
@@ -260,37 +722,17 @@ app.get('/api/timeline/:date', authenticateToken, async (req, res) => {
     try {
         const { date } = req.params;
 
-        const { data, error } = await supabase
-            .from('timeline_events')
-            .select('*')
-            .eq('user_id', req.userId)
-            .eq('event_date', date)
-            .order('created_at', { ascending: true });
-
-        if (error) throw error;
+        const data = await repos.timeline.listByDate(req.userId, date);
 
-        const masterKey = getMasterKey();
-        const events = data.map(record => {
-            try {
-                const encrypted = JSON.parse(record.event_data_encrypted);
-                const decryptedData = decryptData(encrypted, masterKey);
-                return {
-                    id: record.id,
-                    type: record.event_type,
-                    timestamp: record.event_date,
-                    data: decryptedData,
-                    source: record.source_integration
-                };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        const dataKey = await getUserKey(storage, req.userId);
+        const { records: events, failures } = TimelineEvent.decode(req.userId, data, dataKey);
 
         res.json({
             success: true,
             date,
             events,
-            count: events.length
+            count: events.length,
+            decryptionFailures: failures
         });
     } catch (error) {
         res.status(500).json({
@@ -304,37 +746,32 @@ app.get('/api/timeline/:date', authenticateToken, async (req, res) => {
 // INSIGHTS ENDPOINTS
 // ============================================
 
-// Get weekly insight
+// Get the insight for a week, ?week=2025-W03 (see utils/weeks.js), or the
+// current week in the user's timezone
 app.get('/api/insights/weekly', authenticateToken, async (req, res) => {
     try {
-        const dateRange = getWeekDateRange(0);
+        const timeZone = await getUserTimeZone(storage, req.userId);
+        const weekStart = await getUserWeekStart(storage, req.userId);
+        const week = req.query.week ? parseWeekId(req.query.week, weekStart) : currentWeek(timeZone, weekStart);
+
+        if (!week) {
+            return res.status(400).json({
+                success: false,
+                error: 'Week must be an ISO week like 2025-W03',
+                code: 'INVALID_WEEK'
+            });
+        }
+
+        const dateRange = { start: week.start, end: week.end };
 
         // Get this week's events
-        const { data: events } = await supabase
-            .from('timeline_events')
-            .select('*')
-            .eq('user_id', req.userId)
-            .gte('event_date', dateRange.start)
-            .lte('event_date', dateRange.end);
-
-        // Decrypt events
-        const masterKey = getMasterKey();
-        const decryptedEvents = (events || []).map(record => {
-            try {
-                const encrypted = JSON.parse(record.event_data_encrypted);
-                return {
-                    type: record.event_type,
-                    timestamp: record.event_date,
-                    data: decryptData(encrypted, masterKey),
-                    source: record.source_integration
-                };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        const events = await repos.timeline.listByDateRange(req.userId, dateRange);
+
+        const dataKey = await getUserKey(storage, req.userId);
+        const { records: decryptedEvents, failures } = TimelineEvent.decode(req.userId, events, dataKey);
 
         // Generate summary
-        const summaryResult = await generateWeeklySummary(decryptedEvents);
+        const summaryResult = await generateWeeklySummary(decryptedEvents, timeZone);
 
         // Generate coach insight
         const coachResult = await generateCoachInsight(summaryResult.summary, []);
@@ -344,12 +781,15 @@ app.get('/api/insights/weekly', authenticateToken, async (req, res) => {
 
         res.json({
             success: true,
-            weekNumber: getWeekNumber(),
+            week: week.id,
+            isoYear: week.year,
+            weekNumber: week.week,
             dateRange,
             summary: summaryResult.summary,
             coachInsight: coachResult.insight,
             reflectionPrompts: prompts,
-            eventCount: decryptedEvents.length
+            eventCount: decryptedEvents.length,
+            decryptionFailures: failures
         });
     } catch (error) {
         console.error('Insights error:', error);
@@ -361,8 +801,8 @@ app.get('/api/insights/weekly', authenticateToken, async (req, res) => {
     }
 });
 
-// Test insights without auth
-app.get('/api/insights/test', async (req, res) => {
+// Test insights without auth (dev mode only)
+devRoute('get', '/api/insights/test', async (req, res) => {
     try {
         // Use test data
         const dateRange = { start: '2025-01-01', end: '2025-01-15' };
@@ -400,10 +840,11 @@ app.get('/api/insights/test', async (req, res) => {
 // ============================================
 
 // Get AI-generated greeting
-app.get('/api/coach/greeting', async (req, res) => {
+app.get('/api/coach/greeting', claudeAccess, async (req, res) => {
     try {
-        const { timeOfDay } = req.query;
-        const result = await generateGreeting(timeOfDay || 'afternoon');
+        // Without timeOfDay, use the user's time (UTC when the endpoint is open)
+        const timeZone = req.userId ? await getUserTimeZone(storage, req.userId) : null;
+        const result = await generateGreeting(req.query.timeOfDay || timeOfDayIn(new Date(), timeZone));
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -414,7 +855,7 @@ app.get('/api/coach/greeting', async (req, res) => {
 });
 
 // Get AI-generated day summary
-app.post('/api/coach/day-summary', async (req, res) => {
+app.post('/api/coach/day-summary', claudeAccess, async (req, res) => {
     try {
         const { dayData } = req.body;
         const result = await generateDaySummary(dayData);
@@ -428,7 +869,7 @@ app.post('/api/coach/day-summary', async (req, res) => {
 });
 
 // Get AI-generated encouragement
-app.get('/api/coach/encouragement', async (req, res) => {
+app.get('/api/coach/encouragement', claudeAccess, async (req, res) => {
     try {
         const context = req.query.context ? JSON.parse(req.query.context) : {};
         const result = await generateEncouragement(context);
@@ -442,7 +883,7 @@ app.get('/api/coach/encouragement', async (req, res) => {
 });
 
 // Get AI-generated coach insight
-app.post('/api/coach/insight', async (req, res) => {
+app.post('/api/coach/insight', claudeAccess, async (req, res) => {
     try {
         const { currentWeekSummary, historicalSummaries } = req.body;
         const result = await generateCoachInsight(currentWeekSummary, historicalSummaries || []);
@@ -455,53 +896,50 @@ app.post('/api/coach/insight', async (req, res) => {
     }
 });
 
+// Reflect on journal entries the user explicitly shares. With end-to-end
+// encryption the app decrypts them first; the plaintext is used for this
+// one response and never stored.
+app.post('/api/coach/reflection', authenticateToken, async (req, res) => {
+    const { entries, question } = req.body;
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'At least one entry is required',
+            code: 'MISSING_ENTRIES'
+        });
+    }
+
+    const result = await generateReflection(entries.slice(0, 50), question || null);
+    res.status(result.success ? 200 : 502).json(result);
+});
+
 // Get context-aware greeting
 app.get('/api/coach/greeting/contextual', authenticateToken, async (req, res) => {
     try {
-        const { timeOfDay } = req.query;
-        const masterKey = getMasterKey();
+        const dataKey = await getUserKey(storage, req.userId);
+        const timeZone = await getUserTimeZone(storage, req.userId);
+        const timeOfDay = req.query.timeOfDay || timeOfDayIn(new Date(), timeZone);
 
         // Fetch today's calendar events
-        const today = new Date().toISOString().split('T')[0];
-        const { data: calendarData } = await supabase
-            .from('calendar_events')
-            .select('*')
-            .eq('user_id', req.userId)
-            .eq('event_date', today);
-
-        const calendarEvents = (calendarData || []).map(event => {
-            try {
-                const decrypted = decryptData(JSON.parse(event.title_encrypted), masterKey);
-                return {
-                    type: event.event_type,
-                    title: decrypted,
-                    time: event.event_time
-                };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        const today = todayIn(timeZone);
+        const calendarData = await repos.calendar.list(req.userId, { start: today, end: today });
+
+        // End-to-end encrypted titles are opaque to us, so the coach can't use them
+        const calendar = CalendarEvent.decode(req.userId, calendarData.filter(event => !event.client_encrypted), dataKey);
+        const calendarEvents = calendar.records.map(event => ({ type: event.type, title: event.title, time: event.time }));
 
         // Fetch user context
-        const { data: contextData } = await supabase
-            .from('coach_context')
-            .select('*')
-            .eq('user_id', req.userId);
-
-        const userContext = (contextData || []).map(ctx => {
-            try {
-                const decrypted = decryptData(JSON.parse(ctx.context_encrypted), masterKey);
-                return {
-                    type: ctx.context_type,
-                    detail: decrypted
-                };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        const contextData = await repos.context.list(req.userId);
 
-        const result = await generateContextAwareGreeting(timeOfDay || 'afternoon', calendarEvents, userContext);
-        res.json(result);
+        const context = ContextItem.decode(req.userId, contextData, dataKey);
+        const userContext = context.records.map(ctx => ({ type: ctx.type, detail: ctx.detail }));
+
+        const result = await generateContextAwareGreeting(timeOfDay, calendarEvents, userContext);
+        res.json({
+            ...result,
+            decryptionFailures: [...calendar.failures, ...context.failures]
+        });
     } catch (error) {
         console.error('Contextual greeting error:', error);
         res.status(500).json({
@@ -519,7 +957,7 @@ app.get('/api/coach/greeting/contextual', authenticateToken, async (req, res) =>
 app.post('/api/coach/chat', authenticateToken, async (req, res) => {
     try {
         const { message, sessionId } = req.body;
-        const masterKey = getMasterKey();
+        const dataKey = await getUserKey(storage, req.userId);
         const currentSessionId = sessionId || crypto.randomUUID();
 
         if (!message) {
@@ -530,96 +968,50 @@ app.post('/api/coach/chat', authenticateToken, async (req, res) => {
         }
 
         // Fetch conversation history (last 7 days)
-        const { data: historyData } = await supabase
-            .from('coach_conversations')
-            .select('*')
-            .eq('user_id', req.userId)
-            .eq('session_id', currentSessionId)
-            .order('created_at', { ascending: true });
-
-        const conversationHistory = (historyData || []).map(msg => {
-            try {
-                const decrypted = decryptData(JSON.parse(msg.message_encrypted), masterKey);
-                return {
-                    role: msg.role,
-                    content: decrypted,
-                    timestamp: msg.created_at
-                };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        const historyData = await repos.conversations.listMessages(req.userId, { sessionId: currentSessionId });
+
+        const history = CoachMessage.decode(req.userId, historyData, dataKey);
+        const conversationHistory = history.records.map(msg => ({ role: msg.role, content: msg.content, timestamp: msg.timestamp }));
 
         // Fetch user context
-        const { data: contextData } = await supabase
-            .from('coach_context')
-            .select('*')
-            .eq('user_id', req.userId);
-
-        const userContext = (contextData || []).map(ctx => {
-            try {
-                const decrypted = decryptData(JSON.parse(ctx.context_encrypted), masterKey);
-                return {
-                    type: ctx.context_type,
-                    detail: decrypted
-                };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        const contextData = await repos.context.list(req.userId);
+
+        const context = ContextItem.decode(req.userId, contextData, dataKey);
+        const userContext = context.records.map(ctx => ({ type: ctx.type, detail: ctx.detail }));
 
         // Fetch recent calendar events
-        const today = new Date().toISOString().split('T')[0];
-        const { data: calendarData } = await supabase
-            .from('calendar_events')
-            .select('*')
-            .eq('user_id', req.userId)
-            .gte('event_date', today)
-            .limit(10);
-
-        const calendarEvents = (calendarData || []).map(event => {
-            try {
-                const decrypted = decryptData(JSON.parse(event.title_encrypted), masterKey);
-                return { title: decrypted, date: event.event_date };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        const timeZone = await getUserTimeZone(storage, req.userId);
+        const today = todayIn(timeZone);
+        const calendarData = await repos.calendar.list(req.userId, { start: today, limit: 10 });
+
+        // End-to-end encrypted titles are opaque to us, so the coach can't use them
+        const calendar = CalendarEvent.decode(req.userId, calendarData.filter(event => !event.client_encrypted), dataKey);
+        const calendarEvents = calendar.records.map(event => ({ title: event.title, date: event.date }));
 
         // Generate response
         const result = await generateChatResponse(message, conversationHistory, userContext, calendarEvents);
 
         // Store user message
-        const encryptedUserMsg = encryptData(message, masterKey);
-        await supabase.from('coach_conversations').insert({
-            user_id: req.userId,
-            session_id: currentSessionId,
-            message_encrypted: JSON.stringify(encryptedUserMsg),
-            role: 'user'
-        });
+        await repos.conversations.insert(CoachMessage.toRow(req.userId, {
+            sessionId: currentSessionId,
+            role: 'user',
+            content: message
+        }, dataKey));
 
         // Store coach response (if not auto-end)
         if (result.response) {
-            const encryptedCoachMsg = encryptData(result.response, masterKey);
-            await supabase.from('coach_conversations').insert({
-                user_id: req.userId,
-                session_id: currentSessionId,
-                message_encrypted: JSON.stringify(encryptedCoachMsg),
-                role: 'coach'
-            });
+            await repos.conversations.insert(CoachMessage.toRow(req.userId, {
+                sessionId: currentSessionId,
+                role: 'coach',
+                content: result.response
+            }, dataKey));
         }
 
         // Extract and store any new context from user message
         const contextResult = await extractUserContext(message, userContext);
         if (contextResult.contexts && contextResult.contexts.length > 0) {
             for (const ctx of contextResult.contexts) {
-                const encryptedContext = encryptData(ctx.detail, masterKey);
-                await supabase.from('coach_context').insert({
-                    user_id: req.userId,
-                    context_type: ctx.type,
-                    context_encrypted: JSON.stringify(encryptedContext),
-                    source: 'chat'
-                });
+                await repos.context.insert(ContextItem.toRow(req.userId, { type: ctx.type, detail: ctx.detail }, dataKey));
             }
         }
 
@@ -629,21 +1021,21 @@ app.post('/api/coach/chat', authenticateToken, async (req, res) => {
             const summaryResult = await generateConversationSummary(allHistory);
 
             // Store summary in timeline_events
-            const encryptedSummary = encryptData(summaryResult, masterKey);
-            await supabase.from('timeline_events').insert({
-                user_id: req.userId,
-                event_date: today,
-                event_type: 'conversation_summary',
-                event_data_encrypted: JSON.stringify(encryptedSummary),
-                source_integration: 'coach_chat'
-            });
+            await repos.timeline.insert(TimelineEvent.toRow(req.userId, {
+                type: 'conversation_summary',
+                timestamp: new Date().toISOString(),
+                timezone: timeZone,
+                data: summaryResult,
+                source: 'coach_chat'
+            }, dataKey));
 
             result.summary = summaryResult;
         }
 
         res.json({
             ...result,
-            sessionId: currentSessionId
+            sessionId: currentSessionId,
+            decryptionFailures: [...history.failures, ...context.failures, ...calendar.failures]
         });
     } catch (error) {
         console.error('Chat error:', error);
@@ -658,40 +1050,17 @@ app.post('/api/coach/chat', authenticateToken, async (req, res) => {
 app.get('/api/coach/chat/history', authenticateToken, async (req, res) => {
     try {
         const { sessionId } = req.query;
-        const masterKey = getMasterKey();
-
-        let query = supabase
-            .from('coach_conversations')
-            .select('*')
-            .eq('user_id', req.userId)
-            .order('created_at', { ascending: true });
-
-        if (sessionId) {
-            query = query.eq('session_id', sessionId);
-        }
+        const dataKey = await getUserKey(storage, req.userId);
 
-        const { data, error } = await query;
-        if (error) throw error;
+        const data = await repos.conversations.listMessages(req.userId, { sessionId });
 
-        const messages = (data || []).map(msg => {
-            try {
-                const decrypted = decryptData(JSON.parse(msg.message_encrypted), masterKey);
-                return {
-                    id: msg.id,
-                    sessionId: msg.session_id,
-                    role: msg.role,
-                    content: decrypted,
-                    timestamp: msg.created_at
-                };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        const { records: messages, failures } = CoachMessage.decode(req.userId, data, dataKey);
 
         res.json({
             success: true,
             messages,
-            count: messages.length
+            count: messages.length,
+            decryptionFailures: failures
         });
     } catch (error) {
         res.status(500).json({
@@ -705,8 +1074,7 @@ app.get('/api/coach/chat/history', authenticateToken, async (req, res) => {
 app.post('/api/coach/chat/end', authenticateToken, async (req, res) => {
     try {
         const { sessionId } = req.body;
-        const masterKey = getMasterKey();
-        const today = new Date().toISOString().split('T')[0];
+        const dataKey = await getUserKey(storage, req.userId);
 
         if (!sessionId) {
             return res.status(400).json({
@@ -716,41 +1084,27 @@ app.post('/api/coach/chat/end', authenticateToken, async (req, res) => {
         }
 
         // Fetch conversation history
-        const { data: historyData } = await supabase
-            .from('coach_conversations')
-            .select('*')
-            .eq('user_id', req.userId)
-            .eq('session_id', sessionId)
-            .order('created_at', { ascending: true });
-
-        const conversationHistory = (historyData || []).map(msg => {
-            try {
-                const decrypted = decryptData(JSON.parse(msg.message_encrypted), masterKey);
-                return {
-                    role: msg.role,
-                    content: decrypted
-                };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        const historyData = await repos.conversations.listMessages(req.userId, { sessionId });
+
+        const history = CoachMessage.decode(req.userId, historyData, dataKey);
+        const conversationHistory = history.records.map(msg => ({ role: msg.role, content: msg.content }));
 
         // Generate summary
         const summaryResult = await generateConversationSummary(conversationHistory);
 
         // Store summary in timeline_events
-        const encryptedSummary = encryptData(summaryResult, masterKey);
-        await supabase.from('timeline_events').insert({
-            user_id: req.userId,
-            event_date: today,
-            event_type: 'conversation_summary',
-            event_data_encrypted: JSON.stringify(encryptedSummary),
-            source_integration: 'coach_chat'
-        });
+        await repos.timeline.insert(TimelineEvent.toRow(req.userId, {
+            type: 'conversation_summary',
+            timestamp: new Date().toISOString(),
+            timezone: await getUserTimeZone(storage, req.userId),
+            data: summaryResult,
+            source: 'coach_chat'
+        }, dataKey));
 
         res.json({
             success: true,
-            summary: summaryResult
+            summary: summaryResult,
+            decryptionFailures: history.failures
         });
     } catch (error) {
         res.status(500).json({
@@ -767,35 +1121,17 @@ app.post('/api/coach/chat/end', authenticateToken, async (req, res) => {
 // Get user context (what coach remembers)
 app.get('/api/coach/context', authenticateToken, async (req, res) => {
     try {
-        const masterKey = getMasterKey();
+        const dataKey = await getUserKey(storage, req.userId);
 
-        const { data, error } = await supabase
-            .from('coach_context')
-            .select('*')
-            .eq('user_id', req.userId)
-            .order('updated_at', { ascending: false });
+        const data = await repos.context.list(req.userId);
 
-        if (error) throw error;
-
-        const contexts = (data || []).map(ctx => {
-            try {
-                const decrypted = decryptData(JSON.parse(ctx.context_encrypted), masterKey);
-                return {
-                    id: ctx.id,
-                    type: ctx.context_type,
-                    detail: decrypted,
-                    source: ctx.source,
-                    updatedAt: ctx.updated_at
-                };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        const { records: contexts, failures } = ContextItem.decode(req.userId, data, dataKey);
 
         res.json({
             success: true,
             contexts,
-            count: contexts.length
+            count: contexts.length,
+            decryptionFailures: failures
         });
     } catch (error) {
         res.status(500).json({
@@ -810,13 +1146,7 @@ app.delete('/api/coach/context/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
 
-        const { error } = await supabase
-            .from('coach_context')
-            .delete()
-            .eq('id', id)
-            .eq('user_id', req.userId);
-
-        if (error) throw error;
+        await repos.context.delete(req.userId, id);
 
         res.json({ success: true });
     } catch (error) {
@@ -835,40 +1165,18 @@ app.delete('/api/coach/context/:id', authenticateToken, async (req, res) => {
 app.get('/api/calendar/events', authenticateToken, async (req, res) => {
     try {
         const { start, end } = req.query;
-        const masterKey = getMasterKey();
-
-        let query = supabase
-            .from('calendar_events')
-            .select('*')
-            .eq('user_id', req.userId)
-            .order('event_date', { ascending: true });
+        const dataKey = await getUserKey(storage, req.userId);
 
-        if (start) query = query.gte('event_date', start);
-        if (end) query = query.lte('event_date', end);
+        const data = await repos.calendar.list(req.userId, { start, end });
 
-        const { data, error } = await query;
-        if (error) throw error;
-
-        const events = (data || []).map(event => {
-            try {
-                const decrypted = decryptData(JSON.parse(event.title_encrypted), masterKey);
-                return {
-                    id: event.id,
-                    title: decrypted,
-                    date: event.event_date,
-                    time: event.event_time,
-                    type: event.event_type,
-                    source: event.source
-                };
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        // End-to-end encrypted titles go back as the app's ciphertext
+        const { records: events, failures } = CalendarEvent.decode(req.userId, data, dataKey);
 
         res.json({
             success: true,
             events,
-            count: events.length
+            count: events.length,
+            decryptionFailures: failures
         });
     } catch (error) {
         res.status(500).json({
@@ -878,45 +1186,103 @@ app.get('/api/calendar/events', authenticateToken, async (req, res) => {
     }
 });
 
-// Add calendar event
+// Add calendar event. In end-to-end mode the app sends titleCiphertext, which
+// is stored as-is (under the usual server-side encryption too).
 app.post('/api/calendar/events', authenticateToken, async (req, res) => {
     try {
-        const { title, date, time, type } = req.body;
-        const masterKey = getMasterKey();
+        const { title, titleCiphertext, date, time, type } = req.body;
+        const dataKey = await getUserKey(storage, req.userId);
 
-        if (!title || !date) {
+        if (!(title || titleCiphertext) || !date) {
             return res.status(400).json({
                 success: false,
                 error: 'Title and date required'
             });
         }
 
-        const encryptedTitle = encryptData(title, masterKey);
+        if (titleCiphertext && !isClientCiphertext(titleCiphertext)) {
+            return res.status(400).json({
+                success: false,
+                error: 'titleCiphertext is not a valid client ciphertext',
+                code: 'INVALID_CIPHERTEXT'
+            });
+        }
 
-        const { data, error } = await supabase
-            .from('calendar_events')
-            .insert({
-                user_id: req.userId,
-                title_encrypted: JSON.stringify(encryptedTitle),
-                event_date: date,
-                event_time: time || null,
-                event_type: type || 'reminder',
-                source: 'manual'
-            })
-            .select()
-            .single();
+        const clientEncrypted = Boolean(titleCiphertext);
+        if (!clientEncrypted && (await getClientEncryption(storage, req.userId)).enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'End-to-end encryption is on; encrypt the title in the app',
+                code: 'E2E_REQUIRED'
+            });
+        }
 
-        if (error) throw error;
+        const event = new CalendarEvent({
+            title,
+            titleCiphertext,
+            clientEncrypted,
+            date,
+            time: time || null,
+            type: type || 'reminder'
+        });
+
+        const data = await repos.calendar.insert(CalendarEvent.toRow(req.userId, event, dataKey));
+        event.id = data.id;
 
         res.json({
             success: true,
-            event: {
-                id: data.id,
-                title,
-                date,
-                time,
-                type: type || 'reminder'
-            }
+            event
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Replace an event's title with the app's ciphertext. When end-to-end
+// encryption is turned on the app uses this to encrypt the entries written
+// before it.
+app.put('/api/calendar/events/:id/title', authenticateToken, async (req, res) => {
+    try {
+        const { titleCiphertext } = req.body;
+
+        if (!isClientCiphertext(titleCiphertext)) {
+            return res.status(400).json({
+                success: false,
+                error: 'titleCiphertext is not a valid client ciphertext',
+                code: 'INVALID_CIPHERTEXT'
+            });
+        }
+
+        if (!(await getClientEncryption(storage, req.userId)).enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'End-to-end encryption is off',
+                code: 'E2E_NOT_ENABLED'
+            });
+        }
+
+        const dataKey = await getUserKey(storage, req.userId);
+        const data = await repos.calendar.update(req.userId, req.params.id, {
+            title_encrypted: CalendarEvent.encrypt(req.userId, titleCiphertext, dataKey),
+            client_encrypted: true,
+            updated_at: new Date().toISOString()
+        });
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Calendar event not found',
+                code: 'EVENT_NOT_FOUND'
+            });
+        }
+
+        const [event] = CalendarEvent.decode(req.userId, [data], dataKey).records;
+        res.json({
+            success: true,
+            event
         });
     } catch (error) {
         res.status(500).json({
@@ -931,13 +1297,7 @@ app.delete('/api/calendar/events/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
 
-        const { error } = await supabase
-            .from('calendar_events')
-            .delete()
-            .eq('id', id)
-            .eq('user_id', req.userId);
-
-        if (error) throw error;
+        await repos.calendar.delete(req.userId, id);
 
         res.json({ success: true });
     } catch (error) {
@@ -955,20 +1315,17 @@ app.delete('/api/calendar/events/:id', authenticateToken, async (req, res) => {
 // Get user settings
 app.get('/api/user/settings', authenticateToken, async (req, res) => {
     try {
-        const { data, error } = await supabase
-            .from('user_settings')
-            .select('*')
-            .eq('user_id', req.userId)
-            .single();
-
-        if (error && error.code !== 'PGRST116') throw error;
+        const data = await repos.settings.get(req.userId);
 
         res.json({
             success: true,
             settings: data || {
                 proactive_notifications: false,
                 notification_frequency: 'daily',
-                google_calendar_connected: false
+                google_calendar_connected: false,
+                auto_sync: true,
+                timezone: null,
+                week_start: null
             }
         });
     } catch (error) {
@@ -979,24 +1336,40 @@ app.get('/api/user/settings', authenticateToken, async (req, res) => {
     }
 });
 
-// Update user settings
+// Update user settings. Only the settings sent are changed.
 app.put('/api/user/settings', authenticateToken, async (req, res) => {
     try {
-        const { proactive_notifications, notification_frequency, google_calendar_connected } = req.body;
+        const { proactive_notifications, notification_frequency, google_calendar_connected, auto_sync, timezone, week_start } = req.body;
 
-        const { data, error } = await supabase
-            .from('user_settings')
-            .upsert({
-                user_id: req.userId,
-                proactive_notifications: proactive_notifications ?? false,
-                notification_frequency: notification_frequency ?? 'daily',
-                google_calendar_connected: google_calendar_connected ?? false,
-                updated_at: new Date().toISOString()
-            }, { onConflict: 'user_id' })
-            .select()
-            .single();
+        if (timezone !== undefined && !isValidTimeZone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown timezone',
+                code: 'INVALID_TIMEZONE'
+            });
+        }
 
-        if (error) throw error;
+        if (week_start !== undefined && !isValidWeekStart(week_start)) {
+            return res.status(400).json({
+                success: false,
+                error: 'week_start must be a day from 0 (Sunday) to 6 (Saturday)',
+                code: 'INVALID_WEEK_START'
+            });
+        }
+
+        const changes = Object.fromEntries(Object.entries({
+            proactive_notifications,
+            notification_frequency,
+            google_calendar_connected,
+            auto_sync,
+            timezone,
+            week_start
+        }).filter(([, value]) => value !== undefined));
+
+        const data = await repos.settings.upsert(req.userId, {
+            ...changes,
+            updated_at: new Date().toISOString()
+        });
 
         res.json({
             success: true,
@@ -1010,13 +1383,85 @@ app.put('/api/user/settings', authenticateToken, async (req, res) => {
     }
 });
 
+// End-to-end encryption status, with the KDF parameters a new device needs
+app.get('/api/e2e', authenticateToken, async (req, res) => {
+    try {
+        const settings = await getClientEncryption(storage, req.userId);
+        res.json({ success: true, ...settings });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Opt in to end-to-end encryption of journal content
+app.post('/api/e2e', authenticateToken, async (req, res) => {
+    try {
+        const { salt, iterations, verifier } = req.body;
+        const result = await enableClientEncryption(storage, req.userId, { salt, iterations, verifier });
+
+        if (!result.success) {
+            const status = result.code === 'E2E_ALREADY_ENABLED' ? 409 : 400;
+            return res.status(status).json(result);
+        }
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'E2E_ENABLE_FAILED'
+        });
+    }
+});
+
 // ============================================
 // CREDENTIAL MANAGEMENT
 // ============================================
 
+// 'connected', 'expired' or 'missing', from a listCredentials() entry
+const credentialStatus = (credential) => {
+    if (!credential) return 'missing';
+    return credential.expired ? 'expired' : 'connected';
+};
+
+// The user's credential for each registered integration, keyed by integration name
+const credentialsByIntegration = async (userId) => {
+    const stored = new Map((await listCredentials(storage, userId)).map(c => [c.integration, c]));
+    return new Map(listIntegrations().map(integration => [integration.name, stored.get(integration.credential) || null]));
+};
+
+// List registered integrations with their credential metadata (never the token)
+app.get('/api/credentials', authenticateToken, async (req, res) => {
+    try {
+        const credentials = await credentialsByIntegration(req.userId);
+        const list = [...credentials].map(([integration, credential]) => ({
+            integration,
+            status: credentialStatus(credential),
+            tokenType: credential?.tokenType || null,
+            createdAt: credential?.createdAt || null,
+            lastUsed: credential?.lastUsed || null,
+            expiresAt: credential?.expiresAt || null
+        }));
+
+        res.json({
+            success: true,
+            credentials: list,
+            count: list.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 app.post('/api/credentials', authenticateToken, async (req, res) => {
     try {
-        const { integration, token, tokenType } = req.body;
+        const { integration, token, tokenType, expiresAt } = req.body;
 
         if (!integration || !token) {
             return res.status(400).json({
@@ -1026,7 +1471,26 @@ app.post('/api/credentials', authenticateToken, async (req, res) => {
             });
         }
 
-        await storeCredential(supabase, req.userId, integration, token, tokenType);
+        if (!isKnownIntegration(integration)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown integration: ${integration}`,
+                code: 'UNKNOWN_INTEGRATION'
+            });
+        }
+
+        if (expiresAt && Number.isNaN(Date.parse(expiresAt))) {
+            return res.status(400).json({
+                success: false,
+                error: 'expiresAt must be an ISO date',
+                code: 'INVALID_EXPIRY'
+            });
+        }
+
+        // Stored under the integration's vault key, which several integrations may share
+        await storeCredential(storage, req.userId, getIntegration(integration).credential, token, tokenType, {
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+        });
 
         res.json({
             success: true,
@@ -1043,11 +1507,22 @@ app.post('/api/credentials', authenticateToken, async (req, res) => {
 app.get('/api/credentials/:integration', authenticateToken, async (req, res) => {
     try {
         const { integration } = req.params;
-        const token = await getCredential(supabase, req.userId, integration);
+
+        if (!isKnownIntegration(integration)) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown integration: ${integration}`,
+                code: 'UNKNOWN_INTEGRATION'
+            });
+        }
+
+        const credential = (await credentialsByIntegration(req.userId)).get(integration);
 
         res.json({
             success: true,
-            hasCredential: !!token,
+            hasCredential: !!credential,
+            status: credentialStatus(credential),
+            expiresAt: credential?.expiresAt || null,
             integration
         });
     } catch (error) {
@@ -1058,6 +1533,67 @@ app.get('/api/credentials/:integration', authenticateToken, async (req, res) =>
     }
 });
 
+// Revoke a stored credential. Integrations sharing its vault key are disconnected too.
+app.delete('/api/credentials/:integration', authenticateToken, async (req, res) => {
+    try {
+        const { integration } = req.params;
+
+        if (!isKnownIntegration(integration)) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown integration: ${integration}`,
+                code: 'UNKNOWN_INTEGRATION'
+            });
+        }
+
+        const result = await deleteCredential(storage, req.userId, getIntegration(integration).credential);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.json({
+            success: true,
+            message: `Credential revoked for ${integration}`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// INTEGRATIONS
+// ============================================
+
+// List registered integrations with the user's connection status
+app.get('/api/integrations', authenticateToken, async (req, res) => {
+    try {
+        const credentials = await credentialsByIntegration(req.userId);
+        const integrations = listIntegrations().map(integration => {
+            const status = credentialStatus(credentials.get(integration.name));
+            return {
+                ...describeIntegration(integration),
+                connected: status === 'connected',
+                status,
+                expiresAt: credentials.get(integration.name)?.expiresAt || null
+            };
+        });
+
+        res.json({
+            success: true,
+            integrations,
+            count: integrations.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // ============================================
 // USER ENDPOINTS
 // ============================================
@@ -1122,11 +1658,29 @@ app.listen(PORT, () => {
     console.log(`  GET  /api/test            - Test connections`);
     console.log(`  GET  /auth/google         - Get OAuth URL`);
     console.log(`  POST /auth/callback/google - OAuth callback`);
-    console.log(`  POST /auth/mock           - Mock auth (dev)`);
-    console.log(`  POST /api/sync            - Sync data`);
+    if (capabilities.devRoutes) {
+        console.log(`  POST /auth/mock           - Mock auth (dev)`);
+    }
+    console.log(`  POST /api/sync            - Queue a data sync`);
+    console.log(`  GET  /api/sync/jobs/:id/events - Stream sync progress`);
+    console.log(`  POST /api/import/google-takeout - Import location history`);
+    console.log(`  POST /api/import/amazon   - Import order history`);
     console.log(`  GET  /api/timeline        - Get timeline`);
     console.log(`  GET  /api/insights/weekly - Get weekly insights`);
-    console.log(`  GET  /api/insights/test   - Test insights (dev)`);
+    if (capabilities.devRoutes) {
+        console.log(`  GET  /api/insights/test   - Test insights (dev)`);
+    }
+
+    // Optional in-process background sync (use `npm run sync:scheduled` for cron instead)
+    const schedulerInterval = parseFloat(process.env.SYNC_SCHEDULER_INTERVAL_MINUTES);
+    if (schedulerInterval > 0) {
+        console.log('');
+        startSyncScheduler(supabase, {
+            storage,
+            intervalMinutes: schedulerInterval,
+            concurrency: parseInt(process.env.SYNC_SCHEDULER_CONCURRENCY, 10) || undefined
+        });
+    }
 });
 
 export default app;
@@ -0,0 +1,12 @@
+// Amazon order history integration
+import { amazonAgent } from '../agents/amazonAgent.js';
+
+export default {
+    name: 'amazon',
+    displayName: 'Amazon',
+    icon: '🛍️',
+    agent: amazonAgent,
+    eventTypes: ['purchase'],
+    credential: 'amazon',
+    syncCadence: 'weekly'
+};
@@ -0,0 +1,15 @@
+// Google Maps location history integration
+import { googleMapsAgent } from '../agents/googleMapsAgent.js';
+import { GOOGLE_CREDENTIAL, getGoogleAccessToken } from '../auth/googleTokens.js';
+
+export default {
+    name: 'google_maps',
+    displayName: 'Google Maps',
+    icon: '🗺️',
+    agent: googleMapsAgent,
+    eventTypes: ['location', 'activity'],
+    // Uses the Google account connected at sign-in
+    credential: GOOGLE_CREDENTIAL,
+    getAccessToken: getGoogleAccessToken,
+    syncCadence: 'daily'
+};
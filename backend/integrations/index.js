@@ -0,0 +1,19 @@
+// Built-in integrations
+// To add a source, create a definition module next to these and register it below
+import { registerIntegration } from './registry.js';
+import googleMaps from './googleMaps.js';
+import amazon from './amazon.js';
+import photos from './photos.js';
+
+registerIntegration(googleMaps);
+registerIntegration(amazon);
+registerIntegration(photos);
+
+export {
+    registerIntegration,
+    getIntegration,
+    listIntegrations,
+    isKnownIntegration,
+    describeIntegration,
+    unregisterIntegration
+} from './registry.js';
@@ -0,0 +1,12 @@
+// Photos integration
+import { photosAgent } from '../agents/photosAgent.js';
+
+export default {
+    name: 'photos',
+    displayName: 'Photos',
+    icon: '📷',
+    agent: photosAgent,
+    eventTypes: ['photo'],
+    credential: 'photos',
+    syncCadence: 'weekly'
+};
@@ -0,0 +1,72 @@
+// Integration Registry
+// Each data source registers one definition here; sync, settings and the
+// credential endpoints all read from this list instead of hardcoding sources
+
+const VALID_CADENCES = ['daily', 'weekly'];
+
+const integrations = new Map();
+
+// Register an integration definition:
+// {
+//   name: 'google_maps',           // stable id, used as source_integration
+//   displayName: 'Google Maps',
+//   icon: '🗺️',
+//   agent: async (token, dateRange, { cursor, getAccessToken }) => ({ success, events, error }),
+//   eventTypes: ['location'],      // event types the agent may produce
+//   credential: 'google',          // credential vault key the agent needs
+//   syncCadence: 'daily' | 'weekly',
+//   // optional: a fresh token for background runs (e.g. refreshes OAuth tokens);
+//   // agents reach it through options.getAccessToken
+//   getAccessToken: async (supabase, userId) => token | null
+// }
+export const registerIntegration = (definition) => {
+    const { name, agent, eventTypes, credential, syncCadence } = definition;
+
+    if (!name || typeof agent !== 'function') {
+        throw new Error('Integration requires a name and an agent function');
+    }
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+        throw new Error(`Integration ${name} must declare the event types it produces`);
+    }
+    if (!credential) {
+        throw new Error(`Integration ${name} must declare the credential it needs`);
+    }
+    if (!VALID_CADENCES.includes(syncCadence)) {
+        throw new Error(`Integration ${name} has invalid sync cadence: ${syncCadence}`);
+    }
+    if (integrations.has(name)) {
+        throw new Error(`Integration ${name} is already registered`);
+    }
+
+    integrations.set(name, {
+        displayName: name,
+        icon: null,
+        ...definition
+    });
+};
+
+export const getIntegration = (name) => {
+    return integrations.get(name) || null;
+};
+
+export const listIntegrations = () => {
+    return Array.from(integrations.values());
+};
+
+export const isKnownIntegration = (name) => {
+    return integrations.has(name);
+};
+
+// Public description for API responses (no agent function)
+export const describeIntegration = (integration) => ({
+    name: integration.name,
+    displayName: integration.displayName,
+    icon: integration.icon,
+    eventTypes: integration.eventTypes,
+    syncCadence: integration.syncCadence
+});
+
+// Remove an integration (tests only)
+export const unregisterIntegration = (name) => {
+    integrations.delete(name);
+};
@@ -0,0 +1,17 @@
+-- Migration 001: Idempotent timeline ingestion
+-- Run in the Supabase SQL Editor on databases created before fingerprints existed.
+-- Existing rows keep a NULL fingerprint; the next sync re-inserts them once with
+-- a fingerprint, so clear synced rows first if you want to avoid that one-off duplicate:
+--   DELETE FROM timeline_events WHERE source_integration IN ('google_maps', 'amazon');
+
+ALTER TABLE timeline_events ADD COLUMN IF NOT EXISTS fingerprint TEXT;
+ALTER TABLE timeline_events ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_timeline_events_fingerprint
+    ON timeline_events(user_id, fingerprint);
+
+DROP POLICY IF EXISTS "Users can update own events" ON timeline_events;
+CREATE POLICY "Users can update own events" ON timeline_events
+    FOR UPDATE USING (user_id = auth.uid());
+
+GRANT UPDATE ON timeline_events TO anon, authenticated;
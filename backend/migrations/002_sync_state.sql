@@ -0,0 +1,33 @@
+-- Migration 002: Incremental sync cursors
+-- Creates the sync_state table on databases set up before it was added to schema.sql.
+-- Until this runs, sync falls back to fetching a full week for every integration.
+
+CREATE TABLE IF NOT EXISTS sync_state (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    integration TEXT NOT NULL,
+    cursor TEXT,
+    synced_through DATE,
+    last_attempt_at TIMESTAMPTZ,
+    last_success_at TIMESTAMPTZ,
+    last_error TEXT,
+    consecutive_failures INTEGER DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, integration)
+);
+
+ALTER TABLE sync_state ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own sync state" ON sync_state;
+CREATE POLICY "Users can view own sync state" ON sync_state
+    FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can insert own sync state" ON sync_state;
+CREATE POLICY "Users can insert own sync state" ON sync_state
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can update own sync state" ON sync_state;
+CREATE POLICY "Users can update own sync state" ON sync_state
+    FOR UPDATE USING (user_id = auth.uid());
+
+GRANT SELECT, INSERT, UPDATE ON sync_state TO anon, authenticated;
@@ -0,0 +1,23 @@
+-- Migration 003: Scheduled background sync
+-- Adds the per-user auto_sync preference and the scheduled_sync_runs job log.
+
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS auto_sync BOOLEAN DEFAULT true;
+
+CREATE TABLE IF NOT EXISTS scheduled_sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    status TEXT NOT NULL CHECK (status IN ('running', 'completed', 'completed_with_errors', 'failed')),
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    users_total INTEGER DEFAULT 0,
+    users_synced INTEGER DEFAULT 0,
+    users_skipped INTEGER DEFAULT 0,
+    users_failed INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]'
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_sync_runs_started ON scheduled_sync_runs(started_at DESC);
+
+-- The log spans every user, so no client role may read or write it: with RLS
+-- on and no policies only the service role (the scheduled runner) can
+ALTER TABLE scheduled_sync_runs ENABLE ROW LEVEL SECURITY;
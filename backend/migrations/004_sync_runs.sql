@@ -0,0 +1,36 @@
+-- Migration 004: Per-user sync history
+-- Creates the sync_runs table behind GET /api/sync/runs.
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    trigger TEXT NOT NULL DEFAULT 'manual' CHECK (trigger IN ('manual', 'scheduled')),
+    status TEXT NOT NULL CHECK (status IN ('running', 'succeeded', 'partial', 'failed')),
+    date_range JSONB,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    events_inserted INTEGER DEFAULT 0,
+    events_updated INTEGER DEFAULT 0,
+    events_skipped INTEGER DEFAULT 0,
+    sources JSONB DEFAULT '{}',
+    errors JSONB DEFAULT '[]'
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_user_started ON sync_runs(user_id, started_at DESC);
+
+ALTER TABLE sync_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own sync runs" ON sync_runs;
+CREATE POLICY "Users can view own sync runs" ON sync_runs
+    FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can insert own sync runs" ON sync_runs;
+CREATE POLICY "Users can insert own sync runs" ON sync_runs
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can update own sync runs" ON sync_runs;
+CREATE POLICY "Users can update own sync runs" ON sync_runs
+    FOR UPDATE USING (user_id = auth.uid());
+
+GRANT SELECT, INSERT, UPDATE ON sync_runs TO anon, authenticated;
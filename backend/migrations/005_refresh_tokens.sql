@@ -0,0 +1,34 @@
+-- Migration 005: Refresh token rotation
+-- Creates the refresh_tokens table behind POST /auth/refresh. Refresh tokens
+-- issued before this migration carry no jti and must sign in again.
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    -- The token's jti claim
+    id UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    -- Every token rotated from the same sign-in shares a family
+    family_id UUID NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    replaced_by UUID,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own refresh tokens" ON refresh_tokens;
+CREATE POLICY "Users can view own refresh tokens" ON refresh_tokens
+    FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can insert own refresh tokens" ON refresh_tokens;
+CREATE POLICY "Users can insert own refresh tokens" ON refresh_tokens
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can update own refresh tokens" ON refresh_tokens;
+CREATE POLICY "Users can update own refresh tokens" ON refresh_tokens
+    FOR UPDATE USING (user_id = auth.uid());
+
+GRANT SELECT, INSERT, UPDATE ON refresh_tokens TO anon, authenticated;
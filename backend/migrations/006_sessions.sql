@@ -0,0 +1,32 @@
+-- Migration 006: Server-side sessions
+-- Creates the sessions table checked by authenticateToken. Access tokens
+-- issued before this migration have no jti and stay valid until they expire.
+
+CREATE TABLE IF NOT EXISTS sessions (
+    -- The jti claim of this session's access tokens
+    id UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    device TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id, last_seen_at DESC);
+
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own sessions" ON sessions;
+CREATE POLICY "Users can view own sessions" ON sessions
+    FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can insert own sessions" ON sessions;
+CREATE POLICY "Users can insert own sessions" ON sessions
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can update own sessions" ON sessions;
+CREATE POLICY "Users can update own sessions" ON sessions
+    FOR UPDATE USING (user_id = auth.uid());
+
+GRANT SELECT, INSERT, UPDATE ON sessions TO anon, authenticated;
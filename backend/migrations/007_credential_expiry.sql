@@ -0,0 +1,5 @@
+-- Migration 007: Credential expiry
+-- Records when a stored token expires, so OAuth tokens (e.g. Google's,
+-- saved at sign-in) can be refreshed before background sync uses them.
+
+ALTER TABLE user_credentials ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
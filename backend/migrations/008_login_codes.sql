@@ -0,0 +1,22 @@
+-- Migration 008: Passwordless email sign-in
+-- Creates the login_codes table behind /auth/email/start and /auth/email/verify.
+
+CREATE TABLE IF NOT EXISTS login_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT NOT NULL,
+    -- Keyed hashes of the 6-digit code and the magic-link token, never the values
+    code_hash TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    attempts INTEGER DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_codes_email ON login_codes(email, created_at DESC);
+
+-- Only the server reads or writes codes: with RLS on and no policies, no
+-- client can list hashes or reset attempts
+ALTER TABLE login_codes ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON login_codes TO anon, authenticated;
@@ -0,0 +1,26 @@
+-- Migration 009: Per-user data keys
+-- Creates user_keys, holding each user's data key wrapped by the master key.
+-- Keys are created on first use. Rows written before this migration stay
+-- readable under the master key until they're re-encrypted.
+
+CREATE TABLE IF NOT EXISTS user_keys (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    wrapped_key TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE user_keys ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own key" ON user_keys;
+CREATE POLICY "Users can view own key" ON user_keys
+    FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can insert own key" ON user_keys;
+CREATE POLICY "Users can insert own key" ON user_keys
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can delete own key" ON user_keys;
+CREATE POLICY "Users can delete own key" ON user_keys
+    FOR DELETE USING (user_id = auth.uid());
+
+GRANT SELECT, INSERT, DELETE ON user_keys TO anon, authenticated;
@@ -0,0 +1,10 @@
+-- Migration 010: Opt-in end-to-end encryption
+-- Stores the app's key derivation parameters per user, and flags calendar
+-- events whose title is the app's ciphertext rather than plaintext.
+
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS e2e_salt TEXT;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS e2e_iterations INTEGER;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS e2e_verifier TEXT;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS e2e_enabled_at TIMESTAMPTZ;
+
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS client_encrypted BOOLEAN DEFAULT false;
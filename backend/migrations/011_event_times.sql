@@ -0,0 +1,11 @@
+-- Migration 011: Precise event times
+-- Timeline events keep when they started and ended and the timezone they
+-- happened in, not just the date. Existing rows get their times the next
+-- time their events are synced or imported; until then the API falls back
+-- to event_date.
+
+ALTER TABLE timeline_events ADD COLUMN IF NOT EXISTS occurred_at TIMESTAMPTZ;
+ALTER TABLE timeline_events ADD COLUMN IF NOT EXISTS ended_at TIMESTAMPTZ;
+ALTER TABLE timeline_events ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_timeline_events_occurred ON timeline_events(user_id, occurred_at);
@@ -0,0 +1,6 @@
+-- Migration 012: User timezone
+-- Days, weeks and times of day are taken in the user's timezone instead of
+-- UTC. Users without one stay on UTC until the app reports it. Events
+-- already stored keep the date they were filed under.
+
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS timezone TEXT;
@@ -0,0 +1,97 @@
+-- Migration 013: ISO year-week keys
+-- Weekly summaries and coach insights were keyed on a bare week_number,
+-- so week 3 of 2025 overwrote week 3 of 2024. They're now keyed on the
+-- week-numbering year and week (see utils/weeks.js). Users can also choose
+-- the day their weeks start on.
+--
+-- week_number counted Sunday-to-Saturday weeks from the one holding January
+-- 1st, in the year the row was generated. Each row moves to the ISO week
+-- holding six of that week's seven days (Monday to Saturday). A number past
+-- the week the row was generated in can only be last year's, as summaries
+-- are written for the current or a previous week. Old week 53 and the next
+-- year's week 1 can be the same week; where two rows land in one week the
+-- older is moved to a *_superseded table rather than deleted.
+
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS week_start INTEGER;
+
+-- The Monday of a row's old week
+CREATE OR REPLACE FUNCTION legacy_week_monday(week_number INTEGER, generated_at TIMESTAMPTZ)
+RETURNS DATE AS $$
+DECLARE
+    generated DATE := (COALESCE(generated_at, NOW()) AT TIME ZONE 'UTC')::DATE;
+    year_start DATE := DATE_TRUNC('year', generated)::DATE;
+    -- The Sunday on or before January 1st, where week 1 began
+    first_sunday DATE := year_start - EXTRACT(DOW FROM year_start)::INTEGER;
+BEGIN
+    IF week_number > (generated - first_sunday) / 7 + 1 THEN
+        year_start := (year_start - INTERVAL '1 year')::DATE;
+        first_sunday := year_start - EXTRACT(DOW FROM year_start)::INTEGER;
+    END IF;
+    RETURN first_sunday + (week_number - 1) * 7 + 1;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Therapy summaries
+ALTER TABLE therapy_summaries ADD COLUMN IF NOT EXISTS iso_year INTEGER;
+ALTER TABLE therapy_summaries ADD COLUMN IF NOT EXISTS iso_week INTEGER;
+
+UPDATE therapy_summaries
+SET iso_year = EXTRACT(ISOYEAR FROM legacy_week_monday(week_number, generated_at))::INTEGER,
+    iso_week = EXTRACT(WEEK FROM legacy_week_monday(week_number, generated_at))::INTEGER
+WHERE iso_year IS NULL;
+
+CREATE TABLE IF NOT EXISTS therapy_summaries_superseded (LIKE therapy_summaries);
+ALTER TABLE therapy_summaries_superseded ENABLE ROW LEVEL SECURITY;
+
+WITH superseded AS (
+    DELETE FROM therapy_summaries older
+    USING therapy_summaries newer
+    WHERE older.user_id = newer.user_id
+      AND older.iso_year = newer.iso_year
+      AND older.iso_week = newer.iso_week
+      AND (older.generated_at, older.id) < (newer.generated_at, newer.id)
+    RETURNING older.*
+)
+INSERT INTO therapy_summaries_superseded SELECT * FROM superseded;
+
+ALTER TABLE therapy_summaries DROP CONSTRAINT IF EXISTS therapy_summaries_user_id_week_number_key;
+DROP INDEX IF EXISTS idx_therapy_summaries_user_week;
+ALTER TABLE therapy_summaries DROP COLUMN IF EXISTS week_number;
+
+ALTER TABLE therapy_summaries ALTER COLUMN iso_year SET NOT NULL;
+ALTER TABLE therapy_summaries ALTER COLUMN iso_week SET NOT NULL;
+ALTER TABLE therapy_summaries
+    ADD CONSTRAINT therapy_summaries_user_id_iso_year_iso_week_key UNIQUE (user_id, iso_year, iso_week);
+
+-- Coach insights
+ALTER TABLE coach_insights ADD COLUMN IF NOT EXISTS iso_year INTEGER;
+ALTER TABLE coach_insights ADD COLUMN IF NOT EXISTS iso_week INTEGER;
+
+UPDATE coach_insights
+SET iso_year = EXTRACT(ISOYEAR FROM legacy_week_monday(week_number, generated_at))::INTEGER,
+    iso_week = EXTRACT(WEEK FROM legacy_week_monday(week_number, generated_at))::INTEGER
+WHERE iso_year IS NULL;
+
+CREATE TABLE IF NOT EXISTS coach_insights_superseded (LIKE coach_insights);
+ALTER TABLE coach_insights_superseded ENABLE ROW LEVEL SECURITY;
+
+WITH superseded AS (
+    DELETE FROM coach_insights older
+    USING coach_insights newer
+    WHERE older.user_id = newer.user_id
+      AND older.iso_year = newer.iso_year
+      AND older.iso_week = newer.iso_week
+      AND (older.generated_at, older.id) < (newer.generated_at, newer.id)
+    RETURNING older.*
+)
+INSERT INTO coach_insights_superseded SELECT * FROM superseded;
+
+ALTER TABLE coach_insights DROP CONSTRAINT IF EXISTS coach_insights_user_id_week_number_key;
+ALTER TABLE coach_insights DROP COLUMN IF EXISTS week_number;
+
+ALTER TABLE coach_insights ALTER COLUMN iso_year SET NOT NULL;
+ALTER TABLE coach_insights ALTER COLUMN iso_week SET NOT NULL;
+ALTER TABLE coach_insights
+    ADD CONSTRAINT coach_insights_user_id_iso_year_iso_week_key UNIQUE (user_id, iso_year, iso_week);
+
+DROP FUNCTION legacy_week_monday(INTEGER, TIMESTAMPTZ);
@@ -0,0 +1,26 @@
+-- Migration 014: Sync jobs in the database
+-- A sync job is now its sync_runs row instead of state in one server
+-- process, so its status and progress are readable from any instance and
+-- survive a serverless function being frozen. Queued jobs wait for the
+-- client following them, or the scheduled runner, to run them. Manual runs
+-- left 'running' by the old in-process jobs can't be resumed and are closed.
+
+ALTER TABLE sync_runs DROP CONSTRAINT IF EXISTS sync_runs_status_check;
+ALTER TABLE sync_runs ADD CONSTRAINT sync_runs_status_check
+    CHECK (status IN ('queued', 'running', 'succeeded', 'partial', 'failed'));
+
+-- { timezone } the job was queued with
+ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS options JSONB DEFAULT '{}';
+-- Progress events, replayed to clients that connect late
+ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS events JSONB DEFAULT '[]';
+-- Last time the job's runner recorded anything; a quiet runner has died
+ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+-- Why the job failed, if the sync itself threw
+ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS error TEXT;
+
+UPDATE sync_runs
+SET status = 'failed', finished_at = NOW(), error = 'Interrupted'
+WHERE status = 'running' AND trigger = 'manual' AND heartbeat_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_active ON sync_runs(status, heartbeat_at)
+    WHERE status IN ('queued', 'running');
@@ -0,0 +1,12 @@
+-- Migration 015: Refreshable credentials
+-- Records whether a stored credential has a refresh token, so one whose
+-- access token has expired but can be renewed (e.g. Google's, which lasts an
+-- hour) still shows as connected. OAuth credentials so far all come from
+-- Google sign-in, which asks for offline access on every consent and so
+-- always stores a refresh token.
+
+ALTER TABLE user_credentials ADD COLUMN IF NOT EXISTS has_refresh_token BOOLEAN NOT NULL DEFAULT FALSE;
+
+UPDATE user_credentials
+SET has_refresh_token = TRUE
+WHERE token_type = 'oauth' AND encrypted_token IS NOT NULL;
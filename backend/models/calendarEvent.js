@@ -0,0 +1,48 @@
+// Calendar Event
+// A reminder or event on a date. The title is encrypted; in end-to-end mode
+// what's encrypted is the app's ciphertext, which goes back to the app as
+// titleCiphertext and is never read here.
+import { EncryptedRecord } from './encryptedRecord.js';
+
+export class CalendarEvent extends EncryptedRecord {
+    static table = 'calendar_events';
+    static column = 'title_encrypted';
+
+    constructor({ id = null, title = null, titleCiphertext, clientEncrypted = false, date, time = null, type = 'reminder', source = 'manual' }) {
+        super();
+        this.id = id;
+        this.title = clientEncrypted ? null : title;
+        this.titleCiphertext = clientEncrypted ? titleCiphertext : undefined;
+        this.clientEncrypted = clientEncrypted;
+        this.date = date;
+        this.time = time;
+        this.type = type;
+        this.source = source;
+    }
+
+    static fromRow(row, title) {
+        const clientEncrypted = Boolean(row.client_encrypted);
+        return new CalendarEvent({
+            id: row.id,
+            title,
+            titleCiphertext: title,
+            clientEncrypted,
+            date: row.event_date,
+            time: row.event_time,
+            type: row.event_type,
+            source: row.source
+        });
+    }
+
+    static toRow(userId, event, dataKey) {
+        return {
+            user_id: userId,
+            title_encrypted: CalendarEvent.encrypt(userId, event.clientEncrypted ? event.titleCiphertext : event.title, dataKey),
+            event_date: event.date,
+            event_time: event.time,
+            event_type: event.type,
+            source: event.source,
+            client_encrypted: event.clientEncrypted
+        };
+    }
+}
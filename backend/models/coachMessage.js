@@ -0,0 +1,36 @@
+// Coach Message
+// One turn of a chat session, from the user or the coach. The text is encrypted.
+import { EncryptedRecord } from './encryptedRecord.js';
+
+export class CoachMessage extends EncryptedRecord {
+    static table = 'coach_conversations';
+    static column = 'message_encrypted';
+
+    constructor({ id = null, sessionId, role, content, timestamp = null }) {
+        super();
+        this.id = id;
+        this.sessionId = sessionId;
+        this.role = role;
+        this.content = content;
+        this.timestamp = timestamp;
+    }
+
+    static fromRow(row, content) {
+        return new CoachMessage({
+            id: row.id,
+            sessionId: row.session_id,
+            role: row.role,
+            content,
+            timestamp: row.created_at
+        });
+    }
+
+    static toRow(userId, { sessionId, role, content }, dataKey) {
+        return {
+            user_id: userId,
+            session_id: sessionId,
+            message_encrypted: CoachMessage.encrypt(userId, content, dataKey),
+            role
+        };
+    }
+}
@@ -0,0 +1,37 @@
+// Context Item
+// Something the coach remembers about the user (a goal, a person, a
+// preference). The detail is encrypted.
+import { EncryptedRecord } from './encryptedRecord.js';
+
+export class ContextItem extends EncryptedRecord {
+    static table = 'coach_context';
+    static column = 'context_encrypted';
+
+    constructor({ id = null, type, detail, source = 'chat', updatedAt = null }) {
+        super();
+        this.id = id;
+        this.type = type;
+        this.detail = detail;
+        this.source = source;
+        this.updatedAt = updatedAt;
+    }
+
+    static fromRow(row, detail) {
+        return new ContextItem({
+            id: row.id,
+            type: row.context_type,
+            detail,
+            source: row.source,
+            updatedAt: row.updated_at
+        });
+    }
+
+    static toRow(userId, { type, detail, source = 'chat' }, dataKey) {
+        return {
+            user_id: userId,
+            context_type: type,
+            context_encrypted: ContextItem.encrypt(userId, detail, dataKey),
+            source
+        };
+    }
+}
@@ -0,0 +1,57 @@
+// Encrypted Records
+// Base for models stored as a row with one encrypted column. Rows are
+// encrypted and decrypted only here, so every caller treats an unreadable
+// row the same way: it's left out and reported as a decryption failure
+// ({ id, table, code }) rather than dropped silently.
+import { aadFor } from '../utils/encryption.js';
+import { encryptUserData, decryptUserData } from '../utils/userKeys.js';
+
+export class EncryptedRecord {
+    // Subclasses set the table and its encrypted column, and implement
+    // static fromRow(row, plaintext)
+    static table = null;
+    static column = null;
+
+    static context(userId) {
+        return aadFor(userId, this.table, this.column);
+    }
+
+    // The stored value of the encrypted column
+    static encrypt(userId, value, dataKey) {
+        return JSON.stringify(encryptUserData(value, dataKey, this.context(userId)));
+    }
+
+    // The row as a model, or { failure } if it can't be decrypted
+    static decodeRow(userId, row, dataKey) {
+        let encrypted;
+        try {
+            encrypted = JSON.parse(row[this.column]);
+        } catch {
+            return { failure: { id: row.id, table: this.table, code: 'MALFORMED_CIPHERTEXT' } };
+        }
+
+        try {
+            return { record: this.fromRow(row, decryptUserData(encrypted, dataKey, this.context(userId))) };
+        } catch {
+            return { failure: { id: row.id, table: this.table, code: 'DECRYPTION_FAILED' } };
+        }
+    }
+
+    // Decode a user's rows into { records, failures }
+    static decode(userId, rows, dataKey) {
+        const records = [];
+        const failures = [];
+
+        for (const row of rows) {
+            const { record, failure } = this.decodeRow(userId, row, dataKey);
+            if (failure) failures.push(failure);
+            else records.push(record);
+        }
+
+        if (failures.length > 0) {
+            console.warn(`[Models] ${failures.length} ${this.table} row(s) for user ${userId} could not be decrypted`);
+        }
+
+        return { records, failures };
+    }
+}
@@ -0,0 +1,8 @@
+// Models
+// The journal records stored encrypted, with one way in and out of the
+// database each (see encryptedRecord.js)
+export { EncryptedRecord } from './encryptedRecord.js';
+export { TimelineEvent } from './timelineEvent.js';
+export { CoachMessage } from './coachMessage.js';
+export { ContextItem } from './contextItem.js';
+export { CalendarEvent } from './calendarEvent.js';
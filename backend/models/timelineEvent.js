@@ -0,0 +1,55 @@
+// Timeline Event
+// Something that happened: synced from an integration, imported, or a coach
+// conversation summary. The event data is encrypted; when it started and
+// ended, and the timezone it happened in, are stored alongside so a day can
+// be put in order.
+import { EncryptedRecord } from './encryptedRecord.js';
+import { dateKeyIn } from '../utils/dates.js';
+
+export class TimelineEvent extends EncryptedRecord {
+    static table = 'timeline_events';
+    static column = 'event_data_encrypted';
+
+    // timestamp is occurredAt, or just the date for rows stored before
+    // event times existed
+    constructor({ id = null, type, timestamp, occurredAt = null, endedAt = null, timezone = null, data, source }) {
+        super();
+        this.id = id;
+        this.type = type;
+        this.timestamp = timestamp;
+        this.occurredAt = occurredAt;
+        this.endedAt = endedAt;
+        this.timezone = timezone;
+        this.data = data;
+        this.source = source;
+    }
+
+    static fromRow(row, data) {
+        return new TimelineEvent({
+            id: row.id,
+            type: row.event_type,
+            timestamp: row.occurred_at ?? row.event_date,
+            occurredAt: row.occurred_at ?? null,
+            endedAt: row.ended_at ?? null,
+            timezone: row.timezone ?? null,
+            data,
+            source: row.source_integration
+        });
+    }
+
+    // A row for a normalized event; its timestamp may be a date or a full
+    // ISO time, and endTimestamp and timezone are optional. The event is
+    // filed under its date in its timezone.
+    static toRow(userId, { type, timestamp, endTimestamp = null, timezone = null, data, source }, dataKey) {
+        return {
+            user_id: userId,
+            event_date: dateKeyIn(timestamp, timezone),
+            occurred_at: timestamp.includes('T') ? new Date(timestamp).toISOString() : null,
+            ended_at: endTimestamp ? new Date(endTimestamp).toISOString() : null,
+            timezone,
+            event_type: type,
+            event_data_encrypted: TimelineEvent.encrypt(userId, data, dataKey),
+            source_integration: source
+        };
+    }
+}
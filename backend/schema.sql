@@ -30,6 +30,10 @@ CREATE TABLE IF NOT EXISTS user_credentials (
     integration TEXT NOT NULL,
     encrypted_token TEXT,
     token_type TEXT DEFAULT 'access',
+    -- When the stored token stops working (NULL if it doesn't expire)
+    expires_at TIMESTAMPTZ,
+    -- Whether a refresh token is stored with it, so it can be renewed once expired
+    has_refresh_token BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     last_used TIMESTAMPTZ,
@@ -61,17 +65,30 @@ CREATE TABLE IF NOT EXISTS timeline_events (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     event_date DATE NOT NULL,
+    -- When it started and ended (NULL for date-only events), and the IANA
+    -- timezone it happened in
+    occurred_at TIMESTAMPTZ,
+    ended_at TIMESTAMPTZ,
+    timezone TEXT,
     event_type TEXT NOT NULL,
     event_data_encrypted TEXT NOT NULL,
     source_integration TEXT NOT NULL,
+    -- Keyed hash of the event's source identity (order_id, or time + place)
+    fingerprint TEXT,
+    -- Keyed hash of the decrypted payload, to detect changed re-syncs
+    content_hash TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Indexes for performance
 CREATE INDEX idx_timeline_events_user_id ON timeline_events(user_id);
 CREATE INDEX idx_timeline_events_date ON timeline_events(user_id, event_date);
+CREATE INDEX idx_timeline_events_occurred ON timeline_events(user_id, occurred_at);
 CREATE INDEX idx_timeline_events_type ON timeline_events(user_id, event_type);
 
+-- Synced events are upserted on their fingerprint (NULL for manual events)
+CREATE UNIQUE INDEX idx_timeline_events_fingerprint ON timeline_events(user_id, fingerprint);
+
 -- Enable RLS
 ALTER TABLE timeline_events ENABLE ROW LEVEL SECURITY;
 
@@ -82,6 +99,9 @@ CREATE POLICY "Users can view own events" ON timeline_events
 CREATE POLICY "Users can insert own events" ON timeline_events
     FOR INSERT WITH CHECK (user_id = auth.uid());
 
+CREATE POLICY "Users can update own events" ON timeline_events
+    FOR UPDATE USING (user_id = auth.uid());
+
 CREATE POLICY "Users can delete own events" ON timeline_events
     FOR DELETE USING (user_id = auth.uid());
 
@@ -91,17 +111,16 @@ CREATE POLICY "Users can delete own events" ON timeline_events
 CREATE TABLE IF NOT EXISTS therapy_summaries (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    week_number INTEGER NOT NULL,
+    -- The week summarized, by week-numbering year and week (see utils/weeks.js)
+    iso_year INTEGER NOT NULL,
+    iso_week INTEGER NOT NULL,
     encrypted_summary TEXT NOT NULL,
     generated_at TIMESTAMPTZ DEFAULT NOW(),
     expires_at TIMESTAMPTZ,
     recalled_at TIMESTAMPTZ,
-    UNIQUE(user_id, week_number)
+    UNIQUE(user_id, iso_year, iso_week)
 );
 
--- Index for week number lookups
-CREATE INDEX idx_therapy_summaries_user_week ON therapy_summaries(user_id, week_number);
-
 -- Enable RLS
 ALTER TABLE therapy_summaries ENABLE ROW LEVEL SECURITY;
 
@@ -121,10 +140,11 @@ CREATE POLICY "Users can update own summaries" ON therapy_summaries
 CREATE TABLE IF NOT EXISTS coach_insights (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    week_number INTEGER NOT NULL,
+    iso_year INTEGER NOT NULL,
+    iso_week INTEGER NOT NULL,
     insight TEXT NOT NULL,
     generated_at TIMESTAMPTZ DEFAULT NOW(),
-    UNIQUE(user_id, week_number)
+    UNIQUE(user_id, iso_year, iso_week)
 );
 
 -- Enable RLS
@@ -189,7 +209,7 @@ CREATE TRIGGER user_credentials_updated_at
 
 GRANT SELECT, INSERT, UPDATE ON users TO anon, authenticated;
 GRANT SELECT, INSERT, UPDATE, DELETE ON user_credentials TO anon, authenticated;
-GRANT SELECT, INSERT, DELETE ON timeline_events TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON timeline_events TO anon, authenticated;
 GRANT SELECT, INSERT, UPDATE ON therapy_summaries TO anon, authenticated;
 GRANT SELECT, INSERT ON coach_insights TO anon, authenticated;
 GRANT SELECT, INSERT ON recap_reels TO anon, authenticated;
@@ -275,6 +295,8 @@ CREATE TABLE IF NOT EXISTS calendar_events (
     event_time TIME,
     event_type TEXT NOT NULL,
     source TEXT NOT NULL DEFAULT 'manual',
+    -- title_encrypted holds the app's end-to-end ciphertext, not the title
+    client_encrypted BOOLEAN DEFAULT false,
     google_event_id TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -316,6 +338,18 @@ CREATE TABLE IF NOT EXISTS user_settings (
     proactive_notifications BOOLEAN DEFAULT false,
     notification_frequency TEXT DEFAULT 'daily',
     google_calendar_connected BOOLEAN DEFAULT false,
+    -- Include this user in scheduled background syncs
+    auto_sync BOOLEAN DEFAULT true,
+    -- IANA timezone that days, weeks and times of day are taken in (UTC if unset)
+    timezone TEXT,
+    -- Day weeks start on, 0 = Sunday ... 6 = Saturday (Monday if unset)
+    week_start INTEGER,
+    -- End-to-end encryption: the app's PBKDF2 salt and rounds, and a
+    -- ciphertext made with the derived key to check a passphrase against
+    e2e_salt TEXT,
+    e2e_iterations INTEGER,
+    e2e_verifier TEXT,
+    e2e_enabled_at TIMESTAMPTZ,
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE(user_id)
 );
@@ -339,6 +373,207 @@ CREATE TRIGGER user_settings_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at();
 
+-- ============================================
+-- SYNC STATE TABLE (per-integration cursors)
+-- ============================================
+CREATE TABLE IF NOT EXISTS sync_state (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    integration TEXT NOT NULL,
+    -- Opaque cursor returned by agents that page by token rather than date
+    cursor TEXT,
+    -- High-water date: the next incremental sync starts here
+    synced_through DATE,
+    last_attempt_at TIMESTAMPTZ,
+    last_success_at TIMESTAMPTZ,
+    last_error TEXT,
+    consecutive_failures INTEGER DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, integration)
+);
+
+-- Enable RLS
+ALTER TABLE sync_state ENABLE ROW LEVEL SECURITY;
+
+-- Users can only access their own sync state
+CREATE POLICY "Users can view own sync state" ON sync_state
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert own sync state" ON sync_state
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own sync state" ON sync_state
+    FOR UPDATE USING (user_id = auth.uid());
+
+-- ============================================
+-- SYNC RUNS TABLE (per-user sync history)
+-- ============================================
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    trigger TEXT NOT NULL DEFAULT 'manual' CHECK (trigger IN ('manual', 'scheduled')),
+    -- Manual runs are sync jobs and start out queued (see sync/syncJobs.js)
+    status TEXT NOT NULL CHECK (status IN ('queued', 'running', 'succeeded', 'partial', 'failed')),
+    date_range JSONB,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    events_inserted INTEGER DEFAULT 0,
+    events_updated INTEGER DEFAULT 0,
+    events_skipped INTEGER DEFAULT 0,
+    -- { source: { success, count, error, dateRange, durationMs } }
+    sources JSONB DEFAULT '{}',
+    errors JSONB DEFAULT '[]',
+    -- Sync jobs: the { timezone } queued with, progress events, when the
+    -- runner last recorded anything, and why the sync threw if it did
+    options JSONB DEFAULT '{}',
+    events JSONB DEFAULT '[]',
+    heartbeat_at TIMESTAMPTZ,
+    error TEXT
+);
+
+CREATE INDEX idx_sync_runs_user_started ON sync_runs(user_id, started_at DESC);
+CREATE INDEX idx_sync_runs_active ON sync_runs(status, heartbeat_at) WHERE status IN ('queued', 'running');
+
+-- Enable RLS
+ALTER TABLE sync_runs ENABLE ROW LEVEL SECURITY;
+
+-- Users can only access their own sync history
+CREATE POLICY "Users can view own sync runs" ON sync_runs
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert own sync runs" ON sync_runs
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own sync runs" ON sync_runs
+    FOR UPDATE USING (user_id = auth.uid());
+
+-- ============================================
+-- SCHEDULED SYNC RUNS TABLE (background job log)
+-- ============================================
+CREATE TABLE IF NOT EXISTS scheduled_sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    status TEXT NOT NULL CHECK (status IN ('running', 'completed', 'completed_with_errors', 'failed')),
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    users_total INTEGER DEFAULT 0,
+    users_synced INTEGER DEFAULT 0,
+    users_skipped INTEGER DEFAULT 0,
+    users_failed INTEGER DEFAULT 0,
+    -- [{ userId, errors: [...] }]
+    errors JSONB DEFAULT '[]'
+);
+
+CREATE INDEX idx_scheduled_sync_runs_started ON scheduled_sync_runs(started_at DESC);
+
+-- Spans every user: no policies, so only the service role can use it
+ALTER TABLE scheduled_sync_runs ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- SESSIONS TABLE (one row per sign-in, revocable)
+-- ============================================
+CREATE TABLE IF NOT EXISTS sessions (
+    -- The jti claim of this session's access tokens
+    id UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    device TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_sessions_user ON sessions(user_id, last_seen_at DESC);
+
+-- Enable RLS
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+
+-- Users can only access their own sessions
+CREATE POLICY "Users can view own sessions" ON sessions
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert own sessions" ON sessions
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own sessions" ON sessions
+    FOR UPDATE USING (user_id = auth.uid());
+
+-- ============================================
+-- REFRESH TOKENS TABLE (rotation and reuse detection)
+-- ============================================
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    -- The token's jti claim
+    id UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    -- Every token rotated from the same sign-in shares a family (the session id)
+    family_id UUID NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    replaced_by UUID,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id);
+
+-- Enable RLS
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Users can only access their own refresh tokens
+CREATE POLICY "Users can view own refresh tokens" ON refresh_tokens
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert own refresh tokens" ON refresh_tokens
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own refresh tokens" ON refresh_tokens
+    FOR UPDATE USING (user_id = auth.uid());
+
+-- ============================================
+-- LOGIN CODES TABLE (passwordless email sign-in)
+-- ============================================
+CREATE TABLE IF NOT EXISTS login_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT NOT NULL,
+    -- Keyed hashes of the 6-digit code and the magic-link token, never the values
+    code_hash TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    attempts INTEGER DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_login_codes_email ON login_codes(email, created_at DESC);
+
+-- Server-only: no policies, so no client can read hashes or reset attempts
+ALTER TABLE login_codes ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- USER KEYS TABLE (per-user data keys, wrapped by the master key)
+-- ============================================
+CREATE TABLE IF NOT EXISTS user_keys (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    -- The user's AES-256 data key, encrypted with ENCRYPTION_MASTER_KEY.
+    -- Deleting this row makes the user's encrypted data unreadable.
+    wrapped_key TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE user_keys ENABLE ROW LEVEL SECURITY;
+
+-- Users can only access their own key
+CREATE POLICY "Users can view own key" ON user_keys
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert own key" ON user_keys
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can delete own key" ON user_keys
+    FOR DELETE USING (user_id = auth.uid());
+
 -- ============================================
 -- GRANT PERMISSIONS FOR NEW TABLES
 -- ============================================
@@ -346,6 +581,12 @@ GRANT SELECT, INSERT, DELETE ON coach_conversations TO anon, authenticated;
 GRANT SELECT, INSERT, UPDATE, DELETE ON coach_context TO anon, authenticated;
 GRANT SELECT, INSERT, UPDATE, DELETE ON calendar_events TO anon, authenticated;
 GRANT SELECT, INSERT, UPDATE ON user_settings TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE ON sync_state TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE ON sync_runs TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE ON sessions TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE ON refresh_tokens TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON login_codes TO anon, authenticated;
+GRANT SELECT, INSERT, DELETE ON user_keys TO anon, authenticated;
 
 -- ============================================
 -- DONE
@@ -0,0 +1,38 @@
+// Storage
+// Journal data (timeline, conversations, coach context, calendar, settings,
+// credentials and data keys) goes through repositories instead of raw
+// queries, so it can live in Supabase or in a local SQLite file.
+// getRepositories(db) takes either a Supabase client or a database from
+// openSqliteDatabase(). Only these tables move: users, sessions and refresh
+// tokens, email login codes, sync state, runs and jobs, weekly summaries,
+// coach insights and the re-encryption CLI still use Supabase directly, so
+// the server needs a Supabase project even with SQLite storage.
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { createSupabaseRepositories } from './supabaseRepositories.js';
+import { createSqliteRepositories, openSqliteDatabase, isSqliteDatabase } from './sqliteRepositories.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_SQLITE_PATH = join(__dirname, '../data/life-journal.db');
+
+// db -> repositories, so each client's are only built once
+const repositories = new WeakMap();
+
+export const getRepositories = (db) => {
+    if (!repositories.has(db)) {
+        repositories.set(db, isSqliteDatabase(db) ? createSqliteRepositories(db) : createSupabaseRepositories(db));
+    }
+    return repositories.get(db);
+};
+
+// Where journal data is kept: the Supabase client, or a SQLite database with
+// STORAGE_BACKEND=sqlite (at SQLITE_PATH, default data/life-journal.db)
+export const openStorage = (supabase) => {
+    if (process.env.STORAGE_BACKEND !== 'sqlite') return supabase;
+
+    const path = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH;
+    console.log(`[Storage] Using SQLite at ${path} for journal data; accounts and sync history stay in Supabase`);
+    return openSqliteDatabase(path);
+};
+
+export { openSqliteDatabase };
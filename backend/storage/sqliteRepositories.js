@@ -0,0 +1,230 @@
+// SQLite Repositories
+// The same repositories over an embedded SQLite database, so the server and
+// tests can keep journal data without a Supabase project. Methods are async
+// to match the Supabase ones even though better-sqlite3 is synchronous.
+import crypto from 'crypto';
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = join(__dirname, 'sqliteSchema.sql');
+
+// SQLite has no boolean type; these columns come back as true/false like Postgres
+const BOOLEAN_COLUMNS = ['client_encrypted', 'proactive_notifications', 'google_calendar_connected', 'auto_sync', 'has_refresh_token'];
+
+const fromRow = (row) => {
+    if (!row) return null;
+    for (const column of BOOLEAN_COLUMNS) {
+        if (column in row && row[column] !== null) row[column] = Boolean(row[column]);
+    }
+    return row;
+};
+
+const toValue = (value) => (typeof value === 'boolean' ? Number(value) : value ?? null);
+
+const now = () => new Date().toISOString();
+
+// Insert a record with a generated id, as Postgres would
+// onConflict is an ON CONFLICT clause; null is returned if it skipped the row
+const insertRow = (db, table, record, onConflict = '') => {
+    const row = { id: crypto.randomUUID(), ...record };
+    const columns = Object.keys(row);
+    const { changes } = db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')}) ${onConflict}`)
+        .run(Object.fromEntries(columns.map(c => [c, toValue(row[c])])));
+    return changes > 0 ? row : null;
+};
+
+const setClause = (changes) => Object.keys(changes).map(c => `${c} = @${c}`).join(', ');
+
+const bindChanges = (changes) => Object.fromEntries(Object.entries(changes).map(([c, v]) => [c, toValue(v)]));
+
+// Open (creating if needed) a database file, or ':memory:'
+export const openSqliteDatabase = (path) => {
+    if (path !== ':memory:') fs.mkdirSync(dirname(path), { recursive: true });
+
+    const db = new Database(path);
+    db.pragma('journal_mode = WAL');
+    db.exec(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    return db;
+};
+
+export const isSqliteDatabase = (db) => db instanceof Database;
+
+const createTimelineRepo = (db) => ({
+    // SQLite sorts NULLs first, Postgres last; events without a time go last
+    listByDateRange: async (userId, { start, end }) => db.prepare(`
+        SELECT * FROM timeline_events
+        WHERE user_id = ? AND event_date >= ? AND event_date <= ?
+        ORDER BY event_date ASC, occurred_at IS NULL, occurred_at ASC, created_at ASC
+    `).all(userId, start, end),
+
+    listByDate: async (userId, date) => db.prepare(`
+        SELECT * FROM timeline_events
+        WHERE user_id = ? AND event_date = ?
+        ORDER BY occurred_at IS NULL, occurred_at ASC, created_at ASC
+    `).all(userId, date),
+
+    findByFingerprints: async (userId, fingerprints) => {
+        if (fingerprints.length === 0) return [];
+        return db.prepare(`
+            SELECT id, fingerprint, content_hash, occurred_at FROM timeline_events
+            WHERE user_id = ? AND fingerprint IN (${fingerprints.map(() => '?').join(', ')})
+        `).all(userId, ...fingerprints);
+    },
+
+    insert: async (records) => {
+        db.transaction(() => [].concat(records).forEach(record => {
+            insertRow(db, 'timeline_events', { created_at: now(), ...record });
+        }))();
+    },
+
+    insertNew: async (records) => db.transaction(() => [].concat(records)
+        .filter(record => insertRow(db, 'timeline_events', { created_at: now(), ...record },
+            'ON CONFLICT(user_id, fingerprint) DO NOTHING'))
+        .map(record => record.fingerprint))(),
+
+    update: async (userId, id, changes) => {
+        db.prepare(`UPDATE timeline_events SET ${setClause(changes)} WHERE id = @id AND user_id = @user_id`)
+            .run({ ...bindChanges(changes), id, user_id: userId });
+    }
+});
+
+const createConversationRepo = (db) => ({
+    listMessages: async (userId, { sessionId = null } = {}) => {
+        const bySession = sessionId ? 'AND session_id = @sessionId' : '';
+        return db.prepare(`
+            SELECT * FROM coach_conversations
+            WHERE user_id = @userId ${bySession}
+            ORDER BY created_at ASC
+        `).all({ userId, sessionId });
+    },
+
+    insert: async (record) => {
+        // Postgres expires conversations after 7 days by default
+        const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+        insertRow(db, 'coach_conversations', { created_at: now(), expires_at: expiresAt, ...record });
+    }
+});
+
+const createContextRepo = (db) => ({
+    list: async (userId) => db.prepare(`
+        SELECT * FROM coach_context WHERE user_id = ? ORDER BY updated_at DESC
+    `).all(userId),
+
+    insert: async (record) => {
+        const timestamp = now();
+        insertRow(db, 'coach_context', { source: 'chat', created_at: timestamp, updated_at: timestamp, ...record });
+    },
+
+    delete: async (userId, id) => {
+        db.prepare('DELETE FROM coach_context WHERE id = ? AND user_id = ?').run(id, userId);
+    }
+});
+
+const createCalendarRepo = (db) => ({
+    list: async (userId, { start = null, end = null, limit = null } = {}) => {
+        const conditions = ['user_id = @userId'];
+        if (start) conditions.push('event_date >= @start');
+        if (end) conditions.push('event_date <= @end');
+        const limitClause = limit ? 'LIMIT @limit' : '';
+
+        return db.prepare(`
+            SELECT * FROM calendar_events
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY event_date ASC ${limitClause}
+        `).all({ userId, start, end, limit }).map(fromRow);
+    },
+
+    insert: async (record) => {
+        const timestamp = now();
+        const row = insertRow(db, 'calendar_events', { source: 'manual', created_at: timestamp, updated_at: timestamp, ...record });
+        return fromRow(db.prepare('SELECT * FROM calendar_events WHERE id = ?').get(row.id));
+    },
+
+    update: async (userId, id, changes) => {
+        db.prepare(`UPDATE calendar_events SET ${setClause(changes)} WHERE id = @id AND user_id = @user_id`)
+            .run({ ...bindChanges(changes), id, user_id: userId });
+        return fromRow(db.prepare('SELECT * FROM calendar_events WHERE id = ? AND user_id = ?').get(id, userId));
+    },
+
+    delete: async (userId, id) => {
+        db.prepare('DELETE FROM calendar_events WHERE id = ? AND user_id = ?').run(id, userId);
+    }
+});
+
+const createSettingsRepo = (db) => {
+    const get = async (userId) => fromRow(db.prepare('SELECT * FROM user_settings WHERE user_id = ?').get(userId));
+
+    return {
+        get,
+
+        upsert: async (userId, changes) => {
+            const existing = db.prepare('SELECT id FROM user_settings WHERE user_id = ?').get(userId);
+            if (existing) {
+                db.prepare(`UPDATE user_settings SET ${setClause(changes)} WHERE user_id = @user_id`)
+                    .run({ ...bindChanges(changes), user_id: userId });
+            } else {
+                insertRow(db, 'user_settings', { user_id: userId, ...changes });
+            }
+            return get(userId);
+        }
+    };
+};
+
+const createCredentialRepo = (db) => ({
+    find: async (userId, integration, { includeDeleted = false } = {}) => {
+        const active = includeDeleted ? '' : 'AND deleted_at IS NULL';
+        return fromRow(db.prepare(`
+            SELECT * FROM user_credentials WHERE user_id = ? AND integration = ? ${active}
+        `).get(userId, integration)) || null;
+    },
+
+    list: async (userId) => db.prepare(`
+        SELECT * FROM user_credentials
+        WHERE user_id = ? AND deleted_at IS NULL
+        ORDER BY integration ASC
+    `).all(userId).map(fromRow),
+
+    insert: async (record) => {
+        insertRow(db, 'user_credentials', { created_at: now(), ...record });
+    },
+
+    update: async (id, changes) => {
+        db.prepare(`UPDATE user_credentials SET ${setClause(changes)} WHERE id = @id`)
+            .run({ ...bindChanges(changes), id });
+    },
+
+    softDelete: async (userId, integration, deletedAt) => {
+        return db.prepare(`
+            UPDATE user_credentials SET deleted_at = ?, encrypted_token = NULL
+            WHERE user_id = ? AND integration = ? AND deleted_at IS NULL
+        `).run(deletedAt, userId, integration).changes;
+    }
+});
+
+const createKeyRepo = (db) => ({
+    get: async (userId) => db.prepare('SELECT * FROM user_keys WHERE user_id = ?').get(userId) || null,
+
+    insertIfAbsent: async (record) => {
+        const columns = Object.keys(record);
+        return db.prepare(`
+            INSERT OR IGNORE INTO user_keys (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})
+        `).run(record).changes > 0;
+    },
+
+    delete: async (userId) => {
+        db.prepare('DELETE FROM user_keys WHERE user_id = ?').run(userId);
+    }
+});
+
+export const createSqliteRepositories = (db) => ({
+    timeline: createTimelineRepo(db),
+    conversations: createConversationRepo(db),
+    context: createContextRepo(db),
+    calendar: createCalendarRepo(db),
+    settings: createSettingsRepo(db),
+    credentials: createCredentialRepo(db),
+    keys: createKeyRepo(db)
+});
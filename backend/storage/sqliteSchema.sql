@@ -0,0 +1,97 @@
+-- Life Journal local storage (SQLite)
+-- The repository-backed tables from schema.sql, for running offline. Column
+-- names match Postgres so rows look the same from either backend. Ids are
+-- UUID strings, timestamps ISO strings and booleans 0/1.
+
+CREATE TABLE IF NOT EXISTS user_credentials (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    integration TEXT NOT NULL,
+    encrypted_token TEXT,
+    token_type TEXT DEFAULT 'access',
+    expires_at TEXT,
+    has_refresh_token INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT,
+    updated_at TEXT,
+    last_used TEXT,
+    deleted_at TEXT,
+    UNIQUE(user_id, integration)
+);
+
+CREATE TABLE IF NOT EXISTS user_keys (
+    user_id TEXT PRIMARY KEY,
+    wrapped_key TEXT NOT NULL,
+    created_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS timeline_events (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    event_date TEXT NOT NULL,
+    occurred_at TEXT,
+    ended_at TEXT,
+    timezone TEXT,
+    event_type TEXT NOT NULL,
+    event_data_encrypted TEXT NOT NULL,
+    source_integration TEXT NOT NULL,
+    fingerprint TEXT,
+    content_hash TEXT,
+    created_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_timeline_user_date ON timeline_events(user_id, event_date);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_timeline_user_fingerprint ON timeline_events(user_id, fingerprint);
+
+CREATE TABLE IF NOT EXISTS coach_conversations (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    session_id TEXT NOT NULL,
+    message_encrypted TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('user', 'coach')),
+    created_at TEXT,
+    expires_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user_session ON coach_conversations(user_id, session_id);
+
+CREATE TABLE IF NOT EXISTS coach_context (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    context_type TEXT NOT NULL,
+    context_encrypted TEXT NOT NULL,
+    source TEXT DEFAULT 'chat',
+    created_at TEXT,
+    updated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS calendar_events (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    title_encrypted TEXT NOT NULL,
+    event_date TEXT NOT NULL,
+    event_time TEXT,
+    event_type TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'manual',
+    client_encrypted INTEGER DEFAULT 0,
+    google_event_id TEXT,
+    created_at TEXT,
+    updated_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_user_date ON calendar_events(user_id, event_date);
+
+CREATE TABLE IF NOT EXISTS user_settings (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL UNIQUE,
+    proactive_notifications INTEGER DEFAULT 0,
+    notification_frequency TEXT DEFAULT 'daily',
+    google_calendar_connected INTEGER DEFAULT 0,
+    auto_sync INTEGER DEFAULT 1,
+    timezone TEXT,
+    week_start INTEGER,
+    e2e_salt TEXT,
+    e2e_iterations INTEGER,
+    e2e_verifier TEXT,
+    e2e_enabled_at TEXT,
+    updated_at TEXT
+);
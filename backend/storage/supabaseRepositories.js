@@ -0,0 +1,252 @@
+// Supabase Repositories
+// The repositories over a Supabase client. Rows are returned as stored;
+// callers encrypt and decrypt. Errors are thrown.
+
+// PGRST116: .single() matched no rows
+const maybeSingle = async (query) => {
+    const { data, error } = await query.single();
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+};
+
+const rows = async (query) => {
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+};
+
+const createTimelineRepo = (supabase) => ({
+    // In the order they happened; rows without a time come last on their day
+    listByDateRange: (userId, { start, end }) => rows(supabase
+        .from('timeline_events')
+        .select('*')
+        .eq('user_id', userId)
+        .gte('event_date', start)
+        .lte('event_date', end)
+        .order('event_date', { ascending: true })
+        .order('occurred_at', { ascending: true })
+        .order('created_at', { ascending: true })),
+
+    listByDate: (userId, date) => rows(supabase
+        .from('timeline_events')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('event_date', date)
+        .order('occurred_at', { ascending: true })
+        .order('created_at', { ascending: true })),
+
+    findByFingerprints: (userId, fingerprints) => rows(supabase
+        .from('timeline_events')
+        .select('id, fingerprint, content_hash, occurred_at')
+        .eq('user_id', userId)
+        .in('fingerprint', fingerprints)),
+
+    insert: async (records) => {
+        const { error } = await supabase.from('timeline_events').insert(records);
+        if (error) throw error;
+    },
+
+    // Insert the records whose fingerprint isn't stored yet, leaving stored
+    // rows alone; returns the fingerprints inserted. One statement, so a
+    // concurrent sync storing the same events can't fail the batch.
+    insertNew: async (records) => {
+        const inserted = await rows(supabase
+            .from('timeline_events')
+            .upsert(records, { onConflict: 'user_id,fingerprint', ignoreDuplicates: true })
+            .select('fingerprint'));
+        return inserted.map(row => row.fingerprint);
+    },
+
+    update: async (userId, id, changes) => {
+        const { error } = await supabase
+            .from('timeline_events')
+            .update(changes)
+            .eq('id', id)
+            .eq('user_id', userId);
+        if (error) throw error;
+    }
+});
+
+const createConversationRepo = (supabase) => ({
+    // Oldest first; sessionId limits it to one chat session
+    listMessages: (userId, { sessionId = null } = {}) => {
+        let query = supabase
+            .from('coach_conversations')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true });
+        if (sessionId) query = query.eq('session_id', sessionId);
+        return rows(query);
+    },
+
+    insert: async (record) => {
+        const { error } = await supabase.from('coach_conversations').insert(record);
+        if (error) throw error;
+    }
+});
+
+const createContextRepo = (supabase) => ({
+    // Most recently updated first
+    list: (userId) => rows(supabase
+        .from('coach_context')
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })),
+
+    insert: async (record) => {
+        const { error } = await supabase.from('coach_context').insert(record);
+        if (error) throw error;
+    },
+
+    delete: async (userId, id) => {
+        const { error } = await supabase
+            .from('coach_context')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', userId);
+        if (error) throw error;
+    }
+});
+
+const createCalendarRepo = (supabase) => ({
+    // By date; start and end (inclusive) and limit are optional
+    list: (userId, { start = null, end = null, limit = null } = {}) => {
+        let query = supabase
+            .from('calendar_events')
+            .select('*')
+            .eq('user_id', userId)
+            .order('event_date', { ascending: true });
+        if (start) query = query.gte('event_date', start);
+        if (end) query = query.lte('event_date', end);
+        if (limit) query = query.limit(limit);
+        return rows(query);
+    },
+
+    // Returns the stored row
+    insert: async (record) => {
+        const { data, error } = await supabase
+            .from('calendar_events')
+            .insert(record)
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    },
+
+    // Returns the updated row, or null if the user has no such event
+    update: async (userId, id, changes) => {
+        const { data, error } = await supabase
+            .from('calendar_events')
+            .update(changes)
+            .eq('id', id)
+            .eq('user_id', userId)
+            .select();
+        // 22P02: the id isn't a UUID
+        if (error && error.code !== '22P02') throw error;
+        return data?.[0] || null;
+    },
+
+    delete: async (userId, id) => {
+        const { error } = await supabase
+            .from('calendar_events')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', userId);
+        if (error) throw error;
+    }
+});
+
+const createSettingsRepo = (supabase) => ({
+    get: (userId) => maybeSingle(supabase
+        .from('user_settings')
+        .select('*')
+        .eq('user_id', userId)),
+
+    // Creates the row if needed; columns not in changes keep their values
+    upsert: async (userId, changes) => {
+        const { error } = await supabase
+            .from('user_settings')
+            .upsert({ user_id: userId, ...changes }, { onConflict: 'user_id' });
+        if (error) throw error;
+        return maybeSingle(supabase.from('user_settings').select('*').eq('user_id', userId));
+    }
+});
+
+const createCredentialRepo = (supabase) => ({
+    // The user's row for an integration; revoked rows only with includeDeleted
+    find: (userId, integration, { includeDeleted = false } = {}) => {
+        let query = supabase
+            .from('user_credentials')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('integration', integration);
+        if (!includeDeleted) query = query.is('deleted_at', null);
+        return maybeSingle(query);
+    },
+
+    // Active rows, by integration
+    list: (userId) => rows(supabase
+        .from('user_credentials')
+        .select('*')
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .order('integration', { ascending: true })),
+
+    insert: async (record) => {
+        const { error } = await supabase.from('user_credentials').insert(record);
+        if (error) throw error;
+    },
+
+    update: async (id, changes) => {
+        const { error } = await supabase
+            .from('user_credentials')
+            .update(changes)
+            .eq('id', id);
+        if (error) throw error;
+    },
+
+    // Returns how many active rows were revoked
+    softDelete: async (userId, integration, deletedAt) => {
+        const data = await rows(supabase
+            .from('user_credentials')
+            .update({ deleted_at: deletedAt, encrypted_token: null })
+            .eq('user_id', userId)
+            .eq('integration', integration)
+            .is('deleted_at', null)
+            .select('id'));
+        return data.length;
+    }
+});
+
+const createKeyRepo = (supabase) => ({
+    get: (userId) => maybeSingle(supabase
+        .from('user_keys')
+        .select('*')
+        .eq('user_id', userId)),
+
+    // False if the user already has a key (another server got there first)
+    insertIfAbsent: async (record) => {
+        const { error } = await supabase.from('user_keys').insert(record);
+        if (error?.code === '23505') return false;
+        if (error) throw error;
+        return true;
+    },
+
+    delete: async (userId) => {
+        const { error } = await supabase
+            .from('user_keys')
+            .delete()
+            .eq('user_id', userId);
+        if (error) throw error;
+    }
+});
+
+export const createSupabaseRepositories = (supabase) => ({
+    timeline: createTimelineRepo(supabase),
+    conversations: createConversationRepo(supabase),
+    context: createContextRepo(supabase),
+    calendar: createCalendarRepo(supabase),
+    settings: createSettingsRepo(supabase),
+    credentials: createCredentialRepo(supabase),
+    keys: createKeyRepo(supabase)
+});
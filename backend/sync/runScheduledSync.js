@@ -0,0 +1,52 @@
+// Scheduled Sync CLI
+// Usage:
+//   node sync/runScheduledSync.js                  Run once and exit (for cron)
+//   node sync/runScheduledSync.js --interval=60    Keep running, every 60 minutes
+//   node sync/runScheduledSync.js --concurrency=5  Sync up to 5 users at once
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runScheduledSync, startSyncScheduler } from './scheduler.js';
+import { validateKeyOnStartup } from '../utils/keyManagement.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const parseArgs = (argv) => {
+    const args = {};
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        args[key] = value ?? true;
+    }
+    return args;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    // The runner reads every user's rows, so prefer a service role key that bypasses RLS
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    if (!process.env.SUPABASE_URL || !supabaseKey) {
+        console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (or SUPABASE_ANON_KEY) must be set');
+        process.exit(1);
+    }
+    if (!validateKeyOnStartup()) {
+        process.exit(1);
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, supabaseKey);
+    const options = {
+        concurrency: args.concurrency ? parseInt(args.concurrency, 10) : undefined
+    };
+
+    if (args.interval) {
+        startSyncScheduler(supabase, { ...options, intervalMinutes: parseFloat(args.interval) });
+        return;
+    }
+
+    const result = await runScheduledSync(supabase, options);
+    process.exit(result.status === 'failed' ? 1 : 0);
+};
+
+main();
@@ -0,0 +1,235 @@
+// Scheduled Sync Runner
+// Walks every user, syncs the integrations that are due, and records each
+// run in scheduled_sync_runs so overnight failures are visible
+import { runRecordedSync } from './syncRuns.js';
+import { runPendingSyncJobs } from './syncJobs.js';
+import { listIntegrations } from '../integrations/index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CADENCE_HOURS = {
+    daily: 24,
+    weekly: 24 * 7
+};
+
+// notification_frequency values that turn background sync off
+const PAUSED_FREQUENCIES = ['never', 'off', 'none'];
+
+// Runs fire on a fixed interval, so allow a little slack before "not due yet"
+const DUE_GRACE_MS = HOUR_MS;
+
+// Users are walked a page at a time, and their settings and sync state read
+// per page: a page's ids go in the request URL, and an unpaged select would
+// stop at Supabase's 1000-row cap
+const USER_PAGE_SIZE = 100;
+const DEFAULT_CONCURRENCY = 3;
+
+// Integrations due for a user: an integration syncs on its own cadence, or
+// the user's notification_frequency if that is less frequent
+export const getDueIntegrations = (settings, syncStates, integrations, now = new Date()) => {
+    if (settings?.auto_sync === false) return [];
+
+    const frequency = settings?.notification_frequency || 'daily';
+    if (PAUSED_FREQUENCIES.includes(frequency)) return [];
+
+    const userHours = CADENCE_HOURS[frequency] || CADENCE_HOURS.daily;
+
+    return integrations
+        .filter(integration => {
+            const hours = Math.max(CADENCE_HOURS[integration.syncCadence], userHours);
+            const lastSuccess = syncStates.get(integration.name)?.last_success_at;
+            if (!lastSuccess) return true;
+            return now - new Date(lastSuccess) >= hours * HOUR_MS - DUE_GRACE_MS;
+        })
+        .map(integration => integration.name);
+};
+
+// Run fn over items with at most `limit` in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+const fetchUserPage = async (supabase, from) => {
+    const { data, error } = await supabase
+        .from('users')
+        .select('id')
+        .order('created_at', { ascending: true })
+        .range(from, from + USER_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    return data || [];
+};
+
+const fetchRowsForUsers = async (supabase, table, userIds) => {
+    const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .in('user_id', userIds);
+
+    if (error) throw error;
+    return data || [];
+};
+
+const groupByUser = (rows) => {
+    const byUser = new Map();
+    for (const row of rows || []) {
+        if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+        byUser.get(row.user_id).push(row);
+    }
+    return byUser;
+};
+
+const startRunRecord = async (supabase, startedAt) => {
+    const { data, error } = await supabase
+        .from('scheduled_sync_runs')
+        .insert({ status: 'running', started_at: startedAt.toISOString() })
+        .select('id')
+        .single();
+
+    if (error) {
+        console.warn('[SyncScheduler] Could not record run start:', error.message);
+        return null;
+    }
+    return data.id;
+};
+
+const finishRunRecord = async (supabase, runId, summary) => {
+    if (!runId) return;
+
+    const { error } = await supabase
+        .from('scheduled_sync_runs')
+        .update(summary)
+        .eq('id', runId);
+
+    if (error) console.warn('[SyncScheduler] Could not record run result:', error.message);
+};
+
+// Run the sync jobs nobody followed, then sync every user that has due
+// integrations. options.storage is passed on to syncUserData.
+export const runScheduledSync = async (supabase, options = {}) => {
+    const {
+        concurrency = DEFAULT_CONCURRENCY,
+        now = new Date(),
+        syncFn = runRecordedSync,
+        storage = null
+    } = options;
+
+    const startedAt = new Date();
+    const runId = await startRunRecord(supabase, startedAt);
+    console.log(`[SyncScheduler] Run started (concurrency ${concurrency})`);
+
+    const summary = {
+        status: 'completed',
+        users_total: 0,
+        users_synced: 0,
+        users_skipped: 0,
+        users_failed: 0,
+        errors: []
+    };
+
+    try {
+        const jobsRun = await runPendingSyncJobs(supabase, { storage });
+        if (jobsRun > 0) console.log(`[SyncScheduler] Ran ${jobsRun} unfollowed sync job(s)`);
+    } catch (error) {
+        console.warn('[SyncScheduler] Could not run pending sync jobs:', error.message);
+    }
+
+    try {
+        const integrations = listIntegrations();
+
+        for (let from = 0; ; from += USER_PAGE_SIZE) {
+            const users = await fetchUserPage(supabase, from);
+            summary.users_total += users.length;
+            if (users.length === 0) break;
+
+            const userIds = users.map(user => user.id);
+            const settingsRows = await fetchRowsForUsers(supabase, 'user_settings', userIds);
+            const stateRows = await fetchRowsForUsers(supabase, 'sync_state', userIds);
+            const settingsByUser = new Map(settingsRows.map(row => [row.user_id, row]));
+            const statesByUser = groupByUser(stateRows);
+
+            await mapWithConcurrency(users, concurrency, async (user) => {
+                const states = new Map((statesByUser.get(user.id) || []).map(row => [row.integration, row]));
+                const due = getDueIntegrations(settingsByUser.get(user.id), states, integrations, now);
+
+                if (due.length === 0) {
+                    summary.users_skipped++;
+                    return;
+                }
+
+                try {
+                    const result = await syncFn(supabase, user.id, null, {
+                        integrations: due,
+                        trigger: 'scheduled',
+                        ...(storage && { storage })
+                    });
+                    if (result.success) {
+                        summary.users_synced++;
+                    } else {
+                        summary.users_failed++;
+                        summary.errors.push({ userId: user.id, errors: result.errors });
+                    }
+                } catch (error) {
+                    summary.users_failed++;
+                    summary.errors.push({ userId: user.id, errors: [error.message] });
+                }
+            });
+
+            if (users.length < USER_PAGE_SIZE) break;
+        }
+
+        if (summary.users_failed > 0) summary.status = 'completed_with_errors';
+    } catch (error) {
+        console.error('[SyncScheduler] Run failed:', error.message);
+        summary.status = 'failed';
+        summary.errors.push({ userId: null, errors: [error.message] });
+    }
+
+    const finishedAt = new Date();
+    summary.finished_at = finishedAt.toISOString();
+    summary.duration_ms = finishedAt - startedAt;
+    await finishRunRecord(supabase, runId, summary);
+
+    console.log(
+        `[SyncScheduler] Run ${summary.status}: ${summary.users_synced} synced, ` +
+        `${summary.users_skipped} skipped, ${summary.users_failed} failed in ${summary.duration_ms}ms`
+    );
+
+    return { id: runId, ...summary };
+};
+
+// Run on a fixed interval inside a long-lived process. Returns a stop function.
+export const startSyncScheduler = (supabase, { intervalMinutes = 60, ...options } = {}) => {
+    let running = false;
+
+    const tick = async () => {
+        // A slow run must not overlap the next one
+        if (running) {
+            console.warn('[SyncScheduler] Previous run still in progress, skipping');
+            return;
+        }
+        running = true;
+        try {
+            await runScheduledSync(supabase, options);
+        } finally {
+            running = false;
+        }
+    };
+
+    console.log(`[SyncScheduler] Scheduled sync every ${intervalMinutes} minutes`);
+    const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+    tick();
+
+    return () => clearInterval(timer);
+};
@@ -0,0 +1,273 @@
+// Background Sync Jobs
+// POST /api/sync queues a job and answers straight away. A job is its
+// sync_runs row, so any server instance can report on it: the row holds the
+// job's status, options and progress events. Serverless platforms freeze a
+// function once it has responded, so no work is left running after a
+// response: the request following the job's event stream runs it while
+// streaming, and the scheduled runner picks up jobs nobody followed.
+import { runRecordedSync, getRunStatus, formatSyncRun } from './syncRuns.js';
+
+// A running job whose runner hasn't recorded anything for this long is
+// taken to have died with its instance, and can be run again
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+// How often a running job's runner records that it's alive, between its
+// events; well inside STALE_JOB_MS so a quiet agent isn't taken for dead
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+// Queued jobs are left this long for their client to start them before the
+// scheduled runner does
+const UNCLAIMED_JOB_MS = 60 * 1000;
+
+// How often a stream that isn't running its job checks it for new events
+const POLL_INTERVAL_MS = 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const TERMINAL_EVENTS = ['complete', 'error'];
+
+export const isTerminalEvent = (event) => TERMINAL_EVENTS.includes(event.type);
+
+const isActive = (job) => ACTIVE_STATUSES.includes(job.status);
+
+// Queued, or running on a runner that went quiet
+const isClaimable = (job, now = new Date()) => job.status === 'queued' ||
+    (job.status === 'running' && now - new Date(job.heartbeat_at) >= STALE_JOB_MS);
+
+const fetchJob = async (supabase, jobId, userId) => {
+    const { data, error } = await supabase
+        .from('sync_runs')
+        .select('*')
+        .eq('id', jobId)
+        .eq('user_id', userId)
+        .eq('trigger', 'manual')
+        .single();
+
+    // PGRST116: no such row; 22P02: the id isn't a UUID
+    if (error && error.code !== 'PGRST116' && error.code !== '22P02') throw error;
+    return data || null;
+};
+
+const findActiveJob = async (supabase, userId) => {
+    const { data, error } = await supabase
+        .from('sync_runs')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('trigger', 'manual')
+        .in('status', ACTIVE_STATUSES)
+        .order('started_at', { ascending: false })
+        .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+};
+
+// Take a job to run. The update only matches the row as it was read, so of
+// two requests claiming the same job only one gets it; null for the other.
+const claimJob = async (supabase, job) => {
+    const { data, error } = await supabase
+        .from('sync_runs')
+        .update({ status: 'running', heartbeat_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .eq('status', job.status)
+        .eq('heartbeat_at', job.heartbeat_at)
+        .select('*');
+
+    if (error) throw error;
+    return data?.[0] || null;
+};
+
+const saveJob = async (supabase, jobId, fields) => {
+    const { error } = await supabase
+        .from('sync_runs')
+        .update({ ...fields, heartbeat_at: new Date().toISOString() })
+        .eq('id', jobId);
+
+    if (error) console.warn(`[SyncJobs] Could not record job ${jobId}:`, error.message);
+};
+
+// A job's events: those recorded while it ran, then a 'complete' or 'error'
+// event once it has finished
+const getJobEvents = (job) => {
+    const events = job.events || [];
+    if (isActive(job)) return events;
+
+    const final = { id: events.length + 1, at: job.finished_at };
+    return [...events, job.error
+        ? { ...final, type: 'error', status: 'failed', error: job.error }
+        : { ...final, type: 'complete', status: job.status, result: formatSyncRun(job) }];
+};
+
+// Run a claimed job, recording its events on its row as they happen.
+// onEvent gets each new event, the final one included.
+const runClaimedJob = async (supabase, job, {
+    syncFn = runRecordedSync,
+    storage = null,
+    onEvent = () => {},
+    heartbeatMs = HEARTBEAT_INTERVAL_MS
+} = {}) => {
+    const events = [...(job.events || [])];
+    // Writes are chained so the row's events never go backwards
+    let saving = Promise.resolve();
+    const save = (fields) => {
+        saving = saving.then(() => saveJob(supabase, job.id, fields));
+    };
+
+    const record = (type, payload = {}) => {
+        const event = { id: events.length + 1, type, at: new Date().toISOString(), ...payload };
+        events.push(event);
+        onEvent(event);
+        save({ events: [...events] });
+    };
+
+    record('status', { status: 'running' });
+    const timezone = job.options?.timezone;
+    // saveJob stamps heartbeat_at, even with nothing else to record
+    const heartbeat = setInterval(() => save({}), heartbeatMs);
+
+    let finished;
+    try {
+        const result = await syncFn(supabase, job.user_id, job.date_range, {
+            trigger: 'manual',
+            runId: job.id,
+            ...(storage && { storage }),
+            ...(timezone && { timezone }),
+            onProgress: (progress) => record('progress', progress)
+        });
+        finished = { status: getRunStatus(result) };
+    } catch (error) {
+        console.error(`[SyncJobs] Job ${job.id} failed:`, error.message);
+        finished = { status: 'failed', error: error.message };
+    } finally {
+        clearInterval(heartbeat);
+    }
+
+    await saving;
+    finished.finished_at = new Date().toISOString();
+    await saveJob(supabase, job.id, { ...finished, events });
+
+    const row = await fetchJob(supabase, job.id, job.user_id) || { ...job, ...finished, events };
+    const final = getJobEvents({ ...row, ...finished, events }).at(-1);
+    onEvent(final);
+    return final;
+};
+
+// Queue a sync for a user. A user has at most one sync in flight: asking
+// again while one is queued or running returns that job. timezone is
+// recorded with the events (see syncUserData).
+export const createSyncJob = async (supabase, userId, dateRange = null, { timezone = null } = {}) => {
+    const active = await findActiveJob(supabase, userId);
+    if (active) return active;
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('sync_runs')
+        .insert({
+            user_id: userId,
+            trigger: 'manual',
+            status: 'queued',
+            date_range: dateRange,
+            options: { timezone },
+            events: [],
+            started_at: now,
+            heartbeat_at: now
+        })
+        .select('*')
+        .single();
+
+    if (error) throw error;
+    return data;
+};
+
+// Jobs are only visible to the user who started them
+export const getSyncJob = (supabase, jobId, userId) => fetchJob(supabase, jobId, userId);
+
+// Send a job's events after lastEventId to listener until it finishes. A
+// job waiting to run (or whose runner died) is run here; any other is
+// followed by polling its row. options.syncFn, options.storage and
+// options.heartbeatMs are for running it. Returns a function that stops listening, leaving the sync
+// itself to finish.
+export const streamSyncJob = (supabase, job, listener, lastEventId = 0, options = {}) => {
+    const { intervalMs = POLL_INTERVAL_MS, ...runOptions } = options;
+    let stopped = false;
+    let timer = null;
+    let sent = lastEventId;
+
+    const deliver = (event) => {
+        if (stopped || event.id <= sent) return;
+        sent = event.id;
+        listener(event);
+    };
+
+    const step = async (row) => {
+        if (!row || stopped) return;
+        getJobEvents(row).forEach(deliver);
+
+        if (isClaimable(row)) {
+            const claimed = await claimJob(supabase, row);
+            if (claimed) {
+                await runClaimedJob(supabase, claimed, { ...runOptions, onEvent: deliver });
+                return;
+            }
+        }
+
+        if (isActive(row)) wait();
+    };
+
+    const poll = () => fetchJob(supabase, job.id, job.user_id)
+        .then(step)
+        .catch(error => {
+            console.warn(`[SyncJobs] Could not follow job ${job.id}:`, error.message);
+            wait();
+        });
+
+    const wait = () => {
+        if (!stopped) timer = setTimeout(poll, intervalMs);
+    };
+
+    step(job).catch(error => {
+        console.warn(`[SyncJobs] Could not follow job ${job.id}:`, error.message);
+        wait();
+    });
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+};
+
+// Run the jobs nobody is following: queued ones their client never started,
+// and ones whose runner died. Returns how many were run.
+export const runPendingSyncJobs = async (supabase, { syncFn, storage = null, now = new Date() } = {}) => {
+    const { data, error } = await supabase
+        .from('sync_runs')
+        .select('*')
+        .eq('trigger', 'manual')
+        .in('status', ACTIVE_STATUSES)
+        .lt('heartbeat_at', new Date(now - UNCLAIMED_JOB_MS).toISOString());
+
+    if (error) throw error;
+
+    let ran = 0;
+    for (const row of data || []) {
+        if (!isClaimable(row, now)) continue;
+
+        const claimed = await claimJob(supabase, row);
+        if (!claimed) continue;
+
+        await runClaimedJob(supabase, claimed, { syncFn, storage });
+        ran++;
+    }
+    return ran;
+};
+
+// API shape for a job
+export const formatSyncJob = (job) => ({
+    id: job.id,
+    status: job.status,
+    createdAt: job.started_at,
+    finishedAt: job.finished_at ?? null,
+    runId: job.id,
+    result: isActive(job) ? null : formatSyncRun(job),
+    error: job.error ?? null
+});
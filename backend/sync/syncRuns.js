@@ -0,0 +1,124 @@
+// Sync Run History
+// Persists one sync_runs row per user sync (manual or scheduled) so the app
+// can show when data last synced and which sources failed
+import { syncUserData } from './weeklySync.js';
+
+const DEFAULT_RUN_LIMIT = 20;
+const MAX_RUN_LIMIT = 100;
+
+// succeeded: every source worked; partial: some did; failed: none did
+export const getRunStatus = (result) => {
+    if (result.success) return 'succeeded';
+
+    const sources = Object.values(result.sources || {});
+    return sources.some(source => source.success) ? 'partial' : 'failed';
+};
+
+const startRun = async (supabase, userId, trigger, dateRange) => {
+    const { data, error } = await supabase
+        .from('sync_runs')
+        .insert({
+            user_id: userId,
+            trigger,
+            status: 'running',
+            date_range: dateRange,
+            started_at: new Date().toISOString()
+        })
+        .select('id')
+        .single();
+
+    // History is best-effort: a missing table must not block the sync itself
+    if (error) {
+        console.warn('[SyncRuns] Could not record run start:', error.message);
+        return null;
+    }
+    return data.id;
+};
+
+const finishRun = async (supabase, runId, fields) => {
+    if (!runId) return;
+
+    const { error } = await supabase
+        .from('sync_runs')
+        .update(fields)
+        .eq('id', runId);
+
+    if (error) console.warn('[SyncRuns] Could not record run result:', error.message);
+};
+
+// Run syncUserData and record it. Same signature as syncUserData, plus
+// options.trigger ('manual' | 'scheduled') and options.runId, a row already
+// started for it (a sync job's).
+export const runRecordedSync = async (supabase, userId, dateRange = null, options = {}) => {
+    const { trigger = 'manual', runId: startedRunId = null, ...syncOptions } = options;
+    const startedAt = Date.now();
+    const runId = startedRunId ?? await startRun(supabase, userId, trigger, dateRange);
+
+    try {
+        const result = await syncUserData(supabase, userId, dateRange, syncOptions);
+
+        await finishRun(supabase, runId, {
+            status: getRunStatus(result),
+            finished_at: new Date().toISOString(),
+            duration_ms: Date.now() - startedAt,
+            events_inserted: result.eventsInserted,
+            events_updated: result.eventsUpdated,
+            events_skipped: result.eventsSkipped,
+            sources: result.sources,
+            errors: result.errors
+        });
+
+        return { ...result, runId };
+    } catch (error) {
+        await finishRun(supabase, runId, {
+            status: 'failed',
+            finished_at: new Date().toISOString(),
+            duration_ms: Date.now() - startedAt,
+            errors: [error.message]
+        });
+        throw error;
+    }
+};
+
+// API shape for a sync_runs row
+export const formatSyncRun = (row) => ({
+    id: row.id,
+    trigger: row.trigger,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    dateRange: row.date_range,
+    eventsInserted: row.events_inserted ?? 0,
+    eventsUpdated: row.events_updated ?? 0,
+    eventsSkipped: row.events_skipped ?? 0,
+    sources: row.sources || {},
+    errors: row.errors || [],
+    error: row.error ?? null
+});
+
+export const listSyncRuns = async (supabase, userId, limit = DEFAULT_RUN_LIMIT) => {
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_RUN_LIMIT, 1), MAX_RUN_LIMIT);
+
+    const { data, error } = await supabase
+        .from('sync_runs')
+        .select('*')
+        .eq('user_id', userId)
+        .order('started_at', { ascending: false })
+        .limit(safeLimit);
+
+    if (error) throw error;
+    return (data || []).map(formatSyncRun);
+};
+
+export const getSyncRun = async (supabase, userId, runId) => {
+    const { data, error } = await supabase
+        .from('sync_runs')
+        .select('*')
+        .eq('id', runId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !data) return null;
+    return formatSyncRun(data);
+};
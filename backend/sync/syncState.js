@@ -0,0 +1,72 @@
+// Per-user, per-integration sync cursors
+// Each row remembers how far an integration has been synced, so the next
+// sync only asks the agent for data since then
+
+// Load all sync state rows for a user, keyed by integration name
+export const getSyncStates = async (supabase, userId) => {
+    const { data, error } = await supabase
+        .from('sync_state')
+        .select('*')
+        .eq('user_id', userId);
+
+    if (error) throw error;
+    return new Map((data || []).map(row => [row.integration, row]));
+};
+
+// Date range to request from an integration. An explicit range (backfill)
+// wins; otherwise resume from the high-water date, re-reading that day so
+// events after the last sync on the same day aren't missed.
+export const resolveSyncRange = (state, explicitRange, defaultRange, today) => {
+    if (explicitRange) return explicitRange;
+    if (state?.synced_through) {
+        return { start: state.synced_through, end: today };
+    }
+    return defaultRange;
+};
+
+// New high-water date after syncing a range. Ranges that leave a gap after
+// the current high-water date (or lie entirely before it) don't move it.
+export const nextSyncedThrough = (state, range) => {
+    const previous = state?.synced_through;
+    if (!previous) return range.end;
+    if (range.start <= previous && range.end > previous) return range.end;
+    return previous;
+};
+
+export const recordSyncSuccess = async (supabase, userId, integration, { cursor, syncedThrough }) => {
+    const now = new Date().toISOString();
+
+    const { error } = await supabase
+        .from('sync_state')
+        .upsert({
+            user_id: userId,
+            integration,
+            cursor: cursor ?? null,
+            synced_through: syncedThrough,
+            last_attempt_at: now,
+            last_success_at: now,
+            last_error: null,
+            consecutive_failures: 0,
+            updated_at: now
+        }, { onConflict: 'user_id,integration' });
+
+    if (error) throw error;
+};
+
+// Failures leave cursor and synced_through untouched so the same window is retried
+export const recordSyncFailure = async (supabase, userId, integration, previousState, errorMessage) => {
+    const now = new Date().toISOString();
+
+    const { error } = await supabase
+        .from('sync_state')
+        .upsert({
+            user_id: userId,
+            integration,
+            last_attempt_at: now,
+            last_error: errorMessage,
+            consecutive_failures: (previousState?.consecutive_failures || 0) + 1,
+            updated_at: now
+        }, { onConflict: 'user_id,integration' });
+
+    if (error) throw error;
+};
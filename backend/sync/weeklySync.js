@@ -1,182 +1,415 @@
 // Weekly Sync Orchestration
-import { googleMapsAgent } from '../agents/googleMapsAgent.js';
-import { amazonAgent } from '../agents/amazonAgent.js';
+import { listIntegrations } from '../integrations/index.js';
 import { normalizeData, validateNormalizedEvents } from '../agents/claudeNormalizer.js';
-import { getCredentialLocal } from '../utils/credentialVault.js';
-import { encryptData } from '../utils/encryption.js';
-import { getMasterKey } from '../utils/keyManagement.js';
+import { getCredentialRecord, getCredentialLocal, isCredentialExpired } from '../utils/credentialVault.js';
+import { computeEventFingerprint, computeFormerFingerprint, computeContentHash } from '../utils/fingerprint.js';
+import {
+    getSyncStates,
+    resolveSyncRange,
+    nextSyncedThrough,
+    recordSyncSuccess,
+    recordSyncFailure
+} from './syncState.js';
+import { getHashKey } from '../utils/keyManagement.js';
+import { getUserKey } from '../utils/userKeys.js';
+import { getRepositories } from '../storage/index.js';
+import { TimelineEvent } from '../models/index.js';
+import { getUserTimeZone, todayIn, weekRangeIn } from '../utils/dates.js';
 
-// Get date range for the past week
-export const getWeekDateRange = (weeksAgo = 0) => {
-    const end = new Date();
-    end.setDate(end.getDate() - (weeksAgo * 7));
+// Get date range for the past week, in a timezone (default UTC)
+export const getWeekDateRange = (weeksAgo = 0, timeZone = null) => weekRangeIn(weeksAgo, timeZone);
 
-    const start = new Date(end);
-    start.setDate(start.getDate() - 7);
+// Sync user data from all integrations. Without an explicit dateRange each
+// integration resumes from its own sync_state cursor; with one (a backfill)
+// every integration fetches exactly that range. options.integrations limits
+// the sync to the named integrations; options.onProgress receives
+// { source, stage, ... } as each source starts, normalizes and is stored.
+// A source without a usable credential fails with code CREDENTIAL_MISSING or
+// CREDENTIAL_EXPIRED. Credentials and events are kept in options.storage
+// (see storage/index.js), which defaults to supabase. options.timezone (IANA)
+// is recorded with events that don't carry their own; it defaults to the
+// user's, which also decides what "today" is.
+export const syncUserData = async (supabase, userId, dateRange = null, options = {}) => {
+    const report = createProgressReporter(options.onProgress);
+    const storage = options.storage ?? supabase;
 
-    return {
-        start: start.toISOString().split('T')[0],
-        end: end.toISOString().split('T')[0]
-    };
-};
-
-// Sync user data from all integrations
-export const syncUserData = async (supabase, userId, dateRange) => {
     console.log(`[WeeklySync] Starting sync for user ${userId}`);
-    console.log(`[WeeklySync] Date range: ${dateRange.start} to ${dateRange.end}`);
+    console.log(dateRange
+        ? `[WeeklySync] Date range: ${dateRange.start} to ${dateRange.end}`
+        : '[WeeklySync] Incremental sync from stored cursors');
 
     const results = {
         success: true,
         eventsAdded: 0,
+        eventsInserted: 0,
+        eventsUpdated: 0,
+        eventsSkipped: 0,
+        eventsInvalid: 0,
         errors: [],
         sources: {}
     };
 
-    // Run agents in parallel
-    const agentPromises = [
-        runAgent('google_maps', googleMapsAgent, userId, dateRange),
-        runAgent('amazon', amazonAgent, userId, dateRange)
-    ];
+    const syncStates = await loadSyncStates(supabase, userId);
+    const timeZone = options.timezone ?? await getUserTimeZone(storage, userId);
+    const today = todayIn(timeZone);
+    const defaultRange = getWeekDateRange(0, timeZone);
 
-    const agentResults = await Promise.allSettled(agentPromises);
+    // Run every registered integration in parallel
+    const integrations = listIntegrations()
+        .filter(integration => !options.integrations || options.integrations.includes(integration.name));
+    const ranges = integrations.map(integration =>
+        resolveSyncRange(syncStates.get(integration.name), dateRange, defaultRange, today)
+    );
+    const agentResults = await Promise.allSettled(
+        integrations.map((integration, index) => runAgent(
+            storage,
+            integration,
+            userId,
+            ranges[index],
+            syncStates.get(integration.name)?.cursor ?? null,
+            report
+        ))
+    );
 
     // Process results
     let allEvents = [];
 
     agentResults.forEach((result, index) => {
-        const sourceName = ['google_maps', 'amazon'][index];
+        const sourceName = integrations[index].name;
 
         if (result.status === 'fulfilled' && result.value.success) {
             const { events } = result.value;
             allEvents = allEvents.concat(events);
             results.sources[sourceName] = {
                 success: true,
-                count: events.length
+                count: events.length,
+                dateRange: ranges[index],
+                durationMs: result.value.durationMs
             };
         } else {
             const errorMsg = result.status === 'rejected'
                 ? result.reason.message
                 : result.value.error;
 
+            const code = result.status === 'fulfilled' ? result.value.code : undefined;
+
             results.errors.push(`${sourceName}: ${errorMsg}`);
+            report(sourceName, 'failed', { error: errorMsg, ...(code && { code }) });
             results.sources[sourceName] = {
                 success: false,
-                error: errorMsg
+                error: errorMsg,
+                ...(code && { code }),
+                dateRange: ranges[index],
+                durationMs: result.status === 'fulfilled' ? result.value.durationMs : null
             };
         }
     });
 
-    // Validate all events
+    // Validate all events; ones that can't be stored are left out
     const validation = validateNormalizedEvents(allEvents);
     if (!validation.valid) {
         console.warn('[WeeklySync] Validation warnings:', validation.errors);
     }
+    allEvents = validation.events;
+    results.eventsInvalid = validation.invalid;
 
     // Store events in database
-    if (allEvents.length > 0 && supabase) {
-        const storeResult = await storeTimelineEvents(supabase, userId, allEvents);
-        results.eventsAdded = storeResult.count;
+    const fetchedSources = Object.keys(results.sources).filter(name => results.sources[name].success);
+    fetchedSources.forEach(name => report(name, 'storing', { count: results.sources[name].count }));
+
+    let storageError = null;
+    if (allEvents.length > 0 && storage) {
+        const storeResult = await storeTimelineEvents(storage, userId, allEvents, { timezone: timeZone });
+        results.eventsInserted = storeResult.inserted;
+        results.eventsUpdated = storeResult.updated;
+        results.eventsSkipped = storeResult.skipped;
         if (storeResult.error) {
+            storageError = storeResult.error;
             results.errors.push(`Storage: ${storeResult.error}`);
         }
     } else {
-        results.eventsAdded = allEvents.length;
+        // Nothing is persisted locally, so only in-batch duplicates are skipped
+        // (and the records never leave memory, so any key will do)
+        const { records, duplicates } = prepareTimelineRecords(userId, allEvents, getHashKey(), timeZone);
+        results.eventsInserted = records.length;
+        results.eventsSkipped = duplicates;
+    }
+    results.eventsAdded = results.eventsInserted;
+
+    fetchedSources.forEach(name => report(name, storageError ? 'failed' : 'stored', storageError
+        ? { error: `Storage: ${storageError}` }
+        : { count: results.sources[name].count }));
+
+    // Advance cursors only for sources whose events were fetched and stored
+    if (supabase) {
+        const stored = !results.errors.some(e => e.startsWith('Storage:'));
+        await saveSyncStates(supabase, userId, integrations, agentResults, ranges, syncStates, stored);
     }
 
     results.success = results.errors.length === 0;
-    console.log(`[WeeklySync] Completed: ${results.eventsAdded} events, ${results.errors.length} errors`);
+    console.log(`[WeeklySync] Completed: ${results.eventsInserted} inserted, ${results.eventsUpdated} updated, ${results.eventsSkipped} skipped, ${results.eventsInvalid} invalid, ${results.errors.length} errors`);
 
     return results;
 };
 
-// Run a single agent
-const runAgent = async (sourceName, agentFn, userId, dateRange) => {
+// Progress listeners are observers: one that throws must not fail the sync
+const createProgressReporter = (onProgress) => (source, stage, details = {}) => {
+    if (!onProgress) return;
+    try {
+        onProgress({ source, stage, ...details });
+    } catch (error) {
+        console.warn('[WeeklySync] Progress listener failed:', error.message);
+    }
+};
+
+// Sync state is an optimisation: if it can't be read, fall back to full windows
+const loadSyncStates = async (supabase, userId) => {
+    if (!supabase) return new Map();
+
     try {
-        // Get credentials (for MVP, use mock token)
-        const token = getCredentialLocal(userId, sourceName) || 'mock-token';
+        return await getSyncStates(supabase, userId);
+    } catch (error) {
+        console.warn('[WeeklySync] Could not load sync state:', error.message);
+        return new Map();
+    }
+};
+
+const saveSyncStates = async (supabase, userId, integrations, agentResults, ranges, syncStates, stored) => {
+    await Promise.all(integrations.map(async (integration, index) => {
+        const result = agentResults[index];
+        const state = syncStates.get(integration.name);
+        const succeeded = result.status === 'fulfilled' && result.value.success;
+
+        try {
+            if (succeeded && stored) {
+                await recordSyncSuccess(supabase, userId, integration.name, {
+                    cursor: result.value.cursor ?? state?.cursor,
+                    syncedThrough: nextSyncedThrough(state, ranges[index])
+                });
+            } else {
+                const errorMsg = !succeeded
+                    ? (result.status === 'rejected' ? result.reason.message : result.value.error)
+                    : 'Events could not be stored';
+                await recordSyncFailure(supabase, userId, integration.name, state, errorMsg);
+            }
+        } catch (error) {
+            console.warn(`[WeeklySync] Could not save sync state for ${integration.name}:`, error.message);
+        }
+    }));
+};
+
+// The token an integration's agent should use: { token } or { error, code }.
+// Without storage (tests only) it comes from the in-memory store.
+const resolveCredential = async (storage, integration, userId) => {
+    const missing = {
+        error: `No credential stored for ${integration.name}; connect it first`,
+        code: 'CREDENTIAL_MISSING'
+    };
+
+    if (!storage) {
+        const token = getCredentialLocal(userId, integration.credential);
+        return token ? { token } : missing;
+    }
+
+    const record = await getCredentialRecord(storage, userId, integration.credential);
+    if (!record) return missing;
+
+    // Integrations that can refresh their tokens do so in getAccessToken
+    const refreshable = integration.getAccessToken && record.refreshToken;
+    if (isCredentialExpired(record.expiresAt) && !refreshable) {
+        return {
+            error: `The ${integration.name} credential expired at ${record.expiresAt}; reconnect it`,
+            code: 'CREDENTIAL_EXPIRED'
+        };
+    }
+
+    return { token: record.token };
+};
+
+// Run a single integration's agent
+const runAgent = async (storage, integration, userId, dateRange, cursor = null, report = () => {}) => {
+    const startedAt = Date.now();
+    report(integration.name, 'started', { dateRange });
+
+    try {
+        const credential = await resolveCredential(storage, integration, userId);
+        if (!credential.token) {
+            console.warn(`[WeeklySync] Skipping ${integration.name}: ${credential.code}`);
+            return {
+                success: false,
+                error: credential.error,
+                code: credential.code,
+                events: [],
+                durationMs: Date.now() - startedAt
+            };
+        }
+        const { token } = credential;
+
+        // Integrations with expiring OAuth tokens hand agents a refreshing getter
+        const getAccessToken = async () => {
+            if (!storage || !integration.getAccessToken) return token;
+            return (await integration.getAccessToken(storage, userId)) || token;
+        };
 
         // Run agent
-        const result = await agentFn(token, dateRange);
+        // Agents that page by their own cursor can use it; date-range agents ignore it
+        const result = await integration.agent(token, dateRange, { cursor, getAccessToken });
 
         if (!result.success) {
             throw new Error(result.error || 'Agent failed');
         }
 
         // Normalize data through Claude if needed
-        const normalizedEvents = await normalizeData(sourceName, result.events);
+        report(integration.name, 'normalizing', { count: result.events.length });
+        const normalizedEvents = await normalizeData(integration.name, result.events);
+
+        // Drop anything the integration didn't declare it produces
+        const events = normalizedEvents.filter(event => integration.eventTypes.includes(event.type));
+        if (events.length < normalizedEvents.length) {
+            console.warn(`[WeeklySync] Dropped ${normalizedEvents.length - events.length} undeclared events from ${integration.name}`);
+        }
+        report(integration.name, 'normalized', { count: events.length });
 
         return {
             success: true,
-            events: normalizedEvents
+            events,
+            cursor: result.cursor ?? null,
+            durationMs: Date.now() - startedAt
         };
     } catch (error) {
-        console.error(`[WeeklySync] Agent ${sourceName} failed:`, error.message);
+        console.error(`[WeeklySync] Agent ${integration.name} failed:`, error.message);
         return {
             success: false,
             error: error.message,
-            events: []
+            events: [],
+            durationMs: Date.now() - startedAt
         };
     }
 };
 
-// Store timeline events in Supabase
-const storeTimelineEvents = async (supabase, userId, events) => {
-    try {
-        const masterKey = getMasterKey();
+// Stored rows are looked up by fingerprint in chunks to keep request URLs short
+const FINGERPRINT_LOOKUP_CHUNK = 100;
 
-        const records = events.map(event => {
-            const encrypted = encryptData(event.data, masterKey);
-            return {
-                user_id: userId,
-                event_date: event.timestamp.split('T')[0],
-                event_type: event.type,
-                event_data_encrypted: JSON.stringify(encrypted),
-                source_integration: event.source,
-                created_at: new Date().toISOString()
-            };
+// Build timeline rows encrypted with the user's data key, keyed by
+// fingerprint. Later duplicates in the same batch win, earlier ones are
+// counted as skipped. timezone is used for events without their own.
+// formerFingerprints maps fingerprints that have changed scheme to the one
+// the event was stored under before (see computeFormerFingerprint).
+export const prepareTimelineRecords = (userId, events, dataKey, timezone = null) => {
+    const hashKey = getHashKey();
+    const records = new Map();
+    const formerFingerprints = new Map();
+    let duplicates = 0;
+
+    for (const event of events) {
+        const fingerprint = computeEventFingerprint(event, hashKey);
+        if (records.has(fingerprint)) duplicates++;
+
+        records.set(fingerprint, {
+            ...TimelineEvent.toRow(userId, { ...event, timezone: event.timezone ?? timezone }, dataKey),
+            fingerprint,
+            content_hash: computeContentHash(event.data, hashKey)
         });
 
-        const { error } = await supabase
-            .from('timeline_events')
-            .insert(records);
+        const former = computeFormerFingerprint(event, hashKey);
+        if (former) formerFingerprints.set(fingerprint, former);
+    }
+
+    return { records: Array.from(records.values()), duplicates, formerFingerprints };
+};
+
+// Look up stored rows by fingerprint, FINGERPRINT_LOOKUP_CHUNK at a time
+const findStoredRows = async (timeline, userId, fingerprints) => {
+    const rows = [];
+    for (let i = 0; i < fingerprints.length; i += FINGERPRINT_LOOKUP_CHUNK) {
+        rows.push(...await timeline.findByFingerprints(userId, fingerprints.slice(i, i + FINGERPRINT_LOOKUP_CHUNK)));
+    }
+    return rows;
+};
 
-        if (error) throw error;
+// Move rows stored under an event's former fingerprint to its current one,
+// so they're matched instead of duplicated. Left alone if the current
+// fingerprint is already stored too.
+const adoptFormerFingerprints = async (timeline, userId, formerFingerprints) => {
+    const currentByFormer = new Map([...formerFingerprints].map(([current, former]) => [former, current]));
+    if (currentByFormer.size === 0) return;
 
-        return { count: records.length, error: null };
+    const stored = await findStoredRows(timeline, userId, [...currentByFormer.keys()]);
+    if (stored.length === 0) return;
+
+    const taken = new Set((await findStoredRows(timeline, userId, stored.map(row => currentByFormer.get(row.fingerprint))))
+        .map(row => row.fingerprint));
+
+    for (const row of stored) {
+        const current = currentByFormer.get(row.fingerprint);
+        if (!taken.has(current)) await timeline.update(userId, row.id, { fingerprint: current });
+    }
+};
+
+// Store timeline events, upserting on each event's fingerprint: new events
+// are inserted, stored ones are updated only if their content changed. Rows
+// stored before event times existed get them when their event comes in again.
+// Events without a timezone get timezone, or the user's.
+export const storeTimelineEvents = async (db, userId, events, { timezone = null } = {}) => {
+    const counts = { inserted: 0, updated: 0, skipped: 0 };
+    const { timeline } = getRepositories(db);
+
+    try {
+        const dataKey = await getUserKey(db, userId);
+        timezone = timezone ?? await getUserTimeZone(db, userId);
+        const { records, duplicates, formerFingerprints } = prepareTimelineRecords(userId, events, dataKey, timezone);
+        counts.skipped += duplicates;
+        await adoptFormerFingerprints(timeline, userId, formerFingerprints);
+
+        // Insert the events not stored yet. Those that are (including any a
+        // concurrent sync just stored) are compared with the stored row below.
+        const createdAt = new Date().toISOString();
+        const inserted = new Set(records.length > 0
+            ? await timeline.insertNew(records.map(record => ({ ...record, created_at: createdAt })))
+            : []);
+        counts.inserted = inserted.size;
+
+        const conflicting = records.filter(record => !inserted.has(record.fingerprint));
+        const existing = new Map((await findStoredRows(timeline, userId, conflicting.map(r => r.fingerprint)))
+            .map(row => [row.fingerprint, row]));
+
+        for (const record of conflicting) {
+            const stored = existing.get(record.fingerprint);
+
+            if (!stored || (stored.content_hash === record.content_hash && (stored.occurred_at || !record.occurred_at))) {
+                counts.skipped++;
+            } else {
+                await timeline.update(userId, stored.id, {
+                    event_date: record.event_date,
+                    occurred_at: record.occurred_at,
+                    ended_at: record.ended_at,
+                    timezone: record.timezone,
+                    event_data_encrypted: record.event_data_encrypted,
+                    content_hash: record.content_hash
+                });
+                counts.updated++;
+            }
+        }
+
+        return { ...counts, count: counts.inserted + counts.updated, error: null };
     } catch (error) {
         console.error('[WeeklySync] Storage error:', error.message);
-        return { count: 0, error: error.message };
+        return { ...counts, count: counts.inserted + counts.updated, error: error.message };
     }
 };
 
-// Sync for local testing (without Supabase)
-export const syncUserDataLocal = async (userId, dateRange) => {
-    return syncUserData(null, userId, dateRange);
+// Sync without Supabase. Given a SQLite database (openSqliteDatabase) the
+// credentials come from it and the events are stored in it; without one,
+// credentials come from the in-memory store and events are only counted.
+export const syncUserDataLocal = async (userId, dateRange, storage = null) => {
+    return syncUserData(null, userId, dateRange, { storage });
 };
 
-// Get all events for a user in a date range
-export const getTimelineEvents = async (supabase, userId, dateRange) => {
-    const { data, error } = await supabase
-        .from('timeline_events')
-        .select('*')
-        .eq('user_id', userId)
-        .gte('event_date', dateRange.start)
-        .lte('event_date', dateRange.end)
-        .order('event_date', { ascending: true });
-
-    if (error) throw error;
-
-    // Decrypt event data
-    const masterKey = getMasterKey();
-    return data.map(record => {
-        const encrypted = JSON.parse(record.event_data_encrypted);
-        const decryptedData = decryptData(encrypted, masterKey);
-        return {
-            id: record.id,
-            type: record.event_type,
-            timestamp: record.event_date,
-            data: decryptedData,
-            source: record.source_integration
-        };
-    });
+// Get all events for a user in a date range, as { events, decryptionFailures }
+export const getTimelineEvents = async (db, userId, dateRange) => {
+    const data = await getRepositories(db).timeline.listByDateRange(userId, dateRange);
+
+    const dataKey = await getUserKey(db, userId);
+    const { records, failures } = TimelineEvent.decode(userId, data, dataKey);
+    return { events: records, decryptionFailures: failures };
 };
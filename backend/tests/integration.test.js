@@ -1,21 +1,169 @@
 // Integration Tests for Life Journal Backend
-import { describe, it, before, after } from 'node:test';
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { readFile } from 'fs/promises';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: join(__dirname, '../.env') });
 
 // Import modules to test
-import { encryptData, decryptData } from '../utils/encryption.js';
-import { getMasterKey, validateKeyOnStartup } from '../utils/keyManagement.js';
-import { generateToken, authenticateToken } from '../auth/jwtMiddleware.js';
-import { googleMapsAgent, getLocationStats } from '../agents/googleMapsAgent.js';
-import { amazonAgent, getSpendingStats } from '../agents/amazonAgent.js';
-import { syncUserDataLocal, getWeekDateRange } from '../sync/weeklySync.js';
-import { storeCredentialLocal, getCredentialLocal, clearLocalStore } from '../utils/credentialVault.js';
+import { encryptData, decryptData, encryptWithMasterKey, decryptWithMasterKey, aadFor } from '../utils/encryption.js';
+import { getMasterKey, validateKeyOnStartup, getHashKey } from '../utils/keyManagement.js';
+import { getUserKey, encryptUserData, decryptUserData, shredUserKey, clearUserKeyCache } from '../utils/userKeys.js';
+import { reencryptAll, ENCRYPTED_COLUMNS } from '../utils/reencryption.js';
+import { isClientCiphertext, getClientEncryption, enableClientEncryption } from '../utils/clientEncryption.js';
+import { generateToken, generateRefreshToken, authenticateToken, setSessionValidator } from '../auth/jwtMiddleware.js';
+import { issueRefreshToken, rotateRefreshToken } from '../auth/refreshTokens.js';
+import {
+    getGoogleOAuthUrl,
+    createOAuthState,
+    verifyOAuthState,
+    computeCodeChallenge
+} from '../auth/googleAuth.js';
+import {
+    createSession,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+} from '../auth/sessions.js';
+import { googleMapsAgent, getLocationStats, importTakeoutLocations, normalizeLocationData } from '../agents/googleMapsAgent.js';
+import { parseTakeoutDocuments, detectTakeoutFormat } from '../agents/googleTakeoutParser.js';
+import { amazonAgent, getSpendingStats, importOrderHistory } from '../agents/amazonAgent.js';
+import { validateNormalizedEvents } from '../agents/claudeNormalizer.js';
+import { parseAmazonDocuments } from '../agents/amazonOrderHistoryParser.js';
+import { parseCsv } from '../utils/csv.js';
+import { syncUserData, syncUserDataLocal, getWeekDateRange, storeTimelineEvents, getTimelineEvents } from '../sync/weeklySync.js';
+import { computeEventFingerprint, computeFormerFingerprint, stableStringify } from '../utils/fingerprint.js';
+import { resolveSyncRange, nextSyncedThrough } from '../sync/syncState.js';
+import { getDueIntegrations, runScheduledSync } from '../sync/scheduler.js';
+import { runRecordedSync, getRunStatus, listSyncRuns, getSyncRun } from '../sync/syncRuns.js';
+import { createSyncJob, getSyncJob, streamSyncJob, runPendingSyncJobs, formatSyncJob, isTerminalEvent } from '../sync/syncJobs.js';
+import {
+    storeCredential,
+    getCredential,
+    getCredentialRecord,
+    storeCredentialLocal,
+    getCredentialLocal,
+    clearLocalStore,
+    listCredentials,
+    deleteCredential
+} from '../utils/credentialVault.js';
+import { storeGoogleTokens, getGoogleAccessToken, GOOGLE_CREDENTIAL } from '../auth/googleTokens.js';
+import { requestLoginCode, verifyLoginCode } from '../auth/emailLogin.js';
+import { setMailTransport } from '../utils/mailer.js';
+import {
+    registerIntegration,
+    unregisterIntegration,
+    listIntegrations,
+    getIntegration
+} from '../integrations/index.js';
+import { getRepositories, openSqliteDatabase } from '../storage/index.js';
+import { TimelineEvent, CoachMessage, CalendarEvent } from '../models/index.js';
+import { isValidTimeZone, isValidTimestamp, dateKeyIn, hourIn, timeOfDayIn, addDays, weekRangeIn, getUserTimeZone } from '../utils/dates.js';
+import { weekOf, currentWeek, shiftWeek, parseWeekId, isValidWeekStart, getUserWeekStart } from '../utils/weeks.js';
+import { storeSummary } from '../agents/summaryAgent.js';
+import { storeInsight, getHistoricalSummaries } from '../agents/coachAgent.js';
+
+// Minimal in-memory stand-in for the Supabase query builder
+const createFakeSupabase = () => {
+    const tables = {};
+    let nextId = 1;
+
+    const query = (table) => {
+        const rows = tables[table] || (tables[table] = []);
+        const filters = [];
+        let pending = null;
+        let removing = false;
+        let inserted = null;
+        let single = false;
+        let slice = null;
+        const sorts = [];
+
+        const matching = () => rows.filter(row => filters.every(f => f(row)));
+        const result = () => {
+            if (pending) {
+                const updated = matching();
+                updated.forEach(row => Object.assign(row, pending));
+                return updated;
+            }
+            if (removing) {
+                const removed = matching();
+                removed.forEach(row => rows.splice(rows.indexOf(row), 1));
+                return removed;
+            }
+            let data = inserted || matching();
+            // Like Postgres, NULLs sort as the largest value
+            const compare = (a, b) => (a === b ? 0 : a == null ? 1 : b == null ? -1 : a > b ? 1 : a < b ? -1 : 0);
+            if (sorts.length > 0) {
+                data = [...data].sort((a, b) => {
+                    for (const { column, ascending } of sorts) {
+                        const order = compare(a[column], b[column]) * (ascending ? 1 : -1);
+                        if (order !== 0) return order;
+                    }
+                    return 0;
+                });
+            }
+            if (slice) data = data.slice(slice[0], slice[1] + 1);
+            return single ? data[0] || null : data;
+        };
+        const builder = {
+            select: () => builder,
+            order: (column, { ascending = true } = {}) => { sorts.push({ column, ascending }); return builder; },
+            single: () => { single = true; return builder; },
+            range: (from, to) => { slice = [from, to]; return builder; },
+            limit: (count) => { slice = [0, count - 1]; return builder; },
+            eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+            in: (column, values) => { filters.push(row => values.includes(row[column])); return builder; },
+            is: (column, value) => { filters.push(row => (row[column] ?? null) === value); return builder; },
+            gte: (column, value) => { filters.push(row => row[column] >= value); return builder; },
+            lte: (column, value) => { filters.push(row => row[column] <= value); return builder; },
+            gt: (column, value) => { filters.push(row => row[column] > value); return builder; },
+            lt: (column, value) => { filters.push(row => row[column] < value); return builder; },
+            insert: (records) => {
+                inserted = [].concat(records).map(record => ({ id: String(nextId++), ...record }));
+                rows.push(...inserted);
+                return builder;
+            },
+            update: (changes) => { pending = changes; return builder; },
+            delete: () => { removing = true; return builder; },
+            // Like INSERT ... ON CONFLICT, returning the rows written
+            upsert: (records, { onConflict, ignoreDuplicates = false }) => {
+                const keys = onConflict.split(',');
+                inserted = [];
+                for (const record of [].concat(records)) {
+                    const existing = rows.find(row => keys.every(k => row[k] === record[k]));
+                    if (existing && ignoreDuplicates) continue;
+                    if (existing) inserted.push(Object.assign(existing, record));
+                    else {
+                        const row = { id: String(nextId++), ...record };
+                        rows.push(row);
+                        inserted.push(row);
+                    }
+                }
+                return builder;
+            },
+            then: (resolve, reject) => {
+                return Promise.resolve({ data: result(), error: null }).then(resolve, reject);
+            }
+        };
+        return builder;
+    };
+
+    return { from: query, tables };
+};
+
+// Sync needs a stored credential for every source it runs; without Supabase
+// they come from the in-memory store
+const connectIntegrations = async (supabase, userId) => {
+    for (const integration of listIntegrations()) {
+        if (supabase) await storeCredential(supabase, userId, integration.credential, `${integration.name}-token`);
+        else storeCredentialLocal(userId, integration.credential, `${integration.name}-token`);
+    }
+};
 
 describe('Encryption Module', () => {
     const testData = { message: 'secret data', numbers: [1, 2, 3] };
@@ -57,6 +205,321 @@ describe('Key Management', () => {
     });
 });
 
+describe('Per-user Data Keys', () => {
+    const event = {
+        type: 'purchase',
+        timestamp: '2025-01-02T00:00:00Z',
+        data: { order_id: '111-1', amount: 20, status: 'ordered' },
+        source: 'amazon'
+    };
+
+    beforeEach(() => {
+        clearUserKeyCache();
+    });
+
+    it('should create one wrapped key per user and reuse it', async () => {
+        const supabase = createFakeSupabase();
+
+        const [first, concurrent] = await Promise.all([
+            getUserKey(supabase, 'user-1'),
+            getUserKey(supabase, 'user-1')
+        ]);
+        assert.strictEqual(first, concurrent);
+        assert.strictEqual(first.length, 64, 'Should be a 32-byte hex key');
+        assert.strictEqual(supabase.tables.user_keys.length, 1, 'Should create the key once');
+
+        const row = supabase.tables.user_keys[0];
+        assert.ok(!row.wrapped_key.includes(first), 'Should not store the key in the clear');
+        assert.strictEqual(decryptData(JSON.parse(row.wrapped_key), getMasterKey(), aadFor('user-1', 'user_keys', 'wrapped_key')), first);
+
+        clearUserKeyCache();
+        assert.strictEqual(await getUserKey(supabase, 'user-1'), first, 'Should load the stored key');
+    });
+
+    it('should give each user a different key', async () => {
+        const supabase = createFakeSupabase();
+        const keyA = await getUserKey(supabase, 'user-a');
+        const keyB = await getUserKey(supabase, 'user-b');
+        assert.notStrictEqual(keyA, keyB);
+
+        const encrypted = encryptData({ note: 'private' }, keyA);
+        assert.throws(() => decryptData(encrypted, keyB), 'Another user\'s key should not decrypt');
+    });
+
+    it('should store timeline events under the user key', async () => {
+        const supabase = createFakeSupabase();
+        await storeTimelineEvents(supabase, 'user-1', [event]);
+
+        const stored = JSON.parse(supabase.tables.timeline_events[0].event_data_encrypted);
+        assert.throws(() => decryptData(stored, getMasterKey()), 'Should not use the master key');
+
+        const { events } = await getTimelineEvents(supabase, 'user-1', { start: '2025-01-01', end: '2025-01-31' });
+        assert.deepStrictEqual(events[0].data, event.data);
+    });
+
+    it('should still read rows encrypted with the master key', async () => {
+        const userKey = await getUserKey(createFakeSupabase(), 'user-1');
+        const legacy = encryptData({ note: 'old row' }, getMasterKey());
+        assert.deepStrictEqual(decryptUserData(legacy, userKey), { note: 'old row' });
+    });
+
+    it('should make data unreadable once the key is shredded', async () => {
+        const supabase = createFakeSupabase();
+        const encrypted = encryptData({ note: 'gone' }, await getUserKey(supabase, 'user-1'));
+
+        await shredUserKey(supabase, 'user-1');
+        assert.strictEqual(supabase.tables.user_keys.length, 0);
+
+        const freshKey = await getUserKey(supabase, 'user-1');
+        assert.throws(() => decryptUserData(encrypted, freshKey));
+    });
+});
+
+describe('Master Key Rotation', () => {
+    const originalEnv = {
+        ENCRYPTION_MASTER_KEY: process.env.ENCRYPTION_MASTER_KEY,
+        ENCRYPTION_KEY_VERSION: process.env.ENCRYPTION_KEY_VERSION,
+        ENCRYPTION_PREVIOUS_KEYS: process.env.ENCRYPTION_PREVIOUS_KEYS,
+        ENCRYPTION_HASH_KEY: process.env.ENCRYPTION_HASH_KEY
+    };
+    const oldKey = originalEnv.ENCRYPTION_MASTER_KEY;
+    const newKey = 'f'.repeat(64);
+
+    const rotate = () => {
+        process.env.ENCRYPTION_MASTER_KEY = newKey;
+        process.env.ENCRYPTION_KEY_VERSION = '2';
+        process.env.ENCRYPTION_PREVIOUS_KEYS = `1:${oldKey}`;
+    };
+
+    beforeEach(() => {
+        clearUserKeyCache();
+    });
+
+    afterEach(() => {
+        for (const [name, value] of Object.entries(originalEnv)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        clearUserKeyCache();
+    });
+
+    it('should tag ciphertexts with the key that made them', () => {
+        assert.strictEqual(encryptWithMasterKey({ a: 1 }).keyVersion, 1);
+        assert.strictEqual(encryptUserData({ a: 1 }, newKey).keyVersion, 'user');
+    });
+
+    it('should decrypt with previous keys after rotating', () => {
+        const versioned = encryptWithMasterKey({ note: 'v1' });
+        const unversioned = encryptData({ note: 'legacy' }, oldKey);
+
+        rotate();
+        assert.deepStrictEqual(decryptWithMasterKey(versioned), { note: 'v1' });
+        assert.deepStrictEqual(decryptWithMasterKey(unversioned), { note: 'legacy' });
+        assert.strictEqual(encryptWithMasterKey({}).keyVersion, 2);
+        assert.strictEqual(getHashKey(), oldKey, 'Hashes should stay on the original key');
+
+        process.env.ENCRYPTION_PREVIOUS_KEYS = '';
+        assert.throws(() => decryptWithMasterKey(versioned), /No master key for version 1/);
+    });
+
+    it('should re-encrypt every column under the current keys', async () => {
+        const supabase = createFakeSupabase();
+        await storeCredential(supabase, 'user-1', 'amazon', 'amazon-token');
+        await getUserKey(supabase, 'user-1');
+        const eventContext = aadFor('user-1', 'timeline_events', 'event_data_encrypted');
+        supabase.tables.timeline_events = [
+            { id: '1', user_id: 'user-1', event_data_encrypted: JSON.stringify(encryptData({ n: 1 }, oldKey)) },
+            { id: '2', user_id: 'user-1', event_data_encrypted: JSON.stringify(encryptUserData({ n: 2 }, await getUserKey(supabase, 'user-1'), eventContext)) }
+        ];
+        const snapshot = () => JSON.stringify(['user_keys', 'user_credentials', 'timeline_events'].map(t => supabase.tables[t]));
+        const before = snapshot();
+
+        rotate();
+        clearUserKeyCache();
+
+        const progress = [];
+        const dryRun = await reencryptAll(supabase, { dryRun: true, onProgress: (p) => progress.push(p) });
+        assert.strictEqual(dryRun.success, true);
+        assert.strictEqual(snapshot(), before, 'Dry run should write nothing');
+        const timeline = dryRun.columns.find(c => c.table === 'timeline_events');
+        assert.deepStrictEqual([timeline.rewritten, timeline.skipped], [1, 1]);
+        assert.ok(progress.some(p => p.table === 'user_keys' && p.done));
+
+        const result = await reencryptAll(supabase, { batchSize: 1 });
+        assert.strictEqual(result.success, true);
+        const rewritten = Object.fromEntries(result.columns.map(c => [c.table, c.rewritten]));
+        assert.deepStrictEqual(
+            [rewritten.user_keys, rewritten.user_credentials, rewritten.timeline_events],
+            [1, 1, 1]
+        );
+
+        // Nothing is left for a second run, and the old key can be retired
+        const again = await reencryptAll(supabase);
+        assert.ok(again.columns.every(c => c.rewritten === 0));
+
+        process.env.ENCRYPTION_PREVIOUS_KEYS = '';
+        clearUserKeyCache();
+        assert.strictEqual(await getCredential(supabase, 'user-1', 'amazon'), 'amazon-token');
+        const userKey = await getUserKey(supabase, 'user-1');
+        const values = supabase.tables.timeline_events.map(row => decryptUserData(JSON.parse(row.event_data_encrypted), userKey, eventContext));
+        assert.deepStrictEqual(values, [{ n: 1 }, { n: 2 }]);
+    });
+
+    it('should cover every encrypted column in schema.sql', async () => {
+        const schema = await readFile(join(__dirname, '../schema.sql'), 'utf-8');
+        const columns = [...schema.matchAll(/^\s+(\w*(?:encrypted\w*|wrapped_key))\s+TEXT/gm)].map(m => m[1]);
+        const covered = ENCRYPTED_COLUMNS.map(c => c.column);
+        assert.ok(columns.length > 0);
+        columns.forEach(column => assert.ok(covered.includes(column), `${column} should be re-encrypted`));
+    });
+});
+
+describe('Associated Data Binding', () => {
+    const key = 'a'.repeat(64);
+    const ownRow = aadFor('user-1', 'timeline_events', 'event_data_encrypted');
+
+    afterEach(() => {
+        delete process.env.ENCRYPTION_REQUIRE_AAD;
+    });
+
+    it('should decrypt only in the row and column it was written for', () => {
+        const encrypted = encryptUserData({ note: 'mine' }, key, ownRow);
+        assert.deepStrictEqual(decryptUserData(encrypted, key, ownRow), { note: 'mine' });
+
+        assert.throws(() => decryptUserData(encrypted, key, aadFor('user-2', 'timeline_events', 'event_data_encrypted')),
+            'Copied into another user\'s row');
+        assert.throws(() => decryptUserData(encrypted, key, aadFor('user-1', 'coach_context', 'context_encrypted')),
+            'Copied into another column');
+        assert.throws(() => decryptData(encrypted, key), /bound to a row/);
+        assert.throws(() => decryptData({ ...encrypted, aad: undefined }, key), 'Stripping the flag should not help');
+    });
+
+    it('should accept unbound ciphertexts until binding is required', () => {
+        const legacy = encryptData({ note: 'old' }, key);
+        assert.deepStrictEqual(decryptData(legacy, key, ownRow), { note: 'old' });
+
+        process.env.ENCRYPTION_REQUIRE_AAD = 'true';
+        assert.throws(() => decryptData(legacy, key, ownRow), /not bound/);
+    });
+
+    it('should bind credentials and wrapped keys to their user', async () => {
+        const supabase = createFakeSupabase();
+        clearUserKeyCache();
+        await storeCredential(supabase, 'user-1', 'amazon', 'token-1');
+        await getUserKey(supabase, 'user-1');
+        await getUserKey(supabase, 'user-2');
+
+        // Swap user-2's wrapped key and credential for user-1's
+        const [keyA, keyB] = supabase.tables.user_keys;
+        keyB.wrapped_key = keyA.wrapped_key;
+        await storeCredential(supabase, 'user-2', 'amazon', 'token-2');
+        supabase.tables.user_credentials[1].encrypted_token = supabase.tables.user_credentials[0].encrypted_token;
+
+        clearUserKeyCache();
+        await assert.rejects(() => getUserKey(supabase, 'user-2'));
+        await assert.rejects(() => getCredential(supabase, 'user-2', 'amazon'));
+        assert.strictEqual(await getCredential(supabase, 'user-1', 'amazon'), 'token-1');
+    });
+});
+
+describe('Encrypted Models', () => {
+    it('should read back what it wrote', async () => {
+        const dataKey = await getUserKey(createFakeSupabase(), 'user-1');
+        const row = {
+            id: 'msg-1',
+            created_at: '2025-01-01T09:00:00Z',
+            ...CoachMessage.toRow('user-1', { sessionId: 's1', role: 'user', content: 'Hello' }, dataKey)
+        };
+
+        const { records, failures } = CoachMessage.decode('user-1', [row], dataKey);
+        assert.deepStrictEqual(failures, []);
+        assert.deepStrictEqual({ ...records[0] }, {
+            id: 'msg-1',
+            sessionId: 's1',
+            role: 'user',
+            content: 'Hello',
+            timestamp: '2025-01-01T09:00:00Z'
+        });
+    });
+
+    it('should report unreadable rows instead of dropping them silently', async () => {
+        const supabase = createFakeSupabase();
+        const dataKey = await getUserKey(supabase, 'user-1');
+        const event = { type: 'purchase', timestamp: '2025-01-02T10:00:00Z', data: { item: 'Book' }, source: 'amazon' };
+        const rows = [
+            { id: 'good', ...TimelineEvent.toRow('user-1', event, dataKey) },
+            { id: 'garbled', ...TimelineEvent.toRow('user-1', event, dataKey), event_data_encrypted: 'not json' },
+            // Bound to another user, so it must not decrypt as user-1's
+            { id: 'moved', ...TimelineEvent.toRow('user-2', event, dataKey), user_id: 'user-1' }
+        ];
+
+        const { records, failures } = TimelineEvent.decode('user-1', rows, dataKey);
+        assert.deepStrictEqual(records.map(r => r.id), ['good']);
+        assert.deepStrictEqual(records[0].data, { item: 'Book' });
+        assert.deepStrictEqual(failures, [
+            { id: 'garbled', table: 'timeline_events', code: 'MALFORMED_CIPHERTEXT' },
+            { id: 'moved', table: 'timeline_events', code: 'DECRYPTION_FAILED' }
+        ]);
+    });
+
+    it('should return end-to-end encrypted titles as ciphertext only', async () => {
+        const dataKey = await getUserKey(createFakeSupabase(), 'user-1');
+        const ciphertext = JSON.stringify({ v: 1, iv: 'aXY=', data: 'ZGF0YQ==' });
+        const event = new CalendarEvent({ titleCiphertext: ciphertext, clientEncrypted: true, date: '2025-01-05' });
+
+        const { records } = CalendarEvent.decode('user-1', [{ id: 'cal-1', ...CalendarEvent.toRow('user-1', event, dataKey) }], dataKey);
+        assert.strictEqual(records[0].title, null);
+        assert.strictEqual(records[0].titleCiphertext, ciphertext);
+        assert.strictEqual(records[0].clientEncrypted, true);
+    });
+
+    it('should list corrupted timeline rows from getTimelineEvents', async () => {
+        const supabase = createFakeSupabase();
+        const dateRange = { start: '2025-01-01', end: '2025-01-31' };
+        await storeTimelineEvents(supabase, 'user-1', [
+            { type: 'purchase', timestamp: '2025-01-02T10:00:00Z', data: { item: 'Book' }, source: 'amazon' },
+            { type: 'purchase', timestamp: '2025-01-03T10:00:00Z', data: { item: 'Lamp' }, source: 'amazon' }
+        ]);
+        const corrupted = supabase.tables.timeline_events[1];
+        corrupted.event_data_encrypted = corrupted.event_data_encrypted.replace(/"authTag":"[^"]+"/, `"authTag":"${'0'.repeat(32)}"`);
+
+        const { events, decryptionFailures } = await getTimelineEvents(supabase, 'user-1', dateRange);
+        assert.strictEqual(events.length, 1);
+        assert.deepStrictEqual(decryptionFailures, [{ id: corrupted.id, table: 'timeline_events', code: 'DECRYPTION_FAILED' }]);
+    });
+});
+
+describe('End-to-end Encryption Settings', () => {
+    const verifier = JSON.stringify({ v: 1, iv: 'AAECAwQFBgcICQoL', data: 'c2VjcmV0Cg==' });
+    const params = { salt: 'c2FsdHNhbHRzYWx0c2FsdA==', iterations: 210000, verifier };
+
+    it('should only accept blobs shaped like the app\'s ciphertext', () => {
+        assert.ok(isClientCiphertext(verifier));
+        assert.ok(!isClientCiphertext('Dentist at 3pm'));
+        assert.ok(!isClientCiphertext(JSON.stringify({ v: 2, iv: 'AA==', data: 'AA==' })));
+        assert.ok(!isClientCiphertext(JSON.stringify({ v: 1, iv: 'not base64!', data: 'AA==' })));
+    });
+
+    it('should enable once with valid parameters', async () => {
+        const supabase = createFakeSupabase();
+        assert.deepStrictEqual(await getClientEncryption(supabase, 'user-1'), { enabled: false });
+
+        const weak = await enableClientEncryption(supabase, 'user-1', { ...params, iterations: 1000 });
+        assert.strictEqual(weak.code, 'INVALID_E2E_PARAMS');
+
+        const enabled = await enableClientEncryption(supabase, 'user-1', params);
+        assert.strictEqual(enabled.success, true);
+
+        const settings = await getClientEncryption(supabase, 'user-1');
+        assert.strictEqual(settings.enabled, true);
+        assert.strictEqual(settings.salt, params.salt);
+        assert.strictEqual(settings.verifier, verifier);
+
+        const again = await enableClientEncryption(supabase, 'user-1', { ...params, salt: 'b3RoZXI=' });
+        assert.strictEqual(again.code, 'E2E_ALREADY_ENABLED', 'Re-keying would strand existing entries');
+    });
+});
+
 describe('JWT Authentication', () => {
     it('should generate valid JWT token', () => {
         const token = generateToken('user-123', 'test@example.com');
@@ -102,6 +565,35 @@ describe('Credential Vault', () => {
         const retrieved = getCredentialLocal('user-999', 'nonexistent');
         assert.strictEqual(retrieved, null, 'Should return null');
     });
+
+    it('should list metadata and flag expired tokens', async () => {
+        const supabase = createFakeSupabase();
+        await storeCredential(supabase, 'user-1', 'google', 'fresh-token', 'access', {
+            expiresAt: new Date(Date.now() + 3600000).toISOString()
+        });
+        await storeCredential(supabase, 'user-1', 'amazon', 'old-token', 'access', {
+            expiresAt: new Date(Date.now() - 1000).toISOString()
+        });
+
+        const credentials = await listCredentials(supabase, 'user-1');
+        assert.deepStrictEqual(credentials.map(c => [c.integration, c.expired]), [['amazon', true], ['google', false]]);
+        assert.ok(credentials.every(c => !('token' in c)), 'Listing must not expose tokens');
+    });
+
+    it('should stop returning a revoked credential until it is stored again', async () => {
+        const supabase = createFakeSupabase();
+        await storeCredential(supabase, 'user-1', 'google', 'first-token');
+
+        assert.strictEqual((await deleteCredential(supabase, 'user-1', 'google')).success, true);
+        assert.strictEqual(await getCredential(supabase, 'user-1', 'google'), null);
+        assert.deepStrictEqual(await listCredentials(supabase, 'user-1'), []);
+
+        const again = await deleteCredential(supabase, 'user-1', 'google');
+        assert.strictEqual(again.code, 'CREDENTIAL_NOT_FOUND');
+
+        await storeCredential(supabase, 'user-1', 'google', 'second-token');
+        assert.strictEqual(await getCredential(supabase, 'user-1', 'google'), 'second-token');
+    });
 });
 
 describe('Google Maps Agent', () => {
@@ -138,6 +630,575 @@ describe('Google Maps Agent', () => {
     });
 });
 
+describe('Google OAuth (PKCE)', () => {
+    const redirectUri = 'https://api.example.com/auth/callback/google';
+    const codeVerifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+
+    it('should compute the RFC 7636 S256 challenge', () => {
+        assert.strictEqual(computeCodeChallenge(codeVerifier), 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+
+    it('should put the state and challenge in the Google URL', () => {
+        const codeChallenge = computeCodeChallenge(codeVerifier);
+        const state = createOAuthState(redirectUri, codeChallenge);
+        const url = new URL(getGoogleOAuthUrl(redirectUri, { state, codeChallenge }));
+
+        assert.strictEqual(url.searchParams.get('state'), state);
+        assert.strictEqual(url.searchParams.get('code_challenge'), codeChallenge);
+        assert.strictEqual(url.searchParams.get('code_challenge_method'), 'S256');
+    });
+
+    it('should accept a state with its matching verifier', () => {
+        const state = createOAuthState(redirectUri, computeCodeChallenge(codeVerifier));
+        const result = verifyOAuthState(state, codeVerifier);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.redirectUri, redirectUri, 'Should use the redirect URI the flow started with');
+    });
+
+    it('should reject a mismatched verifier, a forged state or a non-state token', () => {
+        const state = createOAuthState(redirectUri, computeCodeChallenge(codeVerifier));
+
+        assert.strictEqual(verifyOAuthState(state, 'some-other-verifier').code, 'INVALID_CODE_VERIFIER');
+        assert.strictEqual(verifyOAuthState(state, undefined).code, 'INVALID_CODE_VERIFIER');
+        assert.strictEqual(verifyOAuthState(`${state}x`, codeVerifier).code, 'INVALID_STATE');
+        assert.strictEqual(verifyOAuthState(undefined, codeVerifier).code, 'INVALID_STATE');
+        assert.strictEqual(verifyOAuthState(generateToken('user-1', 'a@b.c'), codeVerifier).code, 'INVALID_STATE');
+    });
+});
+
+describe('Email Login', () => {
+    let outbox;
+
+    // The code and link token from the last email sent
+    const lastEmail = () => {
+        const { text } = outbox[outbox.length - 1];
+        return {
+            code: text.match(/sign-in code is (\d{6})/)[1],
+            token: decodeURIComponent(text.match(/token=([^\s]+)/)[1])
+        };
+    };
+
+    before(() => {
+        setMailTransport({ name: 'memory', send: async (message) => { outbox.push(message); } });
+    });
+
+    after(() => {
+        setMailTransport(null);
+    });
+
+    it('should email a code and sign in with it exactly once', async () => {
+        outbox = [];
+        const supabase = createFakeSupabase();
+
+        const started = await requestLoginCode(supabase, '  New.User@Example.com ');
+        assert.strictEqual(started.success, true);
+        assert.strictEqual(outbox[0].to, 'new.user@example.com', 'Should normalize the address');
+
+        const { code } = lastEmail();
+        const stored = supabase.tables.login_codes[0];
+        assert.ok(!JSON.stringify(stored).includes(code), 'Should not store the code itself');
+
+        const result = await verifyLoginCode(supabase, { email: 'new.user@example.com', code });
+        assert.strictEqual(result.success, true);
+        assert.ok(result.token && result.refreshToken, 'Should issue our tokens');
+        assert.strictEqual(supabase.tables.users.length, 1, 'Should create the user');
+        assert.strictEqual(supabase.tables.sessions.length, 1, 'Should open a session');
+
+        const replay = await verifyLoginCode(supabase, { email: 'new.user@example.com', code });
+        assert.strictEqual(replay.code, 'INVALID_CODE');
+    });
+
+    it('should sign in through the magic link token', async () => {
+        outbox = [];
+        const supabase = createFakeSupabase();
+        await requestLoginCode(supabase, 'link@example.com');
+
+        const result = await verifyLoginCode(supabase, { token: lastEmail().token });
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.user.email, 'link@example.com');
+    });
+
+    it('should reject expired codes', async () => {
+        outbox = [];
+        const supabase = createFakeSupabase();
+        await requestLoginCode(supabase, 'late@example.com');
+
+        const later = Date.now() + 11 * 60 * 1000;
+        const viaCode = await verifyLoginCode(supabase, { email: 'late@example.com', code: lastEmail().code }, {}, { now: later });
+        const viaLink = await verifyLoginCode(supabase, { token: lastEmail().token }, {}, { now: later });
+        assert.strictEqual(viaCode.code, 'INVALID_CODE');
+        assert.strictEqual(viaLink.code, 'INVALID_CODE');
+    });
+
+    it('should lock a code after too many wrong guesses', async () => {
+        outbox = [];
+        const supabase = createFakeSupabase();
+        await requestLoginCode(supabase, 'guess@example.com');
+        const { code } = lastEmail();
+        const wrong = code === '000000' ? '111111' : '000000';
+
+        for (let i = 0; i < 5; i++) {
+            const attempt = await verifyLoginCode(supabase, { email: 'guess@example.com', code: wrong });
+            assert.strictEqual(attempt.code, 'INVALID_CODE');
+        }
+
+        const locked = await verifyLoginCode(supabase, { email: 'guess@example.com', code });
+        assert.strictEqual(locked.code, 'TOO_MANY_ATTEMPTS', 'Even the right code should be refused now');
+    });
+
+    it('should check only one of several concurrent guesses per counted attempt', async () => {
+        outbox = [];
+        const supabase = createFakeSupabase();
+        await requestLoginCode(supabase, 'race@example.com');
+        const { code } = lastEmail();
+        const wrong = code === '000000' ? '111111' : '000000';
+        supabase.tables.login_codes[0].attempts = 4;
+
+        const results = await Promise.all([wrong, wrong, wrong, code].map(guess =>
+            verifyLoginCode(supabase, { email: 'race@example.com', code: guess })));
+
+        assert.ok(results.every(result => !result.success), 'The last attempt went to a wrong guess');
+        assert.strictEqual(supabase.tables.login_codes[0].attempts, 5);
+    });
+
+    it('should rate limit requests per email address', async () => {
+        outbox = [];
+        const supabase = createFakeSupabase();
+
+        for (let i = 0; i < 5; i++) {
+            assert.strictEqual((await requestLoginCode(supabase, 'busy@example.com')).success, true);
+        }
+
+        const limited = await requestLoginCode(supabase, 'busy@example.com');
+        assert.strictEqual(limited.code, 'RATE_LIMITED');
+        assert.ok(limited.retryAfterSeconds > 0);
+        assert.strictEqual(outbox.length, 5, 'Should not send more mail');
+
+        const other = await requestLoginCode(supabase, 'calm@example.com');
+        assert.strictEqual(other.success, true, 'Other addresses are unaffected');
+    });
+
+    it('should hold the rate limit against concurrent requests', async () => {
+        outbox = [];
+        const supabase = createFakeSupabase();
+
+        const results = await Promise.all(Array.from({ length: 10 }, () => requestLoginCode(supabase, 'burst@example.com')));
+        const sent = results.filter(result => result.success).length;
+
+        assert.ok(sent <= 5, `At most 5 codes should be sent, got ${sent}`);
+        assert.strictEqual(supabase.tables.login_codes.length, sent, 'Refused requests should leave no code behind');
+    });
+
+    it('should fail, not call a link invalid, when codes cannot be read', async () => {
+        const outage = {
+            from: () => {
+                const query = { select: () => query, eq: () => query, single: async () => ({ data: null, error: { code: 'PGRST301', message: 'Database unavailable' } }) };
+                return query;
+            }
+        };
+
+        await assert.rejects(verifyLoginCode(outage, { token: 'some-token' }), { message: 'Database unavailable' });
+    });
+
+    it('should reject malformed addresses', async () => {
+        const result = await requestLoginCode(createFakeSupabase(), 'not-an-email');
+        assert.strictEqual(result.code, 'INVALID_EMAIL');
+    });
+});
+
+describe('Refresh Token Rotation', () => {
+    it('should exchange a refresh token for a new token pair', async () => {
+        const supabase = createFakeSupabase();
+        const refreshToken = await issueRefreshToken(supabase, 'user-1', 'test@example.com');
+
+        const result = await rotateRefreshToken(supabase, refreshToken);
+        assert.strictEqual(result.success, true);
+        assert.ok(result.token, 'Should issue an access token');
+        assert.notStrictEqual(result.refreshToken, refreshToken, 'Should rotate the refresh token');
+
+        const mockReq = { headers: { authorization: `Bearer ${result.token}` } };
+        await authenticateToken(mockReq, { status: () => ({ json: () => {} }) }, () => {});
+        assert.strictEqual(mockReq.user.email, 'test@example.com', 'Access token should keep the email claim');
+
+        const next = await rotateRefreshToken(supabase, result.refreshToken);
+        assert.strictEqual(next.success, true, 'The replacement should work in turn');
+    });
+
+    it('should revoke the whole family when a used token is replayed', async () => {
+        const supabase = createFakeSupabase();
+        const original = await issueRefreshToken(supabase, 'user-1', 'test@example.com');
+        const { refreshToken: current } = await rotateRefreshToken(supabase, original);
+
+        const replay = await rotateRefreshToken(supabase, original);
+        assert.strictEqual(replay.success, false);
+        assert.strictEqual(replay.code, 'REFRESH_TOKEN_REUSED');
+
+        const afterReuse = await rotateRefreshToken(supabase, current);
+        assert.strictEqual(afterReuse.code, 'REFRESH_TOKEN_REVOKED', 'The legitimate token should be cut off too');
+    });
+
+    it('should reject access tokens and untracked refresh tokens', async () => {
+        const supabase = createFakeSupabase();
+
+        const access = await rotateRefreshToken(supabase, generateToken('user-1', 'test@example.com'));
+        assert.strictEqual(access.code, 'INVALID_REFRESH_TOKEN');
+
+        const legacy = await rotateRefreshToken(supabase, generateRefreshToken('user-1'));
+        assert.strictEqual(legacy.code, 'INVALID_REFRESH_TOKEN');
+
+        const garbage = await rotateRefreshToken(supabase, 'not-a-token');
+        assert.strictEqual(garbage.code, 'INVALID_REFRESH_TOKEN');
+    });
+
+    it('should fail, not reject the token, when the database is unavailable', async () => {
+        const supabase = createFakeSupabase();
+        const refreshToken = await issueRefreshToken(supabase, 'user-1', 'test@example.com');
+        const outage = {
+            from: () => {
+                const query = { select: () => query, eq: () => query, single: async () => ({ data: null, error: { code: 'PGRST301', message: 'Database unavailable' } }) };
+                return query;
+            }
+        };
+
+        await assert.rejects(rotateRefreshToken(outage, refreshToken), { message: 'Database unavailable' });
+    });
+
+    it('should leave the token usable when its replacement cannot be stored', async () => {
+        const supabase = createFakeSupabase();
+        const refreshToken = await issueRefreshToken(supabase, 'user-1', 'test@example.com');
+        const failingInserts = {
+            from: (table) => {
+                const query = supabase.from(table);
+                query.insert = () => ({ then: (resolve) => resolve({ data: null, error: new Error('insert failed') }) });
+                return query;
+            }
+        };
+
+        await assert.rejects(rotateRefreshToken(failingInserts, refreshToken), /insert failed/);
+
+        const retry = await rotateRefreshToken(supabase, refreshToken);
+        assert.strictEqual(retry.success, true, 'The retry should not be treated as reuse');
+    });
+});
+
+describe('Sessions', () => {
+    let supabase;
+
+    // Run authenticateToken and report what it did
+    const authenticate = async (token) => {
+        const req = { headers: { authorization: `Bearer ${token}` } };
+        let status = 200;
+        let body = null;
+        const res = { status: (code) => { status = code; return { json: (data) => { body = data; } }; } };
+        let passed = false;
+        await authenticateToken(req, res, () => { passed = true; });
+        return { passed, status, code: body?.code, req };
+    };
+
+    before(() => {
+        supabase = createFakeSupabase();
+        setSessionValidator((decoded) => isSessionActive(supabase, decoded.jti, decoded.userId));
+    });
+
+    after(() => {
+        setSessionValidator(null);
+    });
+
+    it('should accept tokens for an active session and expose its id', async () => {
+        const sessionId = await createSession(supabase, 'user-1', { device: 'Pixel 8' });
+        const result = await authenticate(generateToken('user-1', 'test@example.com', sessionId));
+
+        assert.strictEqual(result.passed, true);
+        assert.strictEqual(result.req.sessionId, sessionId);
+    });
+
+    it('should reject tokens once their session is revoked', async () => {
+        const sessionId = await createSession(supabase, 'user-1', { device: 'Lost phone' });
+        const token = generateToken('user-1', 'test@example.com', sessionId);
+        const refreshToken = await issueRefreshToken(supabase, 'user-1', 'test@example.com', sessionId);
+
+        assert.strictEqual(await revokeSession(supabase, 'user-2', sessionId), false, 'Only the owner can revoke');
+        assert.strictEqual(await revokeSession(supabase, 'user-1', sessionId), true);
+        assert.strictEqual(await revokeSession(supabase, 'user-1', 'not-a-session'), false, 'Malformed ids are not found');
+
+        const result = await authenticate(token);
+        assert.strictEqual(result.passed, false);
+        assert.strictEqual(result.status, 401);
+        assert.strictEqual(result.code, 'SESSION_REVOKED');
+
+        const refresh = await rotateRefreshToken(supabase, refreshToken);
+        assert.strictEqual(refresh.code, 'REFRESH_TOKEN_REVOKED', 'Refresh tokens should die with the session');
+    });
+
+    it('should list active sessions with device and last seen time', async () => {
+        const local = createFakeSupabase();
+        const phone = await createSession(local, 'user-1', { device: 'iPhone' });
+        const tablet = await createSession(local, 'user-1', { userAgent: 'okhttp/4.9' });
+        await createSession(local, 'user-2', { device: 'Someone else' });
+        await revokeSession(local, 'user-1', tablet);
+
+        const sessions = await listSessions(local, 'user-1', phone);
+        assert.strictEqual(sessions.length, 1);
+        assert.strictEqual(sessions[0].device, 'iPhone');
+        assert.strictEqual(sessions[0].current, true);
+        assert.ok(sessions[0].lastSeenAt, 'Should include last seen time');
+    });
+
+    it('should revoke every session when signing out everywhere', async () => {
+        const local = createFakeSupabase();
+        await createSession(local, 'user-1', {});
+        await createSession(local, 'user-1', {});
+        const other = await createSession(local, 'user-2', {});
+
+        assert.strictEqual(await revokeAllSessions(local, 'user-1'), 2);
+        assert.strictEqual((await listSessions(local, 'user-1')).length, 0);
+        assert.strictEqual(await isSessionActive(local, other, 'user-2'), true);
+    });
+
+    it('should answer 503, not sign users out, when sessions cannot be read', async () => {
+        const failing = (error) => ({
+            from: () => {
+                const query = { select: () => query, eq: () => query, single: async () => ({ data: null, error }) };
+                return query;
+            }
+        });
+        const token = generateToken('user-1', 'test@example.com', 'session-1');
+
+        assert.strictEqual(await isSessionActive(failing({ code: 'PGRST116', message: 'No rows' }), 'session-1', 'user-1'), false);
+
+        setSessionValidator((decoded) => isSessionActive(failing({ code: 'PGRST301', message: 'Database unavailable' }), decoded.jti, decoded.userId));
+        try {
+            const result = await authenticate(token);
+            assert.strictEqual(result.passed, false);
+            assert.strictEqual(result.status, 503);
+            assert.strictEqual(result.code, 'SESSION_CHECK_FAILED');
+        } finally {
+            setSessionValidator((decoded) => isSessionActive(supabase, decoded.jti, decoded.userId));
+        }
+    });
+
+    it('should end the session when a refresh token is reused', async () => {
+        const sessionId = await createSession(supabase, 'user-1', {});
+        const original = await issueRefreshToken(supabase, 'user-1', 'test@example.com', sessionId);
+        const { token } = await rotateRefreshToken(supabase, original);
+
+        await rotateRefreshToken(supabase, original);
+        assert.strictEqual((await authenticate(token)).code, 'SESSION_REVOKED');
+    });
+});
+
+describe('Google Token Storage', () => {
+    it('should store the refresh token and expiry with a credential', async () => {
+        const supabase = createFakeSupabase();
+        const expiresAt = new Date(Date.now() + 3600 * 1000).toISOString();
+        await storeCredential(supabase, 'user-1', 'google', 'access-1', 'oauth', { refreshToken: 'refresh-1', expiresAt });
+
+        const record = await getCredentialRecord(supabase, 'user-1', 'google');
+        assert.deepStrictEqual(record, { token: 'access-1', tokenType: 'oauth', refreshToken: 'refresh-1', expiresAt });
+        assert.strictEqual(await getCredential(supabase, 'user-1', 'google'), 'access-1');
+        assert.ok(!supabase.tables.user_credentials[0].encrypted_token.includes('refresh-1'), 'Refresh token should be encrypted');
+    });
+
+    it('should hand out a stored token while it is still valid', async () => {
+        const supabase = createFakeSupabase();
+        await storeGoogleTokens(supabase, 'user-1', { accessToken: 'access-1', refreshToken: 'refresh-1', expiresIn: 3600 });
+
+        const token = await getGoogleAccessToken(supabase, 'user-1', {
+            refresh: () => { throw new Error('should not refresh'); }
+        });
+        assert.strictEqual(token, 'access-1');
+    });
+
+    it('should refresh and re-store a token that is about to expire', async () => {
+        const supabase = createFakeSupabase();
+        await storeGoogleTokens(supabase, 'user-1', { accessToken: 'old', refreshToken: 'refresh-1', expiresIn: 60 });
+
+        const refreshedWith = [];
+        const token = await getGoogleAccessToken(supabase, 'user-1', {
+            refresh: async (refreshToken) => {
+                refreshedWith.push(refreshToken);
+                return { accessToken: 'new', refreshToken, expiresIn: 3600 };
+            }
+        });
+
+        assert.strictEqual(token, 'new');
+        assert.deepStrictEqual(refreshedWith, ['refresh-1']);
+        const stored = await getCredentialRecord(supabase, 'user-1', GOOGLE_CREDENTIAL);
+        assert.strictEqual(stored.token, 'new');
+        assert.strictEqual(stored.refreshToken, 'refresh-1', 'Should keep the refresh token');
+    });
+
+    it('should return null for users who never connected Google', async () => {
+        assert.strictEqual(await getGoogleAccessToken(createFakeSupabase(), 'user-1'), null);
+    });
+
+    it('should give agents a refreshing token getter during sync', async () => {
+        const supabase = createFakeSupabase();
+        const seen = [];
+        registerIntegration({
+            name: 'test_google',
+            agent: async (token, dateRange, options) => {
+                seen.push(await options.getAccessToken());
+                return { success: true, events: [] };
+            },
+            eventTypes: ['location'],
+            credential: 'test_google',
+            getAccessToken: async (db, userId) => `fresh-for-${userId}`,
+            syncCadence: 'daily'
+        });
+
+        try {
+            await connectIntegrations(supabase, 'user-1');
+            await syncUserData(supabase, 'user-1', { start: '2025-01-01', end: '2025-01-02' }, {
+                integrations: ['test_google']
+            });
+        } finally {
+            unregisterIntegration('test_google');
+        }
+
+        assert.deepStrictEqual(seen, ['fresh-for-user-1']);
+    });
+});
+
+describe('Google Takeout Import', () => {
+    const semanticMonth = {
+        timelineObjects: [
+            {
+                placeVisit: {
+                    location: {
+                        latitudeE7: 397392000,
+                        longitudeE7: -1049903000,
+                        name: 'Union Station',
+                        address: '1701 Wynkoop St, Denver, CO'
+                    },
+                    duration: {
+                        startTimestamp: '2025-01-10T15:00:00Z',
+                        endTimestamp: '2025-01-10T16:30:00Z'
+                    }
+                }
+            },
+            {
+                activitySegment: {
+                    startLocation: { latitudeE7: 397392000, longitudeE7: -1049903000 },
+                    endLocation: { latitudeE7: 397502000, longitudeE7: -1049998000 },
+                    duration: {
+                        startTimestampMs: String(Date.parse('2025-01-10T16:30:00Z')),
+                        endTimestampMs: String(Date.parse('2025-01-10T16:50:00Z'))
+                    },
+                    distance: 1420,
+                    activityType: 'WALKING'
+                }
+            }
+        ]
+    };
+
+    const timelineExport = {
+        semanticSegments: [
+            {
+                startTime: '2025-01-11T08:00:00.000-07:00',
+                endTime: '2025-01-11T12:00:00.000-07:00',
+                visit: {
+                    topCandidate: {
+                        semanticType: 'INFERRED_HOME',
+                        placeLocation: { latLng: '39.7392°, -104.9903°' }
+                    }
+                }
+            }
+        ]
+    };
+
+    const records = {
+        locations: [
+            { latitudeE7: 397456000, longitudeE7: -1049989000, timestamp: '2025-01-12T09:00:00Z' },
+            { latitudeE7: 397457000, longitudeE7: -1049988000, timestamp: '2025-01-12T09:30:00Z' },
+            { latitudeE7: 398000000, longitudeE7: -1050500000, timestamp: '2025-01-12T10:00:00Z' }
+        ]
+    };
+
+    it('should detect each Takeout format', () => {
+        assert.strictEqual(detectTakeoutFormat(semanticMonth), 'semantic');
+        assert.strictEqual(detectTakeoutFormat(timelineExport), 'timeline');
+        assert.strictEqual(detectTakeoutFormat(records), 'records');
+        assert.strictEqual(detectTakeoutFormat({}), null);
+    });
+
+    it('should parse place visits and activity segments', () => {
+        const result = parseTakeoutDocuments([
+            { name: '2025_JANUARY.json', json: semanticMonth },
+            { name: 'Timeline.json', json: timelineExport }
+        ]);
+
+        assert.strictEqual(result.visits.length, 2, 'Should have two visits');
+        assert.strictEqual(result.activities.length, 1, 'Should have one activity');
+
+        const [station, home] = result.visits;
+        assert.strictEqual(station.data.place, 'Union Station');
+        assert.strictEqual(station.data.lat, 39.7392);
+        assert.strictEqual(station.data.duration_minutes, 90);
+        assert.strictEqual(home.data.place, 'Home');
+        assert.strictEqual(home.timestamp, '2025-01-11T15:00:00.000Z');
+
+        assert.strictEqual(result.activities[0].data.activity_type, 'walking');
+        assert.strictEqual(result.activities[0].data.duration_minutes, 20);
+    });
+
+    it('should collapse Records.json pings into stays only when no semantic data exists', () => {
+        const recordsOnly = parseTakeoutDocuments([{ name: 'Records.json', json: records }]);
+        assert.strictEqual(recordsOnly.visits.length, 1, 'Nearby pings should form one stay');
+        assert.strictEqual(recordsOnly.visits[0].data.duration_minutes, 30);
+
+        const mixed = parseTakeoutDocuments([
+            { name: 'Records.json', json: records },
+            { name: 'Timeline.json', json: timelineExport }
+        ]);
+        assert.strictEqual(mixed.visits.length, 1, 'Records should be ignored');
+        assert.strictEqual(mixed.files.records, 1);
+    });
+
+    it('should keep eastern longitudes and unwrap overflowed coordinates', () => {
+        const visit = (name, latitudeE7, longitudeE7) => ({
+            placeVisit: {
+                location: { latitudeE7, longitudeE7, name },
+                duration: { startTimestamp: '2025-01-10T01:00:00Z', endTimestamp: '2025-01-10T02:00:00Z' }
+            }
+        });
+        const result = parseTakeoutDocuments([{
+            name: '2025_JANUARY.json',
+            json: {
+                timelineObjects: [
+                    visit('Tokyo Station', 356812000, 1396917000),
+                    visit('Sydney Opera House', -338568000, 1512153000),
+                    // -104.9903 written as an unsigned 32-bit int
+                    visit('Union Station', 397392000, 4294967296 - 1049903000)
+                ]
+            }
+        }]);
+
+        const [tokyo, sydney, denver] = result.visits.map(v => v.data);
+        assert.strictEqual(tokyo.lat, 35.6812);
+        assert.strictEqual(tokyo.lng, 139.6917);
+        assert.strictEqual(sydney.lat, -33.8568);
+        assert.strictEqual(sydney.lng, 151.2153);
+        assert.strictEqual(denver.lng, -104.9903);
+    });
+
+    it('should normalize an uploaded file into timeline events', () => {
+        const buffer = Buffer.from(JSON.stringify(semanticMonth));
+        const result = importTakeoutLocations(buffer, '2025_JANUARY.json', { start: '2025-01-01', end: '2025-01-31' });
+
+        assert.ok(result.success, 'Should succeed');
+        assert.deepStrictEqual(result.events.map(e => e.type), ['location', 'activity']);
+        assert.ok(result.events.every(e => e.source === 'google_maps'), 'Should tag source');
+    });
+
+    it('should report unreadable uploads', () => {
+        const result = importTakeoutLocations(Buffer.from('not json'), 'Records.json');
+        assert.strictEqual(result.success, false, 'Should fail');
+        assert.ok(result.error, 'Should have error message');
+    });
+});
+
 describe('Amazon Agent', () => {
     it('should fetch and normalize order data', async () => {
         const dateRange = { start: '2025-01-01', end: '2025-01-15' };
@@ -167,9 +1228,724 @@ describe('Amazon Agent', () => {
     });
 });
 
+describe('Amazon Order History Import', () => {
+    const orderHistoryCsv = [
+        '\ufeff"Website","Order ID","Order Date","Currency","Total Owed","Quantity","Order Status","Product Name"',
+        '"Amazon.com","111-0000001-0000001","2025-01-06T18:12:33Z","USD","23.99","1","Closed","Paperback, ""Deluxe"" Edition"',
+        '"Amazon.com","111-0000001-0000001","2025-01-06T18:12:33Z","USD","12.50","2","Closed","AA Batteries"',
+        '"Amazon.com","111-0000002-0000002","2025-01-08T09:00:00Z","USD","80.00","1","Cancelled","Desk Lamp"',
+        '"Amazon.com","111-0000003-0000003","2025-01-09T12:00:00Z","USD","45.00","1","Closed","Yoga Mat"',
+        '"Amazon.com","111-0000003-0000003","2025-01-09T12:00:00Z","USD","15.00","1","Cancelled","Yoga Block"'
+    ].join('\r\n');
+
+    const refundsCsv = [
+        'OrderID,ReversalID,RefundCompletionDate,Currency,AmountRefunded,Status',
+        '111-0000003-0000003,R1,2025-01-14T10:00:00Z,USD,45.00,Completed'
+    ].join('\n');
+
+    it('should parse quoted CSV fields', () => {
+        const rows = parseCsv(orderHistoryCsv);
+        assert.strictEqual(rows.length, 5);
+        assert.strictEqual(rows[0]['Product Name'], 'Paperback, "Deluxe" Edition');
+        assert.strictEqual(rows[0].Website, 'Amazon.com', 'Should strip byte order mark');
+    });
+
+    it('should group items by order and drop cancellations', () => {
+        const { orders, stats } = parseAmazonDocuments([
+            { name: 'Retail.OrderHistory.1.csv', text: orderHistoryCsv }
+        ]);
+
+        assert.strictEqual(stats.orders, 2);
+        assert.strictEqual(stats.cancelled, 1);
+
+        const [books, yoga] = orders;
+        assert.strictEqual(books.data.amount, 36.49);
+        assert.deepStrictEqual(books.data.items, ['Paperback, "Deluxe" Edition', 'AA Batteries (x2)']);
+        assert.strictEqual(yoga.data.amount, 45);
+        assert.strictEqual(yoga.data.status, 'partially_cancelled');
+    });
+
+    it('should emit refunds as negative purchases', () => {
+        const { orders, stats } = parseAmazonDocuments([
+            { name: 'Retail.OrderHistory.1.csv', text: orderHistoryCsv },
+            { name: 'Retail.OrdersReturned.Payments.1.csv', text: refundsCsv }
+        ]);
+
+        assert.strictEqual(stats.refunds, 1);
+        const refund = orders[orders.length - 1];
+        assert.strictEqual(refund.data.status, 'refunded');
+        assert.strictEqual(refund.data.amount, -45);
+        assert.deepStrictEqual(refund.data.items, ['Yoga Mat']);
+    });
+
+    it('should produce purchase events that spending stats understand', () => {
+        const result = importOrderHistory(Buffer.from(orderHistoryCsv), 'Retail.OrderHistory.1.csv');
+        assert.ok(result.success, 'Should succeed');
+        assert.ok(result.events.every(e => e.type === 'purchase' && e.source === 'amazon'));
+
+        const stats = getSpendingStats(result.events);
+        assert.strictEqual(stats.totalOrders, 2);
+        assert.strictEqual(stats.totalSpent, 81.49);
+    });
+
+    it('should report files without order rows', () => {
+        const result = importOrderHistory(Buffer.from('a,b\n1,2'), 'notes.csv');
+        assert.strictEqual(result.success, false, 'Should fail');
+    });
+});
+
+describe('Idempotent Ingestion', () => {
+    const location = {
+        type: 'location',
+        timestamp: '2025-01-02T08:30:00Z',
+        data: { lat: 39.7392, lng: -104.9903, place: 'Home', duration_minutes: 480 },
+        source: 'google_maps'
+    };
+    const order = {
+        type: 'purchase',
+        timestamp: '2025-01-02T00:00:00Z',
+        data: { order_id: '111-1', amount: 20, status: 'ordered' },
+        source: 'amazon'
+    };
+
+    it('should derive stable fingerprints from source identity', () => {
+        const key = getMasterKey();
+        const moved = { ...location, data: { ...location.data, duration_minutes: 30, place: 'Apartment' } };
+        const refund = { ...order, timestamp: '2025-01-09T00:00:00Z', data: { ...order.data, status: 'refunded' } };
+
+        assert.strictEqual(computeEventFingerprint(location, key), computeEventFingerprint(moved, key));
+        assert.notStrictEqual(computeEventFingerprint(order, key), computeEventFingerprint(refund, key));
+        assert.strictEqual(stableStringify({ b: 1, a: [2] }), stableStringify({ a: [2], b: 1 }));
+    });
+
+    it('should insert, update and skip on re-ingestion', async () => {
+        const supabase = createFakeSupabase();
+
+        const first = await storeTimelineEvents(supabase, 'user-1', [location, order, order]);
+        assert.deepStrictEqual([first.inserted, first.updated, first.skipped], [2, 0, 1]);
+
+        const changedOrder = { ...order, data: { ...order.data, status: 'partially_cancelled' } };
+        const second = await storeTimelineEvents(supabase, 'user-1', [location, changedOrder]);
+        assert.deepStrictEqual([second.inserted, second.updated, second.skipped], [0, 1, 1]);
+        assert.strictEqual(supabase.tables.timeline_events.length, 2, 'Should not duplicate rows');
+    });
+
+    it('should match visits stored under the former location fingerprint', async () => {
+        const supabase = createFakeSupabase();
+        await storeTimelineEvents(supabase, 'user-1', [location]);
+        const [row] = supabase.tables.timeline_events;
+        row.fingerprint = computeFormerFingerprint(location, getHashKey());
+
+        const longer = { ...location, data: { ...location.data, duration_minutes: 600 } };
+        const result = await storeTimelineEvents(supabase, 'user-1', [longer]);
+
+        assert.deepStrictEqual([result.inserted, result.updated, result.skipped], [0, 1, 0]);
+        assert.strictEqual(supabase.tables.timeline_events.length, 1, 'Should not duplicate the visit');
+        assert.strictEqual(row.fingerprint, computeEventFingerprint(location, getHashKey()));
+    });
+
+    it('should not fail when two syncs store the same events at once', async () => {
+        const db = openSqliteDatabase(':memory:');
+        clearUserKeyCache();
+        await getUserKey(db, 'race-user');
+
+        const results = await Promise.all([
+            storeTimelineEvents(db, 'race-user', [location, order]),
+            storeTimelineEvents(db, 'race-user', [location, order])
+        ]);
+
+        assert.ok(results.every(result => result.error === null), 'Neither batch should fail');
+        assert.strictEqual(results[0].inserted + results[1].inserted, 2);
+        assert.strictEqual(results[0].skipped + results[1].skipped, 2);
+        assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM timeline_events').get().n, 2);
+    });
+
+    it('should report separate counts from repeated syncs', async () => {
+        const supabase = createFakeSupabase();
+        const dateRange = { start: '2025-01-01', end: '2025-01-15' };
+        await connectIntegrations(supabase, 'user-1');
+
+        const first = await syncUserData(supabase, 'user-1', dateRange);
+        const second = await syncUserData(supabase, 'user-1', dateRange);
+
+        assert.ok(first.eventsInserted > 0, 'First sync should insert');
+        assert.strictEqual(second.eventsInserted, 0, 'Second sync should insert nothing');
+        assert.strictEqual(second.eventsSkipped, first.eventsInserted);
+    });
+});
+
+describe('Event Times', () => {
+    const visit = (timestamp, place, minutes) => ({
+        type: 'location',
+        timestamp,
+        data: { lat: 39.7392, lng: -104.9903, place, duration_minutes: minutes },
+        source: 'google_maps'
+    });
+    const dateRange = { start: '2025-01-01', end: '2025-01-31' };
+
+    it('should end a visit after its duration unless it has an end time', () => {
+        const [timed, exact] = normalizeLocationData([
+            visit('2025-01-02T08:30:00Z', 'Home', 90),
+            { ...visit('2025-01-02T12:00:00Z', 'Cafe', 0), endTimestamp: '2025-01-02T12:45:00.000Z' }
+        ]);
+
+        assert.strictEqual(timed.endTimestamp, '2025-01-02T10:00:00.000Z');
+        assert.strictEqual(exact.endTimestamp, '2025-01-02T12:45:00.000Z');
+        assert.strictEqual(normalizeLocationData([visit('2025-01-02T08:30:00Z', 'Home', 0)])[0].endTimestamp, null);
+    });
+
+    it('should store when events happened and return a day in order', async () => {
+        const supabase = createFakeSupabase();
+        const [gym, home] = normalizeLocationData([
+            visit('2025-01-02T17:00:00Z', 'Gym', 60),
+            visit('2025-01-02T08:30:00Z', 'Home', 30)
+        ]);
+        await storeTimelineEvents(supabase, 'user-1', [gym, { ...home, timezone: 'Europe/Paris' }], { timezone: 'America/Denver' });
+
+        const { events } = await getTimelineEvents(supabase, 'user-1', dateRange);
+        assert.deepStrictEqual(events.map(e => e.data.place), ['Home', 'Gym']);
+        assert.strictEqual(events[1].occurredAt, '2025-01-02T17:00:00.000Z');
+        assert.strictEqual(events[1].endedAt, '2025-01-02T18:00:00.000Z');
+        assert.strictEqual(events[1].timezone, 'America/Denver');
+        assert.strictEqual(events[0].timezone, 'Europe/Paris', 'An event\'s own timezone should win');
+    });
+
+    it('should fall back to the date for rows stored without a time', async () => {
+        const supabase = createFakeSupabase();
+        const event = visit('2025-01-02T08:30:00Z', 'Home', 30);
+        await storeTimelineEvents(supabase, 'user-1', [event]);
+        const row = supabase.tables.timeline_events[0];
+        Object.assign(row, { occurred_at: null, ended_at: null });
+
+        let { events } = await getTimelineEvents(supabase, 'user-1', dateRange);
+        assert.strictEqual(events[0].timestamp, '2025-01-02');
+        assert.strictEqual(events[0].occurredAt, null);
+
+        // Seeing the unchanged event again fills in its time
+        const result = await storeTimelineEvents(supabase, 'user-1', [event]);
+        assert.strictEqual(result.updated, 1);
+        ({ events } = await getTimelineEvents(supabase, 'user-1', dateRange));
+        assert.strictEqual(events[0].occurredAt, '2025-01-02T08:30:00.000Z');
+    });
+
+    it('should skip events with impossible times and drop unknown timezones', async () => {
+        const supabase = createFakeSupabase();
+        const [gym, home, cafe] = normalizeLocationData([
+            visit('2025-01-02T17:00:00Z', 'Gym', 60),
+            visit('2025-01-02T08:30:00Z', 'Home', 30),
+            visit('2025-01-02T12:00:00Z', 'Cafe', 45)
+        ]);
+        const validation = validateNormalizedEvents([
+            { ...gym, timezone: 'Mountain Time' },
+            { ...home, timestamp: '2025-01-15T25:00:00Z' },
+            { ...cafe, endTimestamp: 'soon' },
+            { ...cafe, timestamp: '2025-02-30' }
+        ]);
+        assert.strictEqual(validation.valid, false);
+        assert.strictEqual(validation.invalid, 2);
+        assert.strictEqual(validation.events.length, 2);
+
+        const result = await storeTimelineEvents(supabase, 'user-1', validation.events, { timezone: 'America/Denver' });
+        assert.strictEqual(result.inserted, 2);
+
+        const { events } = await getTimelineEvents(supabase, 'user-1', dateRange);
+        const stored = Object.fromEntries(events.map(e => [e.data.place, e]));
+        assert.strictEqual(stored.Gym.timezone, 'America/Denver', 'An unknown timezone should fall back to the user\'s');
+        assert.strictEqual(stored.Cafe.endedAt, null);
+    });
+
+    it('should recognise real timestamps', () => {
+        assert.strictEqual(isValidTimestamp('2025-01-15'), true);
+        assert.strictEqual(isValidTimestamp('2025-01-15T08:00:00Z'), true);
+        assert.strictEqual(isValidTimestamp('2025-01-15T25:00:00Z'), false);
+        assert.strictEqual(isValidTimestamp('2025-02-30'), false);
+        assert.strictEqual(isValidTimestamp(undefined), false);
+    });
+
+    it('should recognise IANA timezones', () => {
+        assert.strictEqual(isValidTimeZone('America/Denver'), true);
+        assert.strictEqual(isValidTimeZone('Mars/Olympus'), false);
+        assert.strictEqual(isValidTimeZone(''), false);
+    });
+});
+
+describe('User Timezones', () => {
+    // 8pm in Denver on Jan 2 is already Jan 3 in UTC
+    const denverEvening = '2025-01-03T03:00:00Z';
+
+    it('should take days and times of day in a timezone', () => {
+        assert.strictEqual(dateKeyIn(denverEvening, 'America/Denver'), '2025-01-02');
+        assert.strictEqual(dateKeyIn(denverEvening, null), '2025-01-03', 'No timezone should mean UTC');
+        assert.strictEqual(hourIn(denverEvening, 'America/Denver'), 20);
+        assert.strictEqual(timeOfDayIn(denverEvening, 'America/Denver'), 'evening');
+        assert.strictEqual(timeOfDayIn(denverEvening, 'Asia/Tokyo'), 'afternoon');
+    });
+
+    it('should leave date-only values on their day', () => {
+        assert.strictEqual(dateKeyIn('2025-01-02', 'America/Denver'), '2025-01-02');
+        assert.strictEqual(hourIn('2025-01-02', 'America/Denver'), null);
+    });
+
+    it('should count days across month and year ends', () => {
+        assert.strictEqual(addDays('2025-03-01', -1), '2025-02-28');
+        assert.strictEqual(addDays('2024-12-31', 1), '2025-01-01');
+
+        const { start, end } = weekRangeIn(1, 'America/Denver');
+        assert.strictEqual(addDays(start, 7), end);
+        assert.deepStrictEqual(getWeekDateRange(1, 'America/Denver'), { start, end });
+    });
+
+    it('should file events under the user\'s date', async () => {
+        const supabase = createFakeSupabase();
+        await getRepositories(supabase).settings.upsert('user-1', { timezone: 'America/Denver' });
+        assert.strictEqual(await getUserTimeZone(supabase, 'user-1'), 'America/Denver');
+
+        await storeTimelineEvents(supabase, 'user-1', [
+            { type: 'location', timestamp: denverEvening, data: { place: 'Dinner', lat: 1, lng: 1 }, source: 'google_maps' }
+        ]);
+
+        const [row] = supabase.tables.timeline_events;
+        assert.strictEqual(row.event_date, '2025-01-02');
+        assert.strictEqual(row.timezone, 'America/Denver');
+    });
+});
+
+describe('Weeks', () => {
+    it('should number weeks by the year their fourth day is in', () => {
+        assert.strictEqual(weekOf('2024-12-30').id, '2025-W01', 'Monday Dec 30 starts week 1 of 2025');
+        assert.strictEqual(weekOf('2025-01-01').start, '2024-12-30');
+        assert.strictEqual(weekOf('2021-01-03').id, '2020-W53', 'Sunday Jan 3 ends the last week of 2020');
+        assert.strictEqual(weekOf('2026-10-19').id, '2026-W43');
+        assert.strictEqual(weekOf('2026-10-19').end, '2026-10-25');
+    });
+
+    it('should start weeks on the day the user picks', () => {
+        const sundayWeek = weekOf('2021-01-03', 0);
+        assert.strictEqual(sundayWeek.start, '2021-01-03');
+        assert.strictEqual(sundayWeek.end, '2021-01-09');
+        assert.strictEqual(sundayWeek.id, '2021-W01');
+
+        assert.ok(isValidWeekStart(0) && isValidWeekStart(6));
+        assert.ok(!isValidWeekStart(7) && !isValidWeekStart('1') && !isValidWeekStart(1.5));
+    });
+
+    it('should parse week ids, rejecting weeks a year does not have', () => {
+        assert.deepStrictEqual(parseWeekId('2020-W53'), weekOf('2020-12-28'));
+        assert.strictEqual(parseWeekId('2025-W03').start, '2025-01-13');
+        assert.strictEqual(parseWeekId('2025-W03', 0).start, '2025-01-12');
+        assert.strictEqual(parseWeekId('2021-W53'), null);
+        assert.strictEqual(parseWeekId('2025-W00'), null);
+        assert.strictEqual(parseWeekId('2025-3'), null);
+        assert.strictEqual(parseWeekId(undefined), null);
+    });
+
+    it('should step between weeks across a year end', () => {
+        const week = parseWeekId('2025-W01');
+        assert.strictEqual(shiftWeek(week, -1).id, '2024-W52');
+        assert.strictEqual(shiftWeek(week, 52).id, '2026-W01');
+        assert.strictEqual(currentWeek('America/Denver').id, weekOf(dateKeyIn(new Date(), 'America/Denver')).id);
+    });
+
+    it('should read the week start from user settings', async () => {
+        const supabase = createFakeSupabase();
+        assert.strictEqual(await getUserWeekStart(supabase, 'user-1'), 1, 'Weeks should default to Monday');
+
+        await getRepositories(supabase).settings.upsert('user-1', { week_start: 0 });
+        assert.strictEqual(await getUserWeekStart(supabase, 'user-1'), 0);
+    });
+
+    it('should keep the same week of different years apart', async () => {
+        const supabase = createFakeSupabase();
+        clearUserKeyCache();
+
+        await storeSummary(supabase, 'week-user', parseWeekId('2024-W03'), 'Last year');
+        await storeSummary(supabase, 'week-user', parseWeekId('2025-W03'), 'This year');
+        await storeSummary(supabase, 'week-user', parseWeekId('2025-W03'), 'This year, again');
+        await storeInsight(supabase, 'week-user', 'Then', parseWeekId('2024-W03'));
+        await storeInsight(supabase, 'week-user', 'Now', parseWeekId('2025-W03'));
+
+        const summaries = supabase.tables.therapy_summaries;
+        assert.strictEqual(summaries.length, 2, 'Re-storing a week should replace it');
+        assert.deepStrictEqual(summaries.map(row => [row.iso_year, row.iso_week]), [[2024, 3], [2025, 3]]);
+        assert.strictEqual(supabase.tables.coach_insights.length, 2);
+    });
+
+    it('should fetch past summaries across a year end', async () => {
+        const supabase = createFakeSupabase();
+        const thisWeek = currentWeek();
+        clearUserKeyCache();
+
+        for (const weeksAgo of [0, 1, 2, 52, 60]) {
+            await storeSummary(supabase, 'history-user', shiftWeek(thisWeek, -weeksAgo), `${weeksAgo} weeks ago`);
+        }
+
+        const history = await getHistoricalSummaries(supabase, 'history-user', 52);
+        const expected = [1, 2, 52].map(weeksAgo => shiftWeek(thisWeek, -weeksAgo));
+        assert.deepStrictEqual(
+            history.map(row => [row.iso_year, row.iso_week]),
+            expected.map(week => [week.year, week.week]),
+            'Should be the weeks before this one, newest first'
+        );
+    });
+});
+
+describe('Incremental Sync', () => {
+    const today = new Date().toISOString().split('T')[0];
+
+    it('should resume from the high-water date unless a range is given', () => {
+        const fallback = { start: '2025-01-01', end: '2025-01-08' };
+        const backfill = { start: '2024-12-01', end: '2024-12-31' };
+
+        assert.deepStrictEqual(resolveSyncRange(null, null, fallback, today), fallback);
+        assert.deepStrictEqual(
+            resolveSyncRange({ synced_through: '2025-01-05' }, null, fallback, today),
+            { start: '2025-01-05', end: today }
+        );
+        assert.deepStrictEqual(resolveSyncRange({ synced_through: '2025-01-05' }, backfill, fallback, today), backfill);
+    });
+
+    it('should only advance the high-water date over contiguous ranges', () => {
+        const state = { synced_through: '2025-01-10' };
+        assert.strictEqual(nextSyncedThrough(null, { start: '2025-01-01', end: '2025-01-08' }), '2025-01-08');
+        assert.strictEqual(nextSyncedThrough(state, { start: '2025-01-10', end: '2025-01-12' }), '2025-01-12');
+        assert.strictEqual(nextSyncedThrough(state, { start: '2025-02-01', end: '2025-02-07' }), '2025-01-10');
+        assert.strictEqual(nextSyncedThrough(state, { start: '2024-12-01', end: '2024-12-31' }), '2025-01-10');
+    });
+
+    it('should advance cursors for successful sources and keep them for failures', async () => {
+        const supabase = createFakeSupabase();
+        supabase.tables.sync_state = [
+            { user_id: 'user-1', integration: 'amazon', synced_through: '2025-01-10', consecutive_failures: 0 },
+            { user_id: 'user-1', integration: 'test_broken', synced_through: '2025-01-03', consecutive_failures: 2 }
+        ];
+
+        registerIntegration({
+            name: 'test_broken',
+            agent: async () => ({ success: false, error: 'token expired' }),
+            eventTypes: ['activity'],
+            credential: 'test_broken',
+            syncCadence: 'daily'
+        });
+
+        try {
+            await connectIntegrations(supabase, 'user-1');
+            const result = await syncUserData(supabase, 'user-1');
+            assert.deepStrictEqual(result.sources.amazon.dateRange, { start: '2025-01-10', end: today });
+            assert.strictEqual(result.sources.test_broken.success, false);
+        } finally {
+            unregisterIntegration('test_broken');
+        }
+
+        const state = (name) => supabase.tables.sync_state.find(row => row.integration === name);
+        assert.strictEqual(state('amazon').synced_through, today);
+        assert.ok(state('google_maps').last_success_at, 'New sources should get a state row');
+        assert.strictEqual(state('test_broken').synced_through, '2025-01-03');
+        assert.strictEqual(state('test_broken').consecutive_failures, 3);
+        assert.strictEqual(state('test_broken').last_error, 'token expired');
+    });
+});
+
+describe('Sync Run History', () => {
+    it('should classify run status from source results', () => {
+        assert.strictEqual(getRunStatus({ success: true, sources: {} }), 'succeeded');
+        assert.strictEqual(getRunStatus({
+            success: false,
+            sources: { amazon: { success: false }, google_maps: { success: true } }
+        }), 'partial');
+        assert.strictEqual(getRunStatus({ success: false, sources: { amazon: { success: false } } }), 'failed');
+    });
+
+    it('should record a run with per-source counts and timings', async () => {
+        const supabase = createFakeSupabase();
+        const dateRange = { start: '2025-01-01', end: '2025-01-15' };
+        await connectIntegrations(supabase, 'user-1');
+
+        const result = await runRecordedSync(supabase, 'user-1', dateRange, { trigger: 'scheduled' });
+        assert.ok(result.runId, 'Should return the run id');
+
+        const run = await getSyncRun(supabase, 'user-1', result.runId);
+        assert.strictEqual(run.trigger, 'scheduled');
+        assert.strictEqual(run.status, 'succeeded');
+        assert.strictEqual(run.eventsInserted, result.eventsInserted);
+        assert.strictEqual(run.sources.amazon.count, result.sources.amazon.count);
+        assert.ok(run.sources.amazon.durationMs >= 0, 'Should time each source');
+        assert.ok(run.durationMs >= 0, 'Should time the run');
+    });
+
+    it('should only expose a user their own runs', async () => {
+        const supabase = createFakeSupabase();
+        const { runId } = await runRecordedSync(supabase, 'user-1', { start: '2025-01-01', end: '2025-01-02' });
+
+        assert.strictEqual(await getSyncRun(supabase, 'user-2', runId), null);
+        assert.strictEqual((await listSyncRuns(supabase, 'user-1')).length, 1);
+        assert.strictEqual((await listSyncRuns(supabase, 'user-2')).length, 0);
+    });
+});
+
+describe('Sync Jobs', () => {
+    // Collect a job's events until it finishes
+    const followJob = (supabase, job, lastEventId = 0, options = {}) => new Promise(resolve => {
+        const events = [];
+        streamSyncJob(supabase, job, event => {
+            events.push(event);
+            if (isTerminalEvent(event)) resolve(events);
+        }, lastEventId, options);
+    });
+
+    it('should report each source starting, normalizing and being stored', async () => {
+        const stages = [];
+        const supabase = createFakeSupabase();
+        await connectIntegrations(supabase, 'user-1');
+        await syncUserData(supabase, 'user-1', { start: '2025-01-01', end: '2025-01-15' }, {
+            onProgress: ({ source, stage }) => stages.push(`${source}:${stage}`)
+        });
+
+        for (const source of ['google_maps', 'amazon', 'photos']) {
+            const order = ['started', 'normalizing', 'normalized', 'storing', 'stored']
+                .map(stage => stages.indexOf(`${source}:${stage}`));
+            assert.ok(order.every(index => index >= 0), `Missing stages for ${source}: ${stages}`);
+            assert.deepStrictEqual(order, [...order].sort((a, b) => a - b), `Stages out of order for ${source}`);
+        }
+    });
+
+    it('should not let a failing progress listener break the sync', async () => {
+        await connectIntegrations(null, 'user-1');
+        const result = await syncUserData(null, 'user-1', { start: '2025-01-01', end: '2025-01-15' }, {
+            onProgress: () => { throw new Error('listener blew up'); }
+        });
+        assert.strictEqual(result.success, true);
+    });
+
+    it('should queue a job and run it for the stream that follows it', async () => {
+        const supabase = createFakeSupabase();
+        await connectIntegrations(supabase, 'job-user-1');
+        const job = await createSyncJob(supabase, 'job-user-1', { start: '2025-01-01', end: '2025-01-15' });
+        assert.strictEqual(job.status, 'queued', 'Should return before the sync runs');
+
+        const events = await followJob(supabase, job);
+        const complete = events[events.length - 1];
+
+        assert.strictEqual(complete.type, 'complete');
+        assert.strictEqual(complete.status, 'succeeded');
+        assert.strictEqual(complete.result.id, job.id, 'The job should be its sync run');
+        assert.strictEqual(complete.result.eventsInserted > 0, true);
+        assert.ok(events.some(e => e.type === 'progress' && e.source === 'amazon' && e.stage === 'stored'));
+        assert.deepStrictEqual(events.map(e => e.id), events.map((_, i) => i + 1), 'Event ids should be sequential');
+
+        const stored = await getSyncJob(supabase, job.id, 'job-user-1');
+        assert.strictEqual(formatSyncJob(stored).status, 'succeeded');
+        assert.strictEqual(stored.events.length, events.length - 1, 'Progress should be stored with the job');
+    });
+
+    it('should replay only events after Last-Event-ID for a finished job', async () => {
+        const supabase = createFakeSupabase();
+        const job = await createSyncJob(supabase, 'job-user-2', { start: '2025-01-01', end: '2025-01-02' });
+        const all = await followJob(supabase, job);
+
+        const finished = await getSyncJob(supabase, job.id, 'job-user-2');
+        const resumed = await followJob(supabase, finished, all.length - 1);
+        assert.deepStrictEqual(resumed, all.slice(-1));
+    });
+
+    it('should join a queued job and hide jobs from other users', async () => {
+        const supabase = createFakeSupabase();
+        const first = await createSyncJob(supabase, 'job-user-3');
+        const second = await createSyncJob(supabase, 'job-user-3');
+
+        assert.strictEqual(second.id, first.id);
+        assert.strictEqual(await getSyncJob(supabase, first.id, 'someone-else'), null);
+        assert.strictEqual(supabase.tables.sync_runs.length, 1);
+    });
+
+    it('should let another stream follow a job it is not running', async () => {
+        const supabase = createFakeSupabase();
+        let finish;
+        const syncFn = () => new Promise(resolve => { finish = resolve; });
+        const job = await createSyncJob(supabase, 'job-user-5');
+
+        const runner = followJob(supabase, job, 0, { syncFn });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.strictEqual((await getSyncJob(supabase, job.id, 'job-user-5')).status, 'running');
+
+        // As if on another instance: it sees a running job and polls it
+        const follower = followJob(supabase, await getSyncJob(supabase, job.id, 'job-user-5'), 0, { syncFn, intervalMs: 5 });
+        finish({ success: true, sources: {} });
+
+        const [ran, followed] = await Promise.all([runner, follower]);
+        assert.strictEqual(ran[ran.length - 1].status, 'succeeded');
+        assert.deepStrictEqual(followed, ran, 'Both streams should see the same events');
+    });
+
+    it('should keep a quiet job alive so nobody else claims it', async () => {
+        const supabase = createFakeSupabase();
+        let finish;
+        const syncFn = () => new Promise(resolve => { finish = resolve; });
+        const job = await createSyncJob(supabase, 'job-user-9');
+
+        const runner = followJob(supabase, job, 0, { syncFn, heartbeatMs: 5 });
+        await new Promise(resolve => setImmediate(resolve));
+        const [row] = supabase.tables.sync_runs;
+        row.heartbeat_at = '2025-01-01T00:00:00Z';
+
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.ok(row.heartbeat_at > '2025-01-01T00:00:00Z', 'The runner should stamp the job while it works');
+        assert.strictEqual(await runPendingSyncJobs(supabase, { syncFn }), 0);
+
+        finish({ success: true, sources: {} });
+        const events = await runner;
+        assert.strictEqual(events[events.length - 1].status, 'succeeded');
+    });
+
+    it('should surface a sync that throws as an error event', async () => {
+        const supabase = createFakeSupabase();
+        const job = await createSyncJob(supabase, 'job-user-4');
+        const events = await followJob(supabase, job, 0, {
+            syncFn: async () => { throw new Error('database unavailable'); }
+        });
+
+        assert.strictEqual(events[events.length - 1].type, 'error');
+        const stored = formatSyncJob(await getSyncJob(supabase, job.id, 'job-user-4'));
+        assert.strictEqual(stored.status, 'failed');
+        assert.strictEqual(stored.error, 'database unavailable');
+    });
+
+    it('should run jobs nobody followed and jobs whose runner died', async () => {
+        const supabase = createFakeSupabase();
+        const ran = [];
+        const syncFn = async (_, userId) => {
+            ran.push(userId);
+            return { success: true, sources: {} };
+        };
+
+        const unfollowed = await createSyncJob(supabase, 'job-user-6');
+        const abandoned = await createSyncJob(supabase, 'job-user-7');
+        await createSyncJob(supabase, 'job-user-8');
+
+        // job-user-7's runner went quiet long ago; job-user-8's client just queued it
+        const rowFor = (userId) => supabase.tables.sync_runs.find(row => row.user_id === userId);
+        const now = new Date(Date.now() + 2 * 60 * 1000);
+        Object.assign(rowFor('job-user-7'), { status: 'running', heartbeat_at: '2025-01-01T00:00:00Z' });
+        rowFor('job-user-8').heartbeat_at = now.toISOString();
+
+        assert.strictEqual(await runPendingSyncJobs(supabase, { syncFn, now }), 2);
+        assert.deepStrictEqual(ran.sort(), ['job-user-6', 'job-user-7']);
+        assert.strictEqual((await getSyncJob(supabase, unfollowed.id, 'job-user-6')).status, 'succeeded');
+        assert.strictEqual((await getSyncJob(supabase, abandoned.id, 'job-user-7')).status, 'succeeded');
+    });
+});
+
+describe('Scheduled Sync', () => {
+    const now = new Date('2025-01-15T03:00:00Z');
+    const hoursAgo = (hours) => new Date(now - hours * 60 * 60 * 1000).toISOString();
+    const integrations = [
+        { name: 'daily_source', syncCadence: 'daily' },
+        { name: 'weekly_source', syncCadence: 'weekly' }
+    ];
+
+    it('should pick integrations whose cadence has elapsed', () => {
+        const states = new Map([
+            ['daily_source', { last_success_at: hoursAgo(24) }],
+            ['weekly_source', { last_success_at: hoursAgo(48) }]
+        ]);
+        assert.deepStrictEqual(getDueIntegrations({}, states, integrations, now), ['daily_source']);
+        assert.deepStrictEqual(getDueIntegrations({}, new Map(), integrations, now), ['daily_source', 'weekly_source']);
+    });
+
+    it('should respect notification_frequency and auto_sync', () => {
+        const states = new Map([['daily_source', { last_success_at: hoursAgo(30) }]]);
+        const weeklyUser = { notification_frequency: 'weekly' };
+
+        assert.deepStrictEqual(getDueIntegrations(weeklyUser, states, integrations, now), ['weekly_source']);
+        assert.deepStrictEqual(getDueIntegrations({ auto_sync: false }, new Map(), integrations, now), []);
+        assert.deepStrictEqual(getDueIntegrations({ notification_frequency: 'never' }, new Map(), integrations, now), []);
+    });
+
+    it('should sync due users and record the run', async () => {
+        const supabase = createFakeSupabase();
+        supabase.tables.users = [{ id: 'u1' }, { id: 'u2' }, { id: 'u3' }];
+        supabase.tables.user_settings = [{ user_id: 'u2', auto_sync: false }];
+        supabase.tables.sync_state = [];
+
+        const synced = [];
+        const syncFn = async (_, userId, dateRange, options) => {
+            synced.push({ userId, dateRange, integrations: options.integrations });
+            if (userId === 'u3') return { success: false, errors: ['amazon: token expired'] };
+            return { success: true, errors: [] };
+        };
+
+        const result = await runScheduledSync(supabase, { syncFn, now, concurrency: 2 });
+
+        assert.deepStrictEqual(synced.map(s => s.userId).sort(), ['u1', 'u3']);
+        assert.strictEqual(synced[0].dateRange, null, 'Should sync incrementally');
+        assert.strictEqual(result.status, 'completed_with_errors');
+        assert.deepStrictEqual([result.users_synced, result.users_skipped, result.users_failed], [1, 1, 1]);
+
+        const [run] = supabase.tables.scheduled_sync_runs;
+        assert.strictEqual(run.status, 'completed_with_errors');
+        assert.ok(run.duration_ms >= 0, 'Should record duration');
+        assert.deepStrictEqual(run.errors, [{ userId: 'u3', errors: ['amazon: token expired'] }]);
+    });
+
+    it('should read settings and sync state a page of users at a time', async () => {
+        const supabase = createFakeSupabase();
+        supabase.tables.users = Array.from({ length: 250 }, (_, i) => ({ id: `u${i}`, created_at: String(i).padStart(4, '0') }));
+        supabase.tables.user_settings = [{ user_id: 'u249', auto_sync: false }];
+        supabase.tables.sync_state = [];
+
+        // Record the users each settings and state query was filtered to
+        const lookups = [];
+        const from = supabase.from;
+        supabase.from = (table) => {
+            const query = from(table);
+            if (table !== 'user_settings' && table !== 'sync_state') return query;
+            const filter = query.in;
+            query.in = (column, values) => {
+                lookups.push(values.length);
+                return filter(column, values);
+            };
+            return query;
+        };
+
+        const synced = [];
+        const syncFn = async (_, userId) => {
+            synced.push(userId);
+            return { success: true, errors: [] };
+        };
+
+        const result = await runScheduledSync(supabase, { syncFn, now });
+
+        assert.strictEqual(result.users_total, 250);
+        assert.strictEqual(synced.length, 249);
+        assert.ok(!synced.includes('u249'), 'Settings past the first page should apply');
+        assert.deepStrictEqual(lookups, [100, 100, 100, 100, 50, 50], 'Each page should be looked up by its ids');
+    });
+});
+
+describe('Integration Registry', () => {
+    it('should register the built-in integrations', () => {
+        const names = listIntegrations().map(i => i.name);
+        assert.ok(names.includes('google_maps'), 'Should include Google Maps');
+        assert.ok(names.includes('amazon'), 'Should include Amazon');
+        assert.ok(names.includes('photos'), 'Should include Photos');
+        assert.deepStrictEqual(getIntegration('amazon').eventTypes, ['purchase']);
+    });
+
+    it('should reject incomplete or duplicate definitions', () => {
+        assert.throws(() => registerIntegration({ name: 'broken' }), /agent function/);
+        assert.throws(() => registerIntegration({
+            name: 'no_cadence',
+            agent: async () => ({}),
+            eventTypes: ['activity'],
+            credential: 'no_cadence'
+        }), /sync cadence/);
+        assert.throws(() => registerIntegration({ ...getIntegration('amazon') }), /already registered/);
+    });
+});
+
 describe('Weekly Sync', () => {
     it('should sync user data from all agents', async () => {
         const dateRange = { start: '2025-01-01', end: '2025-01-15' };
+        await connectIntegrations(null, 'test-user');
         const result = await syncUserDataLocal('test-user', dateRange);
 
         assert.ok(result.eventsAdded > 0, 'Should add events');
@@ -177,6 +1953,66 @@ describe('Weekly Sync', () => {
         assert.ok(result.sources.amazon, 'Should have Amazon results');
     });
 
+    it('should sync integrations added to the registry', async () => {
+        registerIntegration({
+            name: 'test_steps',
+            agent: async () => ({
+                success: true,
+                events: [
+                    { type: 'activity', timestamp: '2025-01-05T10:00:00Z', data: { activity_type: 'walk', duration_minutes: 30 } },
+                    { type: 'purchase', timestamp: '2025-01-05T11:00:00Z', data: { amount: 5 } }
+                ]
+            }),
+            eventTypes: ['activity'],
+            credential: 'test_steps',
+            syncCadence: 'daily'
+        });
+
+        try {
+            await connectIntegrations(null, 'test-user');
+            const result = await syncUserDataLocal('test-user', { start: '2025-01-01', end: '2025-01-15' });
+            assert.strictEqual(result.sources.test_steps.count, 1, 'Undeclared event types should be dropped');
+        } finally {
+            unregisterIntegration('test_steps');
+        }
+    });
+
+    it('should fail sources without a usable credential instead of using a placeholder', async () => {
+        const supabase = createFakeSupabase();
+        await storeCredential(supabase, 'user-1', 'amazon', 'old-token', 'access', {
+            expiresAt: new Date(Date.now() - 1000).toISOString()
+        });
+
+        const result = await syncUserData(supabase, 'user-1', { start: '2025-01-01', end: '2025-01-15' });
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.sources.google_maps.code, 'CREDENTIAL_MISSING');
+        assert.strictEqual(result.sources.amazon.code, 'CREDENTIAL_EXPIRED');
+        assert.strictEqual(result.eventsInserted, 0);
+    });
+
+    it('should let refreshable integrations renew an expired token', async () => {
+        const supabase = createFakeSupabase();
+        await storeGoogleTokens(supabase, 'user-1', { accessToken: 'stale', refreshToken: 'refresh', expiresIn: -60 });
+        registerIntegration({
+            name: 'test_refreshing',
+            agent: async () => ({ success: true, events: [] }),
+            eventTypes: ['location'],
+            credential: GOOGLE_CREDENTIAL,
+            getAccessToken: async () => 'renewed',
+            syncCadence: 'daily'
+        });
+
+        try {
+            const result = await syncUserData(supabase, 'user-1', { start: '2025-01-01', end: '2025-01-02' }, {
+                integrations: ['test_refreshing']
+            });
+            assert.strictEqual(result.sources.test_refreshing.success, true);
+        } finally {
+            unregisterIntegration('test_refreshing');
+        }
+    });
+
     it('should generate correct date ranges', () => {
         const range = getWeekDateRange(0);
 
@@ -191,6 +2027,136 @@ describe('Weekly Sync', () => {
     });
 });
 
+// Both backends must behave the same through the repositories
+for (const [backend, openDb] of [['Supabase', createFakeSupabase], ['SQLite', () => openSqliteDatabase(':memory:')]]) {
+    describe(`Storage Repositories (${backend})`, () => {
+        it('should query timeline events by date and fingerprint', async () => {
+            const { timeline } = getRepositories(openDb());
+            const event = (date, fingerprint) => ({
+                user_id: 'user-1',
+                event_date: date,
+                event_type: 'purchase',
+                event_data_encrypted: '{}',
+                source_integration: 'amazon',
+                fingerprint,
+                content_hash: 'hash-1'
+            });
+            await timeline.insert([event('2025-01-03', 'fp-b'), event('2025-01-01', 'fp-a')]);
+            await timeline.insert({ ...event('2025-01-02', null), user_id: 'user-2' });
+
+            const range = await timeline.listByDateRange('user-1', { start: '2025-01-01', end: '2025-01-31' });
+            assert.deepStrictEqual(range.map(r => r.event_date), ['2025-01-01', '2025-01-03']);
+            assert.strictEqual((await timeline.listByDate('user-1', '2025-01-03')).length, 1);
+
+            const [found] = await timeline.findByFingerprints('user-1', ['fp-a', 'fp-x']);
+            await timeline.update('user-1', found.id, { content_hash: 'hash-2' });
+            const [updated] = await timeline.findByFingerprints('user-1', ['fp-a']);
+            assert.strictEqual(updated.content_hash, 'hash-2');
+
+            const inserted = await timeline.insertNew([event('2025-01-04', 'fp-a'), event('2025-01-04', 'fp-c')]);
+            assert.deepStrictEqual(inserted, ['fp-c'], 'Stored fingerprints should be left alone');
+            assert.strictEqual((await timeline.findByFingerprints('user-1', ['fp-a']))[0].content_hash, 'hash-2');
+        });
+
+        it('should keep calendar events per user', async () => {
+            const { calendar } = getRepositories(openDb());
+            const row = await calendar.insert({
+                user_id: 'user-1',
+                title_encrypted: '{}',
+                event_date: '2025-01-05',
+                event_type: 'reminder',
+                client_encrypted: true
+            });
+            assert.ok(row.id, 'Insert should return the stored row');
+            assert.strictEqual(row.client_encrypted, true);
+
+            assert.strictEqual(await calendar.update('user-2', row.id, { title_encrypted: '{"other":1}' }), null);
+            const updated = await calendar.update('user-1', row.id, { title_encrypted: '{"v":2}', client_encrypted: true });
+            assert.strictEqual(updated.title_encrypted, '{"v":2}');
+            assert.strictEqual(updated.client_encrypted, true);
+
+            await calendar.delete('user-2', row.id);
+            assert.strictEqual((await calendar.list('user-1', { start: '2025-01-05', end: '2025-01-05' })).length, 1);
+            assert.strictEqual((await calendar.list('user-1', { start: '2025-01-06' })).length, 0);
+
+            await calendar.delete('user-1', row.id);
+            assert.deepStrictEqual(await calendar.list('user-1'), []);
+        });
+
+        it('should list conversations by session and context by user', async () => {
+            const { conversations, context } = getRepositories(openDb());
+            await conversations.insert({ user_id: 'user-1', session_id: 's1', message_encrypted: '{}', role: 'user' });
+            await conversations.insert({ user_id: 'user-1', session_id: 's2', message_encrypted: '{}', role: 'coach' });
+
+            assert.strictEqual((await conversations.listMessages('user-1')).length, 2);
+            const [message] = await conversations.listMessages('user-1', { sessionId: 's2' });
+            assert.strictEqual(message.role, 'coach');
+
+            await context.insert({ user_id: 'user-1', context_type: 'goal', context_encrypted: '{}', source: 'chat' });
+            const [item] = await context.list('user-1');
+            await context.delete('user-1', item.id);
+            assert.deepStrictEqual(await context.list('user-1'), []);
+        });
+
+        it('should upsert settings without losing other columns', async () => {
+            const { settings } = getRepositories(openDb());
+            assert.strictEqual(await settings.get('user-1'), null);
+
+            await settings.upsert('user-1', { proactive_notifications: true, auto_sync: false });
+            const saved = await settings.upsert('user-1', { e2e_salt: 'c2FsdA==' });
+
+            assert.strictEqual(saved.proactive_notifications, true);
+            assert.strictEqual(saved.auto_sync, false);
+            assert.strictEqual(saved.e2e_salt, 'c2FsdA==');
+        });
+
+        it('should back the credential vault and data keys', async () => {
+            const db = openDb();
+            clearUserKeyCache();
+
+            await storeCredential(db, 'user-1', 'amazon', 'token-1');
+            assert.strictEqual(await getCredential(db, 'user-1', 'amazon'), 'token-1');
+            assert.strictEqual((await deleteCredential(db, 'user-1', 'amazon')).success, true);
+            assert.strictEqual(await getCredential(db, 'user-1', 'amazon'), null);
+
+            const key = await getUserKey(db, 'user-1');
+            clearUserKeyCache();
+            assert.strictEqual(await getUserKey(db, 'user-1'), key, 'Key should be stored, not just cached');
+        });
+
+        it('should not flag expired credentials that can be refreshed', async () => {
+            const db = openDb();
+            await storeGoogleTokens(db, 'user-1', { accessToken: 'stale', refreshToken: 'refresh', expiresIn: -60 });
+            await storeCredential(db, 'user-1', 'amazon', 'old-token', 'access', {
+                expiresAt: new Date(Date.now() - 1000).toISOString()
+            });
+
+            const credentials = await listCredentials(db, 'user-1');
+            assert.deepStrictEqual(credentials.map(c => [c.integration, c.refreshable, c.expired]),
+                [['amazon', false, true], [GOOGLE_CREDENTIAL, true, false]]);
+        });
+    });
+}
+
+describe('Local Sync', () => {
+    it('should keep synced events in a SQLite database', async () => {
+        const db = openSqliteDatabase(':memory:');
+        const dateRange = { start: '2025-01-01', end: '2025-01-15' };
+        clearUserKeyCache();
+        await connectIntegrations(db, 'local-user');
+
+        const first = await syncUserDataLocal('local-user', dateRange, db);
+        const second = await syncUserDataLocal('local-user', dateRange, db);
+
+        assert.ok(first.eventsInserted > 0, 'Should store events');
+        assert.strictEqual(second.eventsInserted, 0, 'Re-syncing should not duplicate');
+
+        clearUserKeyCache();
+        const { events } = await getTimelineEvents(db, 'local-user', dateRange);
+        assert.strictEqual(events.length, first.eventsInserted);
+    });
+});
+
 describe('Date Range Helper', () => {
     it('should return valid date range for current week', () => {
         const range = getWeekDateRange(0);
@@ -0,0 +1,73 @@
+// Client-side (end-to-end) Encryption
+// Users can opt in to having the app encrypt their own journal content, such
+// as calendar titles, with a key derived from a passphrase we never see. We
+// keep the KDF salt and a verifier so other devices can derive and check the
+// same key; the content itself reaches us as opaque blobs.
+import { getRepositories } from '../storage/index.js';
+
+// PBKDF2-SHA256 rounds; the app refuses anything weaker
+export const MIN_KDF_ITERATIONS = 100000;
+
+// Generous for a title-sized plaintext, small enough to keep rows sane
+const MAX_CIPHERTEXT_LENGTH = 16384;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const failure = (error, code) => ({ success: false, error, code });
+
+// A blob from the app: JSON { v: 1, iv, data } with base64 fields. We only
+// check its shape; what's inside is none of our business.
+export const isClientCiphertext = (value) => {
+    if (typeof value !== 'string' || value.length > MAX_CIPHERTEXT_LENGTH) return false;
+
+    try {
+        const blob = JSON.parse(value);
+        return blob.v === 1 && BASE64_PATTERN.test(blob.iv || '') && BASE64_PATTERN.test(blob.data || '');
+    } catch {
+        return false;
+    }
+};
+
+export const getClientEncryption = async (db, userId) => {
+    const data = await getRepositories(db).settings.get(userId);
+
+    if (!data || !data.e2e_enabled_at) {
+        return { enabled: false };
+    }
+    return {
+        enabled: true,
+        salt: data.e2e_salt,
+        iterations: data.e2e_iterations,
+        verifier: data.e2e_verifier,
+        enabledAt: data.e2e_enabled_at
+    };
+};
+
+// Turn on end-to-end mode with the app's KDF parameters. It can't be turned
+// off or re-keyed here: content encrypted under the old passphrase would be
+// lost for good.
+export const enableClientEncryption = async (db, userId, { salt, iterations, verifier } = {}) => {
+    if (!salt || !BASE64_PATTERN.test(salt) || !Number.isInteger(iterations) || iterations < MIN_KDF_ITERATIONS) {
+        return failure(`A base64 salt and at least ${MIN_KDF_ITERATIONS} iterations are required`, 'INVALID_E2E_PARAMS');
+    }
+    if (!isClientCiphertext(verifier)) {
+        return failure('Verifier must be a ciphertext made with the derived key', 'INVALID_E2E_PARAMS');
+    }
+
+    const current = await getClientEncryption(db, userId);
+    if (current.enabled) {
+        return failure('End-to-end encryption is already enabled', 'E2E_ALREADY_ENABLED');
+    }
+
+    const enabledAt = new Date().toISOString();
+    await getRepositories(db).settings.upsert(userId, {
+        e2e_salt: salt,
+        e2e_iterations: iterations,
+        e2e_verifier: verifier,
+        e2e_enabled_at: enabledAt,
+        updated_at: enabledAt
+    });
+
+    console.log(`[ClientEncryption] Enabled end-to-end encryption for user ${userId}`);
+    return { success: true, enabled: true, salt, iterations, verifier, enabledAt };
+};
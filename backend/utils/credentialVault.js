@@ -1,95 +1,109 @@
 // Credential Vault - Secure storage for integration tokens
-import { encryptData, decryptData } from './encryption.js';
-import { getMasterKey } from './keyManagement.js';
+// db is a Supabase client or SQLite database (see storage/index.js)
+import { encryptWithMasterKey, decryptWithMasterKey, aadFor } from './encryption.js';
+import { getRepositories } from '../storage/index.js';
 
-// In-memory store for development (replace with Supabase in production)
+// In-memory store for tests that run without a database
 let credentialStore = new Map();
 
-export const storeCredential = async (supabase, userId, integration, token, tokenType = 'access') => {
-    const masterKey = getMasterKey();
-    const encrypted = encryptData({ token, tokenType }, masterKey);
+const credentialContext = (userId) => aadFor(userId, 'user_credentials', 'encrypted_token');
+
+// options.refreshToken is encrypted alongside the token; options.expiresAt
+// (ISO string) is when the token stops working, if it expires
+export const storeCredential = async (db, userId, integration, token, tokenType = 'access', options = {}) => {
+    const { credentials } = getRepositories(db);
+    const { refreshToken = null, expiresAt = null } = options;
+    const encrypted = encryptWithMasterKey({ token, tokenType, refreshToken }, credentialContext(userId));
 
     const credentialData = {
         user_id: userId,
         integration: integration,
         encrypted_token: JSON.stringify(encrypted),
         token_type: tokenType,
+        expires_at: expiresAt,
+        has_refresh_token: Boolean(refreshToken),
         updated_at: new Date().toISOString(),
-        last_used: null
+        last_used: null,
+        deleted_at: null
     };
 
-    // Try to update existing or insert new
-    const { data: existing } = await supabase
-        .from('user_credentials')
-        .select('id')
-        .eq('user_id', userId)
-        .eq('integration', integration)
-        .single();
+    // Try to update existing (including a revoked one) or insert new
+    const existing = await credentials.find(userId, integration, { includeDeleted: true });
 
     if (existing) {
-        const { error } = await supabase
-            .from('user_credentials')
-            .update(credentialData)
-            .eq('id', existing.id);
-
-        if (error) throw error;
+        await credentials.update(existing.id, credentialData);
     } else {
         credentialData.created_at = new Date().toISOString();
-        const { error } = await supabase
-            .from('user_credentials')
-            .insert(credentialData);
-
-        if (error) throw error;
+        await credentials.insert(credentialData);
     }
 
     return { success: true };
 };
 
-export const getCredential = async (supabase, userId, integration) => {
-    const { data, error } = await supabase
-        .from('user_credentials')
-        .select('encrypted_token')
-        .eq('user_id', userId)
-        .eq('integration', integration)
-        .single();
+// Full stored credential: { token, tokenType, refreshToken, expiresAt }
+export const getCredentialRecord = async (db, userId, integration) => {
+    const { credentials } = getRepositories(db);
+    const data = await credentials.find(userId, integration);
 
-    if (error || !data) {
+    if (!data || !data.encrypted_token) {
         return null;
     }
 
-    const masterKey = getMasterKey();
     const encrypted = JSON.parse(data.encrypted_token);
-    const decrypted = decryptData(encrypted, masterKey);
+    const decrypted = decryptWithMasterKey(encrypted, credentialContext(userId));
 
     // Update last_used
-    await supabase
-        .from('user_credentials')
-        .update({ last_used: new Date().toISOString() })
-        .eq('user_id', userId)
-        .eq('integration', integration);
+    await credentials.update(data.id, { last_used: new Date().toISOString() });
 
-    return decrypted.token;
+    return {
+        token: decrypted.token,
+        tokenType: decrypted.tokenType,
+        refreshToken: decrypted.refreshToken || null,
+        expiresAt: data.expires_at || null
+    };
+};
+
+export const getCredential = async (db, userId, integration) => {
+    const record = await getCredentialRecord(db, userId, integration);
+    return record ? record.token : null;
 };
 
-export const deleteCredential = async (supabase, userId, integration) => {
+export const isCredentialExpired = (expiresAt, now = new Date()) => {
+    return Boolean(expiresAt) && new Date(expiresAt) <= now;
+};
+
+// Metadata for the user's stored credentials, without decrypting anything:
+// [{ integration, tokenType, createdAt, updatedAt, lastUsed, expiresAt, refreshable, expired }]
+// A credential with a refresh token is renewed when it's next used, so it
+// only counts as expired if it can't be.
+export const listCredentials = async (db, userId) => {
+    const rows = await getRepositories(db).credentials.list(userId);
+
+    return rows.map(row => ({
+        integration: row.integration,
+        tokenType: row.token_type,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        lastUsed: row.last_used,
+        expiresAt: row.expires_at || null,
+        refreshable: Boolean(row.has_refresh_token),
+        expired: isCredentialExpired(row.expires_at) && !row.has_refresh_token
+    }));
+};
+
+export const deleteCredential = async (db, userId, integration) => {
     // Soft delete by adding deleted_at timestamp
-    const { error } = await supabase
-        .from('user_credentials')
-        .update({
-            deleted_at: new Date().toISOString(),
-            encrypted_token: null
-        })
-        .eq('user_id', userId)
-        .eq('integration', integration);
-
-    if (error) throw error;
+    const revoked = await getRepositories(db).credentials.softDelete(userId, integration, new Date().toISOString());
+
+    if (revoked === 0) {
+        return { success: false, error: `No credential stored for ${integration}`, code: 'CREDENTIAL_NOT_FOUND' };
+    }
     return { success: true };
 };
 
 // In-memory versions for testing without Supabase
 export const storeCredentialLocal = (userId, integration, token, tokenType = 'access') => {
-    const masterKey = getMasterKey();
-    const encrypted = encryptData({ token, tokenType }, masterKey);
+    const encrypted = encryptWithMasterKey({ token, tokenType }, credentialContext(userId));
     const key = `${userId}:${integration}`;
     credentialStore.set(key, {
         encrypted,
@@ -104,8 +118,7 @@ export const getCredentialLocal = (userId, integration) => {
     const stored = credentialStore.get(key);
     if (!stored) return null;
 
-    const masterKey = getMasterKey();
-    const decrypted = decryptData(stored.encrypted, masterKey);
+    const decrypted = decryptWithMasterKey(stored.encrypted, credentialContext(userId));
     return decrypted.token;
 };
 
@@ -0,0 +1,58 @@
+// Minimal RFC 4180 CSV parser
+// Handles quoted fields, escaped quotes ("") and newlines inside quotes
+
+export const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip UTF-8 byte order mark that Excel-style exports prepend
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Parse CSV text into objects keyed by the header row
+export const parseCsv = (text) => {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim());
+    return rows.map(values => Object.fromEntries(
+        columns.map((name, index) => [name, (values[index] ?? '').trim()])
+    ));
+};
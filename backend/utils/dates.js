@@ -0,0 +1,86 @@
+// Date and time helpers
+// Days ('YYYY-MM-DD' keys), weeks and times of day are taken in a timezone,
+// normally the user's (getUserTimeZone), so an evening event in Denver lands
+// on Denver's date rather than UTC's. A missing timezone means UTC.
+// Date-only values (no time) are already a day and are never shifted.
+import { getRepositories } from '../storage/index.js';
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const isDateOnly = (value) => typeof value === 'string' && !value.includes('T');
+
+// True for an IANA timezone name the runtime knows, e.g. 'America/Denver'
+export const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// True for a 'YYYY-MM-DD' day that exists or an ISO time that parses, the
+// two shapes an event timestamp can take
+export const isValidTimestamp = (value) => {
+    if (typeof value !== 'string') return false;
+    if (isDateOnly(value)) {
+        const day = new Date(`${value}T00:00:00Z`);
+        return !Number.isNaN(day.getTime()) && day.toISOString().slice(0, 10) === value;
+    }
+    return !Number.isNaN(Date.parse(value));
+};
+
+// The user's timezone from their settings, or null if they haven't set one
+export const getUserTimeZone = async (db, userId) => {
+    if (!db) return null;
+    const settings = await getRepositories(db).settings.get(userId);
+    return settings?.timezone ?? null;
+};
+
+const partsIn = (instant, timeZone, options) => {
+    const format = new Intl.DateTimeFormat('en-US', { timeZone: timeZone || DEFAULT_TIME_ZONE, ...options });
+    return Object.fromEntries(format.formatToParts(new Date(instant)).map(part => [part.type, part.value]));
+};
+
+// The day an instant falls on in a timezone
+export const dateKeyIn = (instant, timeZone) => {
+    if (isDateOnly(instant)) return instant;
+    const { year, month, day } = partsIn(instant, timeZone, { year: 'numeric', month: '2-digit', day: '2-digit' });
+    return `${year}-${month}-${day}`;
+};
+
+export const todayIn = (timeZone) => dateKeyIn(new Date(), timeZone);
+
+// The hour (0-23) of an instant in a timezone; null for a date-only value
+export const hourIn = (instant, timeZone) => {
+    if (isDateOnly(instant)) return null;
+    return Number(partsIn(instant, timeZone, { hour: '2-digit', hourCycle: 'h23' }).hour);
+};
+
+// 'morning', 'afternoon' or 'evening', as the coach greets the user
+export const timeOfDayIn = (instant, timeZone) => {
+    const hour = hourIn(instant, timeZone);
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    return 'evening';
+};
+
+// A day key moved by a number of days
+export const addDays = (dateKey, days) => {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+// From a week before to the day weeksAgo weeks before today, both inclusive
+export const weekRangeIn = (weeksAgo, timeZone) => {
+    const end = addDays(todayIn(timeZone), -7 * weeksAgo);
+    return { start: addDays(end, -7), end };
+};
+
+// The ISO time a number of minutes after timestamp, or null without a duration
+export const addMinutes = (timestamp, minutes) => {
+    if (!timestamp || !(minutes > 0)) return null;
+    return new Date(new Date(timestamp).getTime() + minutes * 60 * 1000).toISOString();
+};
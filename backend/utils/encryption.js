@@ -1,26 +1,66 @@
 import crypto from 'crypto';
-export const encryptData = (data, masterKey) => {
+import { getCurrentKeyVersion, getMasterKeyByVersion } from './keyManagement.js';
+
+// Ciphertexts carry the keyVersion of the key that produced them: a master
+// key version number, or USER_KEY_VERSION for a user's data key. Ciphertexts
+// from before versioning have none and were made with master key version 1.
+export const USER_KEY_VERSION = 'user';
+
+// Associated data binding a ciphertext to where it's stored. GCM
+// authenticates it without storing it, so a blob copied into another user's
+// row, or another column, fails to decrypt.
+export const aadFor = (userId, table, column) => ({ userId, table, column });
+
+const encodeAad = ({ userId, table, column }) => {
+    return Buffer.from(JSON.stringify(['life-journal', table, column, String(userId)]), 'utf8');
+};
+
+// Ciphertexts from before binding have no aad flag. They're accepted until
+// the re-encryption CLI has bound them all and ENCRYPTION_REQUIRE_AAD=true.
+const requireAad = () => process.env.ENCRYPTION_REQUIRE_AAD === 'true';
+
+export const encryptData = (data, masterKey, keyVersion = null, context = null) => {
     const iv = crypto.randomBytes(16);
     const key = Buffer.from(masterKey, 'hex');
     const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    if (context) cipher.setAAD(encodeAad(context));
     let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
     encrypted += cipher.final('hex');
     const authTag = cipher.getAuthTag();
     return {
         encryptedData: encrypted,
         iv: iv.toString('hex'),
-        authTag: authTag.toString('hex')
+        authTag: authTag.toString('hex'),
+        ...(keyVersion !== null && { keyVersion }),
+        ...(context && { aad: 1 })
     };
 };
-export const decryptData = (encrypted, masterKey) => {
+export const decryptData = (encrypted, masterKey, context = null) => {
     const key = Buffer.from(masterKey, 'hex');
     const decipher = crypto.createDecipheriv(
         'aes-256-gcm',
         key,
         Buffer.from(encrypted.iv, 'hex')
     );
+    if (encrypted.aad) {
+        if (!context) throw new Error('Ciphertext is bound to a row; pass its aadFor() context');
+        decipher.setAAD(encodeAad(context));
+    } else if (context && requireAad()) {
+        throw new Error('Ciphertext is not bound to its row; run the re-encryption CLI');
+    }
     decipher.setAuthTag(Buffer.from(encrypted.authTag, 'hex'));
     let decrypted = decipher.update(encrypted.encryptedData, 'hex', 'utf8');
     decrypted += decipher.final('utf8');
     return JSON.parse(decrypted);
 };
+
+// Encrypt with the current master key
+export const encryptWithMasterKey = (data, context = null) => {
+    const version = getCurrentKeyVersion();
+    return encryptData(data, getMasterKeyByVersion(version), version, context);
+};
+
+// Decrypt with whichever master key in the keyring made the ciphertext
+export const decryptWithMasterKey = (encrypted, context = null) => {
+    return decryptData(encrypted, getMasterKeyByVersion(encrypted.keyVersion ?? 1), context);
+};
@@ -0,0 +1,78 @@
+// Event fingerprints for idempotent timeline ingestion
+// Both hashes are HMACs keyed by the server's hash key, so stored values
+// can't be matched against guessed coordinates or order IDs
+import crypto from 'crypto';
+
+// JSON with sorted keys, so equal objects always hash the same
+export const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+const hmac = (input, key) => {
+    return crypto.createHmac('sha256', Buffer.from(key, 'hex')).update(input).digest('hex');
+};
+
+const normalizeTimestamp = (timestamp) => {
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? String(timestamp) : date.toISOString();
+};
+
+const roundCoordinate = (value) => {
+    return typeof value === 'number' ? value.toFixed(4) : '';
+};
+
+const fingerprint = (event, identity, key) => {
+    return hmac([event.source || '', event.type, ...identity].join('|'), key);
+};
+
+// Source-derived identity of an event: the same real-world visit or order
+// always maps to the same fingerprint, even if its details change later
+export const computeEventFingerprint = (event, key) => {
+    const data = event.data || {};
+    let identity;
+
+    if (event.type === 'purchase' && data.order_id) {
+        // A refund is its own event, dated when the money came back
+        identity = data.status === 'refunded'
+            ? ['order', data.order_id, 'refund', normalizeTimestamp(event.timestamp).split('T')[0]]
+            : ['order', data.order_id];
+    } else if (event.type === 'location') {
+        // A visit is where and when it was; a renamed place is an update
+        identity = [normalizeTimestamp(event.timestamp), roundCoordinate(data.lat), roundCoordinate(data.lng)];
+    } else if (event.type === 'activity') {
+        identity = [normalizeTimestamp(event.timestamp), data.activity_type || ''];
+    } else {
+        identity = [normalizeTimestamp(event.timestamp), stableStringify(data)];
+    }
+
+    return fingerprint(event, identity, key);
+};
+
+// The fingerprint an event was stored under before the current scheme, or
+// null if it hasn't changed: location fingerprints used to include the place
+export const computeFormerFingerprint = (event, key) => {
+    if (event.type !== 'location') return null;
+
+    const data = event.data || {};
+    return fingerprint(event, [
+        normalizeTimestamp(event.timestamp),
+        data.place || '',
+        roundCoordinate(data.lat),
+        roundCoordinate(data.lng)
+    ], key);
+};
+
+// Hash of the event payload, used to tell an unchanged re-sync from an update
+export const computeContentHash = (data, key) => {
+    return hmac(stableStringify(data), key);
+};
@@ -1,8 +1,38 @@
 // Key management utility
-// Validates and provides access to the encryption master key
+// Validates and provides access to the encryption master key, and the
+// keyring of earlier master keys that rotation leaves behind.
+//
+// ENCRYPTION_MASTER_KEY is the current key and ENCRYPTION_KEY_VERSION its
+// version (default 1). After a rotation the keys it replaced stay readable
+// through ENCRYPTION_PREVIOUS_KEYS="1:<hex>,2:<hex>" until the re-encryption
+// CLI (npm run keys:reencrypt) has rewritten everything under the new key.
 
 const REQUIRED_KEY_LENGTH = 64; // 32 bytes = 64 hex characters
 
+const validateKey = (key, name) => {
+    if (key.length !== REQUIRED_KEY_LENGTH) {
+        throw new Error(
+            `${name} must be ${REQUIRED_KEY_LENGTH} hex characters (32 bytes). ` +
+            `Got ${key.length} characters.`
+        );
+    }
+
+    // Validate it's a valid hex string
+    if (!/^[0-9a-fA-F]+$/.test(key)) {
+        throw new Error(`${name} must be a valid hexadecimal string`);
+    }
+
+    return key;
+};
+
+const parseVersion = (value, name) => {
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`${name} must be a positive integer, got "${value}"`);
+    }
+    return version;
+};
+
 export const getMasterKey = () => {
     const key = process.env.ENCRYPTION_MASTER_KEY;
 
@@ -10,25 +40,66 @@ export const getMasterKey = () => {
         throw new Error('ENCRYPTION_MASTER_KEY is not set in environment variables');
     }
 
-    if (key.length !== REQUIRED_KEY_LENGTH) {
-        throw new Error(
-            `ENCRYPTION_MASTER_KEY must be ${REQUIRED_KEY_LENGTH} hex characters (32 bytes). ` +
-            `Got ${key.length} characters.`
-        );
+    return validateKey(key, 'ENCRYPTION_MASTER_KEY');
+};
+
+export const getCurrentKeyVersion = () => {
+    const value = process.env.ENCRYPTION_KEY_VERSION;
+    return value ? parseVersion(value, 'ENCRYPTION_KEY_VERSION') : 1;
+};
+
+// Every master key we can still decrypt with: Map of version -> hex key
+export const getKeyring = () => {
+    const keyring = new Map();
+
+    for (const entry of (process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',')) {
+        if (!entry.trim()) continue;
+
+        const [version, key = ''] = entry.trim().split(':');
+        const parsed = parseVersion(version, 'ENCRYPTION_PREVIOUS_KEYS version');
+        keyring.set(parsed, validateKey(key, `ENCRYPTION_PREVIOUS_KEYS key ${parsed}`));
     }
 
-    // Validate it's a valid hex string
-    if (!/^[0-9a-fA-F]+$/.test(key)) {
-        throw new Error('ENCRYPTION_MASTER_KEY must be a valid hexadecimal string');
+    const currentVersion = getCurrentKeyVersion();
+    if (keyring.has(currentVersion) && keyring.get(currentVersion) !== getMasterKey()) {
+        throw new Error(`ENCRYPTION_PREVIOUS_KEYS has a different key for current version ${currentVersion}`);
     }
+    keyring.set(currentVersion, getMasterKey());
+
+    return keyring;
+};
 
+export const getMasterKeyByVersion = (version) => {
+    const key = getKeyring().get(version);
+    if (!key) {
+        throw new Error(`No master key for version ${version}; add it to ENCRYPTION_PREVIOUS_KEYS`);
+    }
+    return key;
+};
+
+// Key for the HMACs behind event fingerprints and login codes. Those are
+// compared rather than decrypted, so they can't be re-keyed: they stay on
+// the original (version 1) key, or ENCRYPTION_HASH_KEY once that's retired.
+export const getHashKey = () => {
+    if (process.env.ENCRYPTION_HASH_KEY) {
+        return validateKey(process.env.ENCRYPTION_HASH_KEY, 'ENCRYPTION_HASH_KEY');
+    }
+
+    const key = getKeyring().get(1);
+    if (!key) {
+        throw new Error('Set ENCRYPTION_HASH_KEY to the version 1 master key before removing it from the keyring');
+    }
     return key;
 };
 
 export const validateKeyOnStartup = () => {
     try {
-        getMasterKey();
+        const keyring = getKeyring();
+        getHashKey();
         console.log('✓ Encryption key validated');
+        if (keyring.size > 1) {
+            console.log(`  Master key version ${getCurrentKeyVersion()}, ${keyring.size - 1} previous key(s) in keyring`);
+        }
         return true;
     } catch (error) {
         console.error('✗ Encryption key validation failed:', error.message);
@@ -0,0 +1,53 @@
+// Mail Transport
+// Outgoing mail goes through one pluggable transport: { name, send(message) }
+// where message is { to, subject, text }. Built in are a console transport
+// and a file transport for local development; production plugs in a real
+// provider with setMailTransport().
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+export const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`[Mailer] To: ${message.to}\n[Mailer] Subject: ${message.subject}\n${message.text}`);
+    }
+});
+
+// Writes each message to its own JSON file, e.g. for tests or a dev inbox
+export const createFileTransport = (directory) => ({
+    name: 'file',
+    send: async (message) => {
+        await mkdir(directory, { recursive: true });
+        const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const fileName = `${Date.now()}-${safeTo}.json`;
+        await writeFile(join(directory, fileName), JSON.stringify({
+            ...message,
+            sentAt: new Date().toISOString()
+        }, null, 2));
+    }
+});
+
+let transport = null;
+
+export const setMailTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+// MAIL_TRANSPORT=console|file picks a built-in transport. Production must
+// configure one explicitly: logging login codes there would leak them.
+const createDefaultTransport = () => {
+    const kind = process.env.MAIL_TRANSPORT;
+
+    if (kind === 'file') {
+        return createFileTransport(process.env.MAIL_FILE_DIR || join(process.cwd(), 'mail-outbox'));
+    }
+    if (kind === 'console' || (!kind && process.env.NODE_ENV !== 'production')) {
+        return createConsoleTransport();
+    }
+    throw new Error('No mail transport configured; set MAIL_TRANSPORT or call setMailTransport()');
+};
+
+export const sendMail = async (message) => {
+    if (!transport) transport = createDefaultTransport();
+    await transport.send(message);
+};
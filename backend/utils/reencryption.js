@@ -0,0 +1,131 @@
+// Re-encryption
+// Rewrites every encrypted column under the current keys: master-key
+// columns under the current master key version, user data under its owner's
+// data key, all bound to their row as associated data. Rows already in that
+// state are skipped, so an interrupted run simply carries on where it
+// stopped when started again.
+import { encryptWithMasterKey, decryptWithMasterKey, aadFor, USER_KEY_VERSION } from './encryption.js';
+import { getCurrentKeyVersion } from './keyManagement.js';
+import { getUserKey, encryptUserData, decryptUserData } from './userKeys.js';
+
+const DEFAULT_BATCH_SIZE = 200;
+
+// Every encrypted column in schema.sql and the key that should protect it.
+// user_keys comes first so rotated data keys are rewrapped before anything else.
+export const ENCRYPTED_COLUMNS = [
+    { table: 'user_keys', column: 'wrapped_key', idColumn: 'user_id', key: 'master' },
+    { table: 'user_credentials', column: 'encrypted_token', idColumn: 'id', key: 'master' },
+    { table: 'timeline_events', column: 'event_data_encrypted', idColumn: 'id', key: 'user' },
+    { table: 'therapy_summaries', column: 'encrypted_summary', idColumn: 'id', key: 'user' },
+    { table: 'coach_conversations', column: 'message_encrypted', idColumn: 'id', key: 'user' },
+    { table: 'coach_context', column: 'context_encrypted', idColumn: 'id', key: 'user' },
+    { table: 'calendar_events', column: 'title_encrypted', idColumn: 'id', key: 'user' }
+];
+
+const isCurrent = (encrypted, target) => {
+    if (!encrypted.aad) return false;
+    return target.key === 'master'
+        ? encrypted.keyVersion === getCurrentKeyVersion()
+        : encrypted.keyVersion === USER_KEY_VERSION;
+};
+
+// Decrypt a stored value and encrypt it again under the target key. In a dry
+// run nothing is written, not even a missing user key, so only the decrypt
+// is checked.
+const reencryptValue = async (supabase, target, row, encrypted, dryRun) => {
+    const context = aadFor(row.user_id, target.table, target.column);
+
+    if (target.key === 'master') {
+        const data = decryptWithMasterKey(encrypted, context);
+        return dryRun ? null : encryptWithMasterKey(data, context);
+    }
+
+    const userKey = await getUserKey(supabase, row.user_id, { create: !dryRun });
+    const data = decryptUserData(encrypted, userKey, context);
+    return dryRun ? null : encryptUserData(data, userKey, context);
+};
+
+const reencryptColumn = async (supabase, target, { dryRun, batchSize, onProgress }) => {
+    const { table, column, idColumn } = target;
+    const counts = { table, column, scanned: 0, rewritten: 0, skipped: 0, failed: 0 };
+    let lastId = null;
+
+    for (;;) {
+        let query = supabase
+            .from(table)
+            .select(idColumn === 'user_id' ? `user_id, ${column}` : `${idColumn}, user_id, ${column}`)
+            .order(idColumn, { ascending: true })
+            .limit(batchSize);
+        if (lastId !== null) query = query.gt(idColumn, lastId);
+
+        const { data: rows, error } = await query;
+        if (error) throw error;
+        if (!rows || rows.length === 0) break;
+
+        for (const row of rows) {
+            counts.scanned++;
+            const stored = row[column];
+            if (!stored) {
+                counts.skipped++;
+                continue;
+            }
+
+            try {
+                const encrypted = JSON.parse(stored);
+                if (isCurrent(encrypted, target)) {
+                    counts.skipped++;
+                    continue;
+                }
+
+                const next = await reencryptValue(supabase, target, row, encrypted, dryRun);
+                if (dryRun) {
+                    counts.rewritten++;
+                    continue;
+                }
+
+                // Only replace the value we read; if the app changed it meanwhile, leave it
+                const { data: updated, error: updateError } = await supabase
+                    .from(table)
+                    .update({ [column]: JSON.stringify(next) })
+                    .eq(idColumn, row[idColumn])
+                    .eq(column, stored)
+                    .select(idColumn);
+
+                if (updateError) throw updateError;
+                if ((updated || []).length > 0) counts.rewritten++;
+                else counts.skipped++;
+            } catch (rowError) {
+                counts.failed++;
+                console.error(`[Reencrypt] ${table} ${row[idColumn]}: ${rowError.message}`);
+            }
+        }
+
+        lastId = rows[rows.length - 1][idColumn];
+        onProgress({ ...counts, done: false });
+        if (rows.length < batchSize) break;
+    }
+
+    onProgress({ ...counts, done: true });
+    return counts;
+};
+
+// Walk every encrypted column. Returns { success, dryRun, columns, failed }
+// where success is false if any row couldn't be decrypted.
+export const reencryptAll = async (supabase, options = {}) => {
+    const {
+        dryRun = false,
+        batchSize = DEFAULT_BATCH_SIZE,
+        onProgress = () => {},
+        columns = ENCRYPTED_COLUMNS
+    } = options;
+
+    console.log(`[Reencrypt] ${dryRun ? 'Dry run' : 'Re-encrypting'} under master key version ${getCurrentKeyVersion()}`);
+
+    const results = [];
+    for (const target of columns) {
+        results.push(await reencryptColumn(supabase, target, { dryRun, batchSize, onProgress }));
+    }
+
+    const failed = results.reduce((sum, result) => sum + result.failed, 0);
+    return { success: failed === 0, dryRun, columns: results, failed };
+};
@@ -0,0 +1,59 @@
+// Re-encryption CLI
+// Run after changing ENCRYPTION_MASTER_KEY (with the old key moved into
+// ENCRYPTION_PREVIOUS_KEYS) to rewrite every encrypted column under the new key.
+// Usage:
+//   node utils/runReencryption.js                 Re-encrypt everything
+//   node utils/runReencryption.js --dry-run       Count what would change, write nothing
+//   node utils/runReencryption.js --batch-size=50 Rows read per query
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { reencryptAll } from './reencryption.js';
+import { validateKeyOnStartup } from './keyManagement.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const parseArgs = (argv) => {
+    const args = {};
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        args[key] = value ?? true;
+    }
+    return args;
+};
+
+const printProgress = ({ table, column, scanned, rewritten, skipped, failed, done }) => {
+    const status = done ? 'done' : 'working';
+    console.log(`  ${table}.${column}: ${scanned} scanned, ${rewritten} rewritten, ${skipped} skipped, ${failed} failed (${status})`);
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    // Every user's rows are rewritten, so a service role key that bypasses RLS is required
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+        process.exit(1);
+    }
+    if (!validateKeyOnStartup()) {
+        process.exit(1);
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    const result = await reencryptAll(supabase, {
+        dryRun: Boolean(args['dry-run']),
+        batchSize: args['batch-size'] ? parseInt(args['batch-size'], 10) : undefined,
+        onProgress: printProgress
+    });
+
+    if (result.failed > 0) {
+        console.error(`${result.failed} row(s) could not be decrypted; they are listed above. Re-run once fixed.`);
+    } else if (!result.dryRun) {
+        console.log('All encrypted columns are under the current keys. Previous keys can be removed from ENCRYPTION_PREVIOUS_KEYS.');
+    }
+    process.exit(result.success ? 0 : 1);
+};
+
+main();
@@ -0,0 +1,110 @@
+// Per-user Data Keys
+// Each user's content is encrypted with their own random data key. The data
+// key is stored in user_keys wrapped (encrypted) by the master key, so a
+// leaked row only exposes one user, and deleting the wrapped key
+// crypto-shreds everything that was encrypted under it.
+import crypto from 'crypto';
+import {
+    encryptData,
+    decryptData,
+    encryptWithMasterKey,
+    decryptWithMasterKey,
+    aadFor,
+    USER_KEY_VERSION
+} from './encryption.js';
+import { getRepositories } from '../storage/index.js';
+
+// Unwrapped keys are kept in memory for a while so requests don't each
+// hit user_keys
+const KEY_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// userId -> { key: Promise<string>, expiresAt }
+const keyCache = new Map();
+
+// Wrapped keys are versioned like any master-key ciphertext, so they stay
+// readable while a master key rotation is rewrapping them. Binding them to
+// the user stops one user's wrapped key being swapped into another's row.
+const wrappedKeyContext = (userId) => aadFor(userId, 'user_keys', 'wrapped_key');
+
+const unwrapKey = (row, userId) => decryptWithMasterKey(JSON.parse(row.wrapped_key), wrappedKeyContext(userId));
+
+const loadUserKey = async (db, userId) => {
+    const data = await getRepositories(db).keys.get(userId);
+    return data ? unwrapKey(data, userId) : null;
+};
+
+const createUserKey = async (db, userId) => {
+    const key = crypto.randomBytes(32).toString('hex');
+
+    const created = await getRepositories(db).keys.insertIfAbsent({
+        user_id: userId,
+        wrapped_key: JSON.stringify(encryptWithMasterKey(key, wrappedKeyContext(userId))),
+        created_at: new Date().toISOString()
+    });
+
+    if (!created) {
+        // Another server created it first; use theirs
+        const existing = await loadUserKey(db, userId);
+        if (existing) return existing;
+        throw new Error(`Could not create a data key for user ${userId}`);
+    }
+
+    console.log(`[UserKeys] Created data key for user ${userId}`);
+    return key;
+};
+
+// The user's data key (hex), created on first use. With create: false a
+// user without a key gets null instead. db is a Supabase client or SQLite
+// database (see storage/index.js).
+export const getUserKey = async (db, userId, { create = true } = {}) => {
+    const cached = keyCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) return cached.key;
+
+    if (!create) return loadUserKey(db, userId);
+
+    // Cache the promise so concurrent requests share one lookup
+    const key = (async () => {
+        return (await loadUserKey(db, userId)) || createUserKey(db, userId);
+    })();
+
+    keyCache.set(userId, { key, expiresAt: Date.now() + KEY_CACHE_TTL_MS });
+    key.catch(() => keyCache.delete(userId));
+
+    return key;
+};
+
+// context is the aadFor() of the row and column the ciphertext is stored in
+export const encryptUserData = (data, userKey, context) => {
+    return encryptData(data, userKey, USER_KEY_VERSION, context);
+};
+
+// Decrypt a user's data. Rows written before per-user keys existed are
+// still under a master key until they're re-encrypted; unversioned ones
+// may be under either.
+export const decryptUserData = (encrypted, userKey, context) => {
+    if (encrypted.keyVersion === USER_KEY_VERSION) {
+        return decryptData(encrypted, userKey, context);
+    }
+    if (encrypted.keyVersion !== undefined || !userKey) {
+        return decryptWithMasterKey(encrypted, context);
+    }
+
+    try {
+        return decryptData(encrypted, userKey, context);
+    } catch (error) {
+        return decryptWithMasterKey(encrypted, context);
+    }
+};
+
+// Delete the user's data key. Anything encrypted under it can no longer be
+// read by anyone, including us.
+export const shredUserKey = async (db, userId) => {
+    keyCache.delete(userId);
+
+    await getRepositories(db).keys.delete(userId);
+    console.log(`[UserKeys] Shredded data key for user ${userId}`);
+};
+
+export const clearUserKeyCache = () => {
+    keyCache.clear();
+};
@@ -0,0 +1,59 @@
+// Weeks
+// A week is identified by its week-numbering year and number, as in ISO 8601
+// ('2025-W03'): it belongs to the year its fourth day falls in, so week 1 is
+// the week holding January 4th. Weeks start on Monday unless the user picks
+// another day (user_settings.week_start, 0 = Sunday ... 6 = Saturday).
+import { getRepositories } from '../storage/index.js';
+import { addDays, todayIn } from './dates.js';
+
+export const ISO_WEEK_START = 1;
+
+const toDate = (dateKey) => new Date(`${dateKey}T00:00:00Z`);
+
+const dayOfYear = (dateKey) => {
+    const date = toDate(dateKey);
+    return Math.round((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / (24 * 60 * 60 * 1000)) + 1;
+};
+
+export const isValidWeekStart = (day) => Number.isInteger(day) && day >= 0 && day <= 6;
+
+// The user's week start day from their settings, Monday if they haven't set one
+export const getUserWeekStart = async (db, userId) => {
+    if (!db) return ISO_WEEK_START;
+    const settings = await getRepositories(db).settings.get(userId);
+    return settings?.week_start ?? ISO_WEEK_START;
+};
+
+export const formatWeekId = (year, week) => `${year}-W${String(week).padStart(2, '0')}`;
+
+// The week a day ('YYYY-MM-DD') falls in, as { id, year, week, start, end }
+// with start and end as day keys
+export const weekOf = (dateKey, weekStart = ISO_WEEK_START) => {
+    const start = addDays(dateKey, -((toDate(dateKey).getUTCDay() - weekStart + 7) % 7));
+    const fourthDay = addDays(start, 3);
+    const year = Number(fourthDay.slice(0, 4));
+    const week = Math.floor((dayOfYear(fourthDay) - 1) / 7) + 1;
+
+    return { id: formatWeekId(year, week), year, week, start, end: addDays(start, 6) };
+};
+
+export const currentWeek = (timeZone = null, weekStart = ISO_WEEK_START) => weekOf(todayIn(timeZone), weekStart);
+
+// The week a number of weeks after (or, if negative, before) another
+export const shiftWeek = (week, weeks, weekStart = ISO_WEEK_START) => weekOf(addDays(week.start, weeks * 7), weekStart);
+
+// A week from its id, or null if the id is malformed or the year has no such week
+export const parseWeekId = (id, weekStart = ISO_WEEK_START) => {
+    const match = /^(\d{4})-W(\d{2})$/.exec(id || '');
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const number = Number(match[2]);
+    if (number < 1) return null;
+
+    const week = shiftWeek(weekOf(`${year}-01-04`, weekStart), number - 1, weekStart);
+    return week.year === year ? week : null;
+};
+
+// Sortable number for comparing weeks across years
+export const weekKey = ({ year, week }) => year * 100 + week;